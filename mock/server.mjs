@@ -0,0 +1,426 @@
+#!/usr/bin/env node
+// Offline stand-in for the Gemini REST API. Point the provider base URL at
+// http://localhost:8787/v1beta (or http://localhost:8787/<fixture>/v1beta to force one fixture).
+//
+//   node mock/server.mjs [--port 8787] [--fixtures mock/fixtures]
+//   node mock/server.mjs --record [--target https://generativelanguage.googleapis.com]
+//
+// Uses only Node built-ins so it runs without installing anything.
+
+import { createServer } from 'node:http';
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_PORT = 8787;
+const DEFAULT_TARGET = 'https://generativelanguage.googleapis.com';
+const MOCK_MODELS = [
+  { name: 'models/gemini-1.5-flash', displayName: 'Gemini 1.5 Flash (mock)', inputTokenLimit: 1048576, outputTokenLimit: 8192, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+  { name: 'models/gemini-1.5-pro', displayName: 'Gemini 1.5 Pro (mock)', inputTokenLimit: 2097152, outputTokenLimit: 8192, supportedGenerationMethods: ['generateContent', 'countTokens'] },
+  { name: 'models/text-embedding-004', displayName: 'Text Embedding 004 (mock)', inputTokenLimit: 2048, outputTokenLimit: 1, supportedGenerationMethods: ['embedContent'] }
+];
+const EMBEDDING_DIMENSIONS = 8;
+const STREAM_WORDS_PER_FRAME = 3;
+const STREAM_FRAME_DELAY_MS = 60;
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': '*',
+  // the client reads Retry-After to honour 429 back-off, which browsers hide unless it is exposed
+  'Access-Control-Expose-Headers': 'Retry-After'
+};
+
+function parseArgs(argv) {
+  const options = {
+    port: DEFAULT_PORT,
+    fixtures: join(dirname(fileURLToPath(import.meta.url)), 'fixtures'),
+    record: false,
+    target: DEFAULT_TARGET
+  };
+
+  for (let index = 0; index < argv.length; index += 1) {
+    const flag = argv[index];
+
+    if (flag === '--record') options.record = true;
+    else if (flag === '--port') options.port = Number(argv[(index += 1)]);
+    else if (flag === '--fixtures') options.fixtures = resolve(argv[(index += 1)]);
+    else if (flag === '--target') options.target = argv[(index += 1)].replace(/\/+$/, '');
+    else throw new Error(`Unknown option "${flag}".`);
+  }
+
+  return options;
+}
+
+async function loadFixtures(directory) {
+  const fixtures = new Map();
+  const files = (await readdir(directory).catch(() => [])).filter((file) => file.endsWith('.json')).sort();
+
+  for (const file of files) {
+    const fixture = JSON.parse(await readFile(join(directory, file), 'utf8'));
+
+    if (!Array.isArray(fixture.responses) || !fixture.responses.length) {
+      throw new Error(`Fixture ${file} needs a non-empty "responses" array.`);
+    }
+
+    fixtures.set(file.replace(/\.json$/, ''), fixture);
+  }
+
+  return fixtures;
+}
+
+function readBody(request) {
+  return new Promise((resolveBody, reject) => {
+    const chunks = [];
+    request.on('data', (chunk) => chunks.push(chunk));
+    request.on('end', () => resolveBody(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// "/rate-limit/v1beta/models/x:generateContent" -> scenario "rate-limit", api path "/v1beta/models/x:generateContent"
+function parseRoute(pathname, fixtures) {
+  const [first, ...rest] = pathname.split('/').filter(Boolean);
+  const scenario = fixtures.has(first) ? first : null;
+  const apiPath = `/${(scenario ? rest : [first, ...rest]).filter(Boolean).join('/')}`;
+  const action = apiPath.match(/:(\w+)$/)?.[1] ?? (/\/models\/?$/.test(apiPath) ? 'listModels' : null);
+
+  return { scenario, apiPath, action };
+}
+
+function lastUserText(payload) {
+  const contents = payload?.contents ?? payload?.generateContentRequest?.contents ?? [];
+  const userTurns = contents.filter((entry) => entry?.role !== 'model');
+  return (userTurns.at(-1)?.parts ?? []).map((part) => part?.text ?? '').join('');
+}
+
+function estimateTokens(text) {
+  return Math.max(1, Math.ceil(text.length / 4));
+}
+
+function textFrame(text, { finishReason, usageMetadata } = {}) {
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, index: 0, ...(finishReason ? { finishReason } : {}) }],
+    ...(usageMetadata ? { usageMetadata } : {}),
+    modelVersion: 'mock-1'
+  };
+}
+
+// a stream fixture replayed to a non-streaming request is folded back into a single response
+function mergeEvents(events) {
+  const text = events.map((event) => event.candidates?.[0]?.content?.parts?.map((part) => part.text ?? '').join('') ?? '').join('');
+  const last = events.at(-1) ?? {};
+
+  return {
+    ...last,
+    candidates: [{ ...(last.candidates?.[0] ?? {}), content: { role: 'model', parts: [{ text }] } }]
+  };
+}
+
+function notFound(message) {
+  return { status: 404, body: { error: { code: 404, message, status: 'NOT_FOUND' } } };
+}
+
+function toCacheResource(cache) {
+  const { tokenCount, ...resource } = cache;
+  return { ...resource, usageMetadata: { totalTokenCount: tokenCount } };
+}
+
+function applyTtl(cache, ttl) {
+  const seconds = Number.parseFloat(ttl ?? DEFAULT_CACHE_TTL_SECONDS);
+  cache.updateTime = new Date().toISOString();
+  cache.expireTime = new Date(Date.now() + seconds * 1000).toISOString();
+  return cache;
+}
+
+// cachedContents live in memory only; expired entries disappear the next time anything touches them
+function cachedContentsResponse(method, apiPath, payload, caches) {
+  const now = Date.now();
+  caches.forEach((cache, name) => {
+    if (Date.parse(cache.expireTime) <= now) caches.delete(name);
+  });
+
+  const name = apiPath.match(/(cachedContents\/[^/]+)$/)?.[1];
+
+  if (!name && method === 'GET') {
+    return { status: 200, body: { cachedContents: Array.from(caches.values(), toCacheResource) } };
+  }
+
+  if (!name && method === 'POST') {
+    const created = new Date().toISOString();
+    const cache = applyTtl({
+      name: `cachedContents/mock-${Math.random().toString(36).slice(2, 10)}`,
+      model: payload?.model ?? null,
+      displayName: payload?.displayName ?? '',
+      createTime: created,
+      tokenCount: estimateTokens(JSON.stringify(payload?.contents ?? []))
+    }, payload?.ttl);
+
+    caches.set(cache.name, cache);
+    return { status: 200, body: toCacheResource(cache) };
+  }
+
+  const cache = name ? caches.get(name) : null;
+
+  if (!cache) {
+    return notFound(`CachedContent not found (or permission denied): ${name ?? apiPath}`);
+  }
+
+  if (method === 'PATCH') {
+    return { status: 200, body: toCacheResource(applyTtl(cache, payload?.ttl)) };
+  }
+
+  if (method === 'DELETE') {
+    caches.delete(name);
+    return { status: 200, body: {} };
+  }
+
+  return { status: 200, body: toCacheResource(cache) };
+}
+
+function defaultResponse(action, payload, caches) {
+  if (action === 'countTokens') {
+    const text = JSON.stringify(payload?.generateContentRequest?.contents ?? payload?.contents ?? []);
+    return { status: 200, body: { totalTokens: estimateTokens(text) } };
+  }
+
+  if (action === 'batchEmbedContents') {
+    const embeddings = (payload?.requests ?? []).map((entry) => {
+      const text = (entry.content?.parts ?? []).map((part) => part.text ?? '').join('');
+      // deterministic vectors, so identical text always ranks identically
+      const values = Array.from({ length: EMBEDDING_DIMENSIONS }, (_, dimension) =>
+        Array.from(text).reduce((sum, character, index) => sum + Math.sin(character.charCodeAt(0) * (dimension + 1) + index), 0)
+      );
+      const length = Math.hypot(...values) || 1;
+      return { values: values.map((value) => value / length) };
+    });
+
+    return { status: 200, body: { embeddings } };
+  }
+
+  if (action === 'listModels') {
+    return { status: 200, body: { models: MOCK_MODELS } };
+  }
+
+  if (action === 'generateContent' || action === 'streamGenerateContent') {
+    const cache = payload?.cachedContent ? caches.get(payload.cachedContent) : null;
+
+    if (payload?.cachedContent && !cache) {
+      return notFound(`CachedContent not found (or permission denied): ${payload.cachedContent}`);
+    }
+
+    const prompt = lastUserText(payload);
+    const reply = `Mock reply to: ${prompt.slice(0, 200) || '(empty prompt)'}`;
+    const cachedTokens = cache?.tokenCount ?? 0;
+    const usageMetadata = {
+      promptTokenCount: estimateTokens(prompt) + cachedTokens,
+      candidatesTokenCount: estimateTokens(reply),
+      totalTokenCount: estimateTokens(prompt) + cachedTokens + estimateTokens(reply),
+      ...(cache ? { cachedContentTokenCount: cachedTokens } : {})
+    };
+
+    if (action === 'generateContent') {
+      return { status: 200, body: textFrame(reply, { finishReason: 'STOP', usageMetadata }) };
+    }
+
+    const words = reply.split(/(?<=\s)/);
+    const events = [];
+
+    for (let index = 0; index < words.length; index += STREAM_WORDS_PER_FRAME) {
+      events.push(textFrame(words.slice(index, index + STREAM_WORDS_PER_FRAME).join('')));
+    }
+
+    events.push(textFrame('', { finishReason: 'STOP', usageMetadata }));
+    return { status: 200, delayMs: STREAM_FRAME_DELAY_MS, events };
+  }
+
+  return notFound('The mock server does not implement this endpoint.');
+}
+
+function findFixture(fixtures, { scenario, action, payload }) {
+  if (scenario) {
+    return scenario;
+  }
+
+  if (action !== 'generateContent' && action !== 'streamGenerateContent') {
+    return null;
+  }
+
+  const prompt = lastUserText(payload);
+
+  for (const [name, fixture] of fixtures) {
+    const match = fixture.match?.prompt;
+    if (match && prompt.includes(match) && (!fixture.match.action || fixture.match.action === action)) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
+const sleep = (duration) => new Promise((resolveSleep) => setTimeout(resolveSleep, duration));
+
+async function sendResponse(response, spec, { stream }) {
+  const headers = { ...CORS_HEADERS, ...spec.headers };
+  const status = spec.status ?? 200;
+
+  if (stream && status === 200 && (spec.events || spec.body)) {
+    response.writeHead(status, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', ...headers });
+
+    for (const event of spec.events ?? [spec.body]) {
+      if (spec.delayMs) await sleep(spec.delayMs);
+      if (response.destroyed) return;
+      response.write(`data: ${JSON.stringify(event)}\r\n\r\n`);
+    }
+
+    response.end();
+    return;
+  }
+
+  if (spec.delayMs) await sleep(spec.delayMs);
+
+  if (spec.text != null) {
+    response.writeHead(status, { 'Content-Type': 'text/plain', ...headers });
+    response.end(spec.text);
+    return;
+  }
+
+  const body = spec.events && !spec.body ? mergeEvents(spec.events) : spec.body;
+  response.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  response.end(JSON.stringify(body ?? {}));
+}
+
+function parseSseEvents(text) {
+  return text
+    .split(/\r?\n\r?\n/)
+    .map((block) => block.split(/\r?\n/).filter((line) => line.startsWith('data:')).map((line) => line.slice(5).trim()).join('\n'))
+    .filter(Boolean)
+    .map((data) => parseJson(data))
+    .filter(Boolean);
+}
+
+// the API key is forwarded upstream as-is but never written into the fixture
+async function recordRequest(options, { method, url, apiPath, action, payload, rawBody }, response) {
+  const target = new URL(`${options.target}${apiPath}`);
+  url.searchParams.forEach((value, key) => target.searchParams.set(key, value));
+
+  const upstream = await fetch(target, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: rawBody || undefined
+  });
+  const text = await upstream.text();
+  const contentType = upstream.headers.get('content-type') ?? 'application/json';
+  const retryAfter = upstream.headers.get('retry-after');
+  const headers = retryAfter ? { 'Retry-After': retryAfter } : undefined;
+
+  response.writeHead(upstream.status, { ...CORS_HEADERS, 'Content-Type': contentType, ...headers });
+  response.end(text);
+
+  const spec = { status: upstream.status, ...(headers ? { headers } : {}) };
+
+  if (contentType.includes('text/event-stream')) {
+    spec.events = parseSseEvents(text);
+  } else if (parseJson(text) !== null) {
+    spec.body = parseJson(text);
+  } else {
+    spec.text = text;
+  }
+
+  const prompt = lastUserText(payload);
+  const name = `recorded-${action ?? 'request'}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const fixture = {
+    description: `Recorded from ${method} ${apiPath}.`,
+    match: prompt ? { prompt, action } : null,
+    responses: [spec]
+  };
+
+  await mkdir(options.fixtures, { recursive: true });
+  await writeFile(join(options.fixtures, `${name}.json`), `${JSON.stringify(fixture, null, 2)}\n`);
+  console.log(`Recorded ${upstream.status} ${apiPath} -> ${name}.json`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = await loadFixtures(options.fixtures);
+  const counters = new Map();
+  const caches = new Map();
+
+  const server = createServer(async (request, response) => {
+    try {
+      const url = new URL(request.url, `http://${request.headers.host}`);
+
+      if (request.method === 'OPTIONS') {
+        response.writeHead(204, CORS_HEADERS);
+        response.end();
+        return;
+      }
+
+      if (url.pathname === '/__fixtures') {
+        await sendResponse(response, { body: { fixtures: Array.from(fixtures, ([name, fixture]) => ({ name, ...fixture.match, description: fixture.description })) } }, {});
+        return;
+      }
+
+      // sequenced fixtures (e.g. 429 then 200) start over after a reset
+      if (url.pathname === '/__reset') {
+        counters.clear();
+        await sendResponse(response, { body: { reset: true } }, {});
+        return;
+      }
+
+      const rawBody = ['POST', 'PATCH'].includes(request.method) ? await readBody(request) : '';
+      const payload = parseJson(rawBody);
+      const { scenario, apiPath, action } = parseRoute(url.pathname, fixtures);
+      const stream = action === 'streamGenerateContent';
+
+      if (options.record) {
+        await recordRequest(options, { method: request.method, url, apiPath, action, payload, rawBody }, response);
+        return;
+      }
+
+      const fixtureName = findFixture(fixtures, { scenario, action, payload });
+      let spec;
+
+      if (fixtureName) {
+        const fixture = fixtures.get(fixtureName);
+        const count = counters.get(fixtureName) ?? 0;
+        counters.set(fixtureName, count + 1);
+        spec = fixture.responses[Math.min(count, fixture.responses.length - 1)];
+      } else if (/\/cachedContents(\/|$)/.test(apiPath)) {
+        spec = cachedContentsResponse(request.method, apiPath, payload, caches);
+      } else {
+        spec = defaultResponse(action, payload, caches);
+      }
+
+      console.log(`${request.method} ${apiPath} -> ${fixtureName ?? 'default'} (${spec.status ?? 200})`);
+      await sendResponse(response, spec, { stream });
+    } catch (error) {
+      console.error(error);
+
+      if (!response.headersSent) {
+        response.writeHead(500, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+      }
+
+      response.end(JSON.stringify({ error: { code: 500, message: error.message, status: 'INTERNAL' } }));
+    }
+  });
+
+  server.listen(options.port, () => {
+    const mode = options.record ? `recording ${options.target} into ${options.fixtures}` : `${fixtures.size} fixtures from ${options.fixtures}`;
+    console.log(`Mock Gemini server on http://localhost:${options.port}/v1beta (${mode})`);
+  });
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
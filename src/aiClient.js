@@ -1,38 +1,56 @@
-import { buildChatPayload, buildKnowledgePayload } from './requestBuilder.js';
-import { streamText } from './streaming.js';
+import { buildCachedPrefix, buildChatPayload, buildKnowledgePayload, planChatHistory } from './requestBuilder.js';
+import { readServerSentEvents, readJsonLines, sleep, streamText } from './streaming.js';
+import { getRegisteredTools, resolveTools, toFunctionDeclarations, executeToolCall } from './tools.js';
 import { loadApiKey as loadStoredApiKey } from './storage.js';
+import { GeminiApiError } from './errors.js';
+import { DEFAULT_PROVIDER_ID, getProvider } from './providers/index.js';
+import { estimateContentsTokens, estimateTextTokens } from './tokenBudget.js';
+import { extractGrounding, mergeCitationSources } from './grounding.js';
+import { checkBudget, describeBudgetStatus, recordUsage } from './usageLedger.js';
+import { createRequestScheduler } from './requestScheduler.js';
+import { createCacheKey, isCacheActive, readCachedResponse, writeCachedResponse } from './responseCache.js';
+import { assertJsonSchema, parseJsonOutput, validateJsonSchema } from './jsonSchema.js';
+import { createMiddlewarePipeline } from './middleware.js';
 
-const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
-const CHAT_MODEL = 'models/gemini-pro';
-const KNOWLEDGE_MODEL = 'models/gemini-1.5-pro-latest';
 const RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504]);
+const DEFAULT_MAX_TOOL_ITERATIONS = 5;
+const DEFAULT_MAX_SCHEMA_REPAIRS = 2;
+const SCHEMA_REPAIR_MAX_ERRORS = 10;
+const SUMMARY_MAX_OUTPUT_TOKENS = 512;
+const SUMMARY_TURN_MAX_CHARS = 2000;
+const MAX_BACKOFF_MS = 30 * 1000;
+const CACHED_CHUNK_DELAY_MS = 10;
+const DEFAULT_CONTEXT_CACHE_TTL_SECONDS = 60 * 60;
+// Gemini refuses to cache small prefixes (the minimum depends on the model), so those stay inline
+const DEFAULT_CONTEXT_CACHE_MIN_TOKENS = 4096;
+const CONTEXT_CACHE_EXPIRY_MARGIN_MS = 60 * 1000;
+const CONTEXT_CACHE_NAME_PREFIX = 'sj-assistant:';
 
 let apiKeyCache = null;
+let providerConfig = { id: DEFAULT_PROVIDER_ID, baseUrl: null };
 
-class GeminiApiError extends Error {
-  constructor(message, { status, code, details } = {}) {
-    super(message);
-    this.name = 'GeminiApiError';
-    this.status = status ?? null;
-    this.code = code ?? 'UNKNOWN';
-    this.details = details;
-  }
-}
+// shared by every request so chat, knowledge and batch work compete for the same quota
+const scheduler = createRequestScheduler();
+
+// prefix hash -> cache; the hash doubles as the cache's displayName, so caches created in an earlier
+// session are found again by listing them once per provider and base URL
+const contextCaches = new Map();
+const contextCacheDiscovery = new Map();
 
 function getStoredOrCachedApiKey() {
   return apiKeyCache ?? loadStoredApiKey() ?? null;
 }
 
-function requireApiKey(explicitKey) {
+function requireApiKey(explicitKey, provider) {
   const key = explicitKey ?? getStoredOrCachedApiKey();
 
-  if (!key) {
-    throw new GeminiApiError('Gemini API key is required. Please provide a key before making requests.', {
+  if (!key && provider.requiresApiKey) {
+    throw new GeminiApiError(`${provider.label} API key is required. Please provide a key before making requests.`, {
       code: 'MISSING_API_KEY'
     });
   }
 
-  return key;
+  return key ?? null;
 }
 
 export function setClientApiKey(key) {
@@ -44,23 +62,49 @@ export function getClientApiKey() {
   return getStoredOrCachedApiKey();
 }
 
-function getActionPath(model, { stream }) {
-  const action = stream ? 'streamGenerateContent' : 'generateContent';
-  return `${model}:${action}`;
+export function setClientProvider({ id = DEFAULT_PROVIDER_ID, baseUrl = null } = {}) {
+  getProvider(id);
+  providerConfig = { id, baseUrl: baseUrl || null };
+  return { ...providerConfig };
+}
+
+export function getClientProvider() {
+  return { ...providerConfig };
+}
+
+export function configureScheduler(options) {
+  return scheduler.configure(options);
+}
+
+export function getSchedulerState() {
+  return scheduler.getState();
 }
 
-async function toGeminiError(response) {
+export function subscribeToScheduler(listener) {
+  return scheduler.subscribe(listener);
+}
+
+function resolveProvider({ provider, baseUrl }) {
+  const definition = provider && typeof provider === 'object' ? provider : getProvider(provider ?? providerConfig.id);
+  const configuredBaseUrl = definition.id === providerConfig.id ? providerConfig.baseUrl : null;
+
+  return {
+    provider: definition,
+    baseUrl: baseUrl ?? configuredBaseUrl ?? definition.defaultBaseUrl
+  };
+}
+
+async function toApiError(response, provider) {
   const { status } = response;
   let payload;
-  let message = `Gemini API request failed with status ${status}.`;
+  let message = `${provider.label} API request failed with status ${status}.`;
   let code = 'HTTP_ERROR';
 
   try {
     payload = await response.json();
-    if (payload?.error) {
-      message = payload.error.message ?? message;
-      code = payload.error.status ?? payload.error.code ?? code;
-    }
+    const mapped = provider.mapError({ status, payload });
+    message = mapped.message ?? message;
+    code = mapped.code ?? code;
   } catch (error) {
     // ignore body parse errors, fall back to default message
   }
@@ -95,48 +139,63 @@ function isRetryableError(error) {
   return error instanceof TypeError;
 }
 
-function getBackoffDelay(attempt, baseDelay, retryAfterHeader) {
-  if (retryAfterHeader) {
-    const retryAfter = Number(retryAfterHeader);
+function parseRetryAfter(retryAfterHeader) {
+  if (!retryAfterHeader) {
+    return null;
+  }
 
-    if (!Number.isNaN(retryAfter)) {
-      return Math.max(baseDelay, retryAfter * 1000);
-    }
+  const retryAfter = Number(retryAfterHeader);
 
-    const retryDate = Date.parse(retryAfterHeader);
-    if (!Number.isNaN(retryDate)) {
-      return Math.max(baseDelay, retryDate - Date.now());
-    }
+  if (!Number.isNaN(retryAfter)) {
+    return retryAfter * 1000;
   }
 
-  return baseDelay * 2 ** attempt;
+  const retryDate = Date.parse(retryAfterHeader);
+  return Number.isNaN(retryDate) ? null : retryDate - Date.now();
 }
 
-function delay(ms) {
-  if (ms <= 0) {
-    return Promise.resolve();
+// equal jitter keeps at least half the exponential delay while spreading clients that failed together
+export function getBackoffDelay(attempt, baseDelay, retryAfterHeader) {
+  const retryAfter = parseRetryAfter(retryAfterHeader);
+
+  if (retryAfter != null) {
+    return Math.max(baseDelay, retryAfter);
   }
 
-  return new Promise((resolve) => {
-    setTimeout(resolve, ms);
-  });
+  const ceiling = Math.min(MAX_BACKOFF_MS, baseDelay * 2 ** attempt);
+  return ceiling / 2 + Math.random() * (ceiling / 2);
 }
 
-async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500 } = {}) {
+export async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500, provider = getProvider(), stats } = {}) {
   let attempt = 0;
   let lastError;
 
   while (attempt <= retries) {
+    scheduler.assertCircuitClosed(provider.id, { cause: lastError });
+
     try {
       const response = await fetch(url, options);
+      const retrying = !response.ok && attempt < retries && shouldRetry(response);
+
+      // the breaker hears how the request ended, not every attempt it took to get there
+      if (!retrying) {
+        scheduler.reportResponse(provider.id, response.status);
+      }
 
       if (!response.ok) {
-        const error = await toGeminiError(response);
-        if (attempt < retries && shouldRetry(response)) {
+        const error = await toApiError(response, provider);
+        if (retrying) {
           lastError = error;
           const backoff = getBackoffDelay(attempt, baseDelay, response.headers.get('retry-after'));
-          await delay(backoff);
+
+          // queued requests to the same provider wait out the rate limit too instead of triggering more 429s
+          if (response.status === 429) {
+            scheduler.pause(provider.id, backoff);
+          }
+
+          await sleep(backoff, options.signal);
           attempt += 1;
+          if (stats) stats.retries = attempt;
           continue;
         }
 
@@ -145,7 +204,7 @@ async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500 } = {
 
       return response;
     } catch (error) {
-      if (error?.name === 'AbortError') {
+      if (error?.name === 'AbortError' || error?.code === 'CIRCUIT_OPEN') {
         throw error;
       }
 
@@ -155,19 +214,20 @@ async function fetchWithRetry(url, options, { retries = 3, baseDelay = 500 } = {
 
       lastError = error;
       const backoff = getBackoffDelay(attempt, baseDelay);
-      await delay(backoff);
+      await sleep(backoff, options.signal);
       attempt += 1;
+      if (stats) stats.retries = attempt;
     }
   }
 
   throw lastError ?? new Error('Request failed after maximum retries.');
 }
 
-function extractCandidatePayload(payload) {
+export function extractCandidatePayload(payload, { trim = true } = {}) {
   const candidates = payload?.candidates ?? [];
 
   if (!Array.isArray(candidates) || candidates.length === 0) {
-    return { text: '', candidate: null };
+    return { text: '', candidate: null, functionCalls: [] };
   }
 
   const viableCandidate = candidates.find((candidate) => {
@@ -182,18 +242,19 @@ function extractCandidatePayload(payload) {
     return true;
   }) ?? candidates[0];
 
-  const text = viableCandidate.content?.parts
+  const parts = viableCandidate.content?.parts ?? [];
+  const text = parts
     .map((part) => part?.text ?? '')
-    .join('')
-    .trim();
+    .join('');
 
   return {
-    text,
-    candidate: viableCandidate
+    text: trim ? text.trim() : text,
+    candidate: viableCandidate,
+    functionCalls: parts.filter((part) => part?.functionCall).map((part) => part.functionCall)
   };
 }
 
-function assertSafety(payload, candidate) {
+export function assertSafety(payload, candidate) {
   const promptFeedback = payload?.promptFeedback;
 
   if (promptFeedback?.blockReason && promptFeedback.blockReason !== 'BLOCK_REASON_UNSPECIFIED') {
@@ -225,94 +286,1006 @@ async function consumeJson(response) {
 }
 
 async function executeRequest({
+  provider,
+  baseUrl,
   apiKey,
   payload,
   model,
   retries,
   baseDelay,
   stream,
-  signal
+  signal,
+  stats
 }) {
-  const url = new URL(`${GEMINI_API_BASE_URL}/${getActionPath(model, { stream: false })}`);
-  url.searchParams.set('key', apiKey);
+  const request = provider.buildRequest({ baseUrl, apiKey, model, payload, stream });
 
-  const response = await fetchWithRetry(
-    url.toString(),
+  return fetchWithRetry(
+    request.url,
     {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(payload),
+      headers: request.headers,
+      body: JSON.stringify(request.body),
       signal
     },
-    { retries, baseDelay }
+    { retries, baseDelay, provider, stats }
   );
+}
 
-  return consumeJson(response);
+function toOutcome(error) {
+  return error?.name === 'AbortError' ? 'ABORTED' : error?.code ?? 'ERROR';
 }
 
-async function processResponse(json, { onChunk, streamOptions, signal }) {
-  const { text, candidate } = extractCandidatePayload(json);
-  assertSafety(json, candidate);
+// Every request waits its turn in the scheduler and then lands in the usage ledger. Failed requests are
+// recorded without tokens because they are not billed; a stopped stream is estimated from the text that
+// streamed before the stop, because those tokens were generated.
+async function trackUsage({
+  operation,
+  provider,
+  model,
+  estimatePromptTokens,
+  priority = 'normal',
+  signal,
+  onQueueStatus
+}, run) {
+  const stats = { retries: 0, streamedText: '' };
+  const queuedAt = Date.now();
+  let startedAt = queuedAt;
+  let result;
+  let outcome = 'OK';
 
-  if (text && typeof onChunk === 'function') {
-    await streamText(text, {
-      chunkSize: streamOptions?.chunkSize,
-      chunkDelay: streamOptions?.chunkDelay,
-      onChunk,
-      signal
+  try {
+    // the slot is held until a streamed response has been fully consumed
+    result = await scheduler.schedule(() => {
+      startedAt = Date.now();
+      return run(stats);
+    }, {
+      providerId: provider.id,
+      model,
+      tokens: estimatePromptTokens(),
+      priority,
+      label: operation,
+      signal,
+      onQueueStatus
     });
+    return result;
+  } catch (error) {
+    outcome = toOutcome(error);
+    throw error;
+  } finally {
+    const usage = result?.usageMetadata;
+    const billed = outcome === 'OK' || outcome === 'ABORTED';
+    const promptTokens = usage?.promptTokenCount ?? (billed ? estimatePromptTokens() : 0);
+    const replyText = result?.text ?? (billed ? stats.streamedText : '');
+    const candidatesTokens = usage?.candidatesTokenCount ?? (replyText ? estimateTextTokens(replyText) : 0);
+
+    recordUsage({
+      operation,
+      provider: provider.id,
+      model,
+      promptTokens,
+      candidatesTokens,
+      totalTokens: usage?.totalTokenCount ?? promptTokens + candidatesTokens,
+      estimated: !usage,
+      latencyMs: Date.now() - startedAt,
+      queuedMs: startedAt - queuedAt,
+      retries: stats.retries,
+      outcome
+    }).catch((error) => console.warn('Failed to record usage.', error));
+  }
+}
+
+async function enforceBudget({ model, pendingTokens }) {
+  const status = await checkBudget({ model, pendingTokens });
+
+  if (status.level === 'hard') {
+    throw new GeminiApiError(describeBudgetStatus(status), {
+      code: 'BUDGET_EXCEEDED',
+      details: status
+    });
+  }
+
+  return status;
+}
+
+async function* iterateStreamFrames(response, { provider, signal }) {
+  const decoder = provider.createStreamDecoder();
+  const contentType = response.headers?.get?.('content-type') ?? '';
+
+  if (provider.streamFormat === 'ndjson') {
+    for await (const line of readJsonLines(response, { signal })) {
+      yield* decoder.decode(line);
+    }
+  } else if (contentType.includes('text/event-stream')) {
+    for await (const data of readServerSentEvents(response, { signal })) {
+      yield* decoder.decode(data);
+    }
+  } else {
+    // without alt=sse (e.g. behind a proxy) Gemini answers with a JSON array of frames
+    const json = await consumeJson(response);
+    yield* (Array.isArray(json) ? json : [json]).map((frame) => provider.normalizeResponse(frame));
+  }
+
+  yield* decoder.flush();
+}
+
+function assertStreamFrame(frame) {
+  if (!frame?.error) {
+    return;
   }
 
+  throw new GeminiApiError(frame.error.message ?? 'Gemini reported an error mid-stream.', {
+    status: typeof frame.error.code === 'number' ? frame.error.code : null,
+    code: frame.error.status ?? 'STREAM_ERROR',
+    details: frame
+  });
+}
+
+function buildResult({ text, candidate, functionCalls, json }) {
   return {
     text,
     candidate,
+    functionCalls,
+    finishReason: candidate?.finishReason ?? null,
+    usageMetadata: json?.usageMetadata ?? null,
     promptFeedback: json?.promptFeedback ?? null,
+    grounding: extractGrounding(candidate),
     raw: json
   };
 }
 
-export async function sendMessage({
+async function processStream(response, { provider, onChunk, signal }) {
+  let text = '';
+  let candidate = null;
+  const functionCalls = [];
+  const citationSources = [];
+  let promptFeedback;
+  let usageMetadata;
+  let modelVersion;
+
+  for await (const frame of iterateStreamFrames(response, { provider, signal })) {
+    assertStreamFrame(frame);
+
+    const {
+      text: delta,
+      candidate: frameCandidate,
+      functionCalls: frameCalls
+    } = extractCandidatePayload(frame, { trim: false });
+    assertSafety(frame, frameCandidate);
+    functionCalls.push(...frameCalls);
+    citationSources.push(...(frameCandidate?.citationMetadata?.citationSources ?? []));
+
+    promptFeedback = frame.promptFeedback ?? promptFeedback;
+    usageMetadata = frame.usageMetadata ?? usageMetadata;
+    modelVersion = frame.modelVersion ?? modelVersion;
+
+    if (frameCandidate) {
+      candidate = {
+        ...candidate,
+        ...frameCandidate,
+        finishReason: frameCandidate.finishReason ?? candidate?.finishReason
+      };
+    }
+
+    if (delta) {
+      text += delta;
+      onChunk(delta);
+    }
+  }
+
+  if (candidate) {
+    candidate.content = {
+      role: candidate.content?.role ?? 'model',
+      parts: [
+        ...(text ? [{ text }] : []),
+        ...functionCalls.map((functionCall) => ({ functionCall }))
+      ]
+    };
+
+    // citation sources arrive with the frames they cover, so later frames would otherwise drop them
+    if (citationSources.length) {
+      candidate.citationMetadata = { citationSources: mergeCitationSources(citationSources) };
+    }
+  }
+
+  const json = {
+    candidates: candidate ? [candidate] : [],
+    promptFeedback,
+    usageMetadata,
+    modelVersion
+  };
+
+  // a prompt blocked before any candidate is produced only surfaces in promptFeedback
+  assertSafety(json, candidate);
+
+  return buildResult({ text: text.trim(), candidate, functionCalls, json });
+}
+
+function processResponse(raw, provider) {
+  const json = provider.normalizeResponse(raw);
+  const { text, candidate, functionCalls } = extractCandidatePayload(json);
+  assertSafety(json, candidate);
+
+  return buildResult({ text, candidate, functionCalls, json });
+}
+
+// a reply supplied by middleware looks like any other result and streams the same way a cache hit does
+async function toMiddlewareResult({ response, by }, { onChunk, signal }) {
+  const result = {
+    ...buildResult({ text: '', candidate: null, functionCalls: [], json: null }),
+    toolCalls: [],
+    ...response,
+    cached: false,
+    middleware: by
+  };
+
+  if (typeof onChunk === 'function' && result.text) {
+    await streamText(result.text, { onChunk, signal, chunkDelay: CACHED_CHUNK_DELAY_MS });
+    onChunk.flush?.();
+  }
+
+  return result;
+}
+
+// cache hits skip the scheduler and the ledger entirely, since they cost no quota
+async function fetchResult({ onChunk, signal, operation, priority, onQueueStatus, cache, ...request }) {
+  const stream = typeof onChunk === 'function';
+  const cacheKey = isCacheActive(cache)
+    ? await createCacheKey({
+      providerId: request.provider.id,
+      baseUrl: request.baseUrl,
+      model: request.model,
+      payload: request.payload
+    })
+    : null;
+  const cached = cacheKey ? await readCachedResponse(cacheKey, { mode: cache }) : null;
+
+  if (cached) {
+    // replayed through onChunk so streaming callers render a hit the same way as a live reply
+    if (stream) {
+      await streamText(cached.text, { onChunk, signal, chunkDelay: CACHED_CHUNK_DELAY_MS });
+    }
+
+    return { ...cached, cached: true };
+  }
+
+  const usage = {
+    operation,
+    provider: request.provider,
+    model: request.model,
+    estimatePromptTokens: () => estimateContentsTokens(request.payload.contents),
+    priority,
+    signal,
+    onQueueStatus
+  };
+
+  const result = await trackUsage(usage, async (stats) => {
+    const response = await executeRequest({ ...request, stream, signal, stats });
+
+    if (stream) {
+      const track = (delta) => {
+        stats.streamedText += delta;
+        onChunk(delta);
+      };
+
+      return processStream(response, { provider: request.provider, onChunk: track, signal });
+    }
+
+    return processResponse(await consumeJson(response), request.provider);
+  });
+
+  if (cacheKey && result.candidate) {
+    await writeCachedResponse(cacheKey, result, { mode: cache, model: request.model });
+  }
+
+  return { ...result, cached: false };
+}
+
+// beforeSend sees the payload of every model request (tool turns and summaries included) before the
+// response cache is consulted, and afterResponse sees every result, whether fetched, cached or supplied
+async function runRequest({ pipeline, operation = 'generate', cache = 'default', onChunk, signal, ...request }) {
+  const details = { operation, model: request.model };
+  const emit = pipeline.wrapOnChunk(onChunk, details);
+  const sent = await pipeline.beforeSend(request.payload, details);
+
+  if (sent.response) {
+    return pipeline.afterResponse(await toMiddlewareResult(sent, { onChunk: emit, signal }), details);
+  }
+
+  const result = await fetchResult({ ...request, payload: sent.value, operation, cache, onChunk: emit, signal });
+  emit?.flush?.();
+
+  return pipeline.afterResponse(result, details);
+}
+
+// onError sees whatever the call throws and may answer with context.respond() instead
+async function runWithMiddleware(pipeline, { onChunk, signal }, run) {
+  try {
+    return await run();
+  } catch (error) {
+    const handled = await pipeline.onError(error);
+
+    if (!handled.response) {
+      throw handled.value;
+    }
+
+    return toMiddlewareResult(handled, { onChunk: pipeline.wrapOnChunk(onChunk), signal });
+  }
+}
+
+async function runToolLoop({
+  payload,
+  tools,
+  maxToolIterations,
+  toolTimeout,
+  onToolCall,
+  signal,
+  ...request
+}) {
+  const toolCalls = [];
+  let iteration = 0;
+
+  while (true) {
+    const result = await runRequest({ ...request, payload, signal });
+
+    if (!result.functionCalls.length || !tools.length) {
+      return { ...result, toolCalls };
+    }
+
+    if (iteration >= maxToolIterations) {
+      throw new GeminiApiError(`Gemini kept requesting tools after ${maxToolIterations} iterations.`, {
+        code: 'TOOL_LOOP_LIMIT',
+        details: { toolCalls }
+      });
+    }
+
+    iteration += 1;
+
+    const responses = [];
+
+    for (const functionCall of result.functionCalls) {
+      onToolCall?.({ name: functionCall.name, args: functionCall.args ?? {}, status: 'running' });
+
+      const call = await executeToolCall(tools, functionCall, { timeout: toolTimeout, signal });
+      toolCalls.push(call);
+      onToolCall?.({ ...call, status: call.error ? 'error' : 'success' });
+
+      responses.push({
+        functionResponse: {
+          ...(functionCall.id ? { id: functionCall.id } : {}),
+          name: call.name,
+          response: call.response
+        }
+      });
+    }
+
+    payload.contents.push(
+      { role: 'model', parts: result.candidate.content.parts },
+      { role: 'user', parts: responses }
+    );
+  }
+}
+
+function buildSchemaRepairPrompt(errors) {
+  const listed = errors.slice(0, SCHEMA_REPAIR_MAX_ERRORS).map((error) => `- ${error}`).join('\n');
+
+  return `Your previous reply did not match the required JSON schema:\n${listed}\n\n`
+    + 'Reply again with only the corrected JSON, without Markdown fences or commentary.';
+}
+
+// Invalid replies are sent back with the validation errors for a bounded number of repair turns.
+// Only the first attempt streams, so callers replace the streamed text with the final result.text.
+// The repair turn repeats the model's own parts rather than result.text, which afterResponse hooks may
+// have rewritten for the caller (redaction restores the original values there).
+async function runStructuredRequest({ payload, responseSchema, maxSchemaRepairs, onChunk, ...request }) {
+  let repairs = 0;
+
+  while (true) {
+    const result = await runToolLoop({ ...request, payload, onChunk: repairs ? undefined : onChunk });
+    const output = parseJsonOutput(result.text);
+    const errors = output.errors.length ? output.errors : validateJsonSchema(output.value, responseSchema);
+
+    if (!errors.length) {
+      return { ...result, parsed: output.value, schemaRepairs: repairs };
+    }
+
+    if (repairs >= maxSchemaRepairs) {
+      throw new GeminiApiError(`The reply did not match the response schema: ${errors[0]}`, {
+        code: 'SCHEMA_VIOLATION',
+        details: { errors, text: result.text, repairs }
+      });
+    }
+
+    repairs += 1;
+    payload.contents.push(
+      { role: 'model', parts: result.candidate?.content?.parts ?? [{ text: result.text }] },
+      { role: 'user', parts: [{ text: buildSchemaRepairPrompt(errors) }] }
+    );
+  }
+}
+
+async function summarizeTurns(turns, request) {
+  const transcript = turns
+    .map((turn) => {
+      const text = turn.parts.map((part) => part.text ?? '').join('').slice(0, SUMMARY_TURN_MAX_CHARS);
+      return `${turn.role === 'model' ? 'Assistant' : 'User'}: ${text}`;
+    })
+    .join('\n\n');
+
+  const payload = buildChatPayload({
+    prompt: `Summarize the following conversation in a few sentences, keeping names, numbers, decisions, and open questions.\n\n${transcript}`,
+    generationConfig: { maxOutputTokens: SUMMARY_MAX_OUTPUT_TOKENS },
+    model: request.model
+  });
+
+  const result = await runRequest({ ...request, payload, operation: 'summary' });
+  return result.text;
+}
+
+export async function listModels({ apiKey, provider, baseUrl, signal } = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+
+  if (typeof resolved.provider.buildListModelsRequest !== 'function') {
+    return [];
+  }
+
+  const models = [];
+  let pageToken = null;
+
+  do {
+    const request = resolved.provider.buildListModelsRequest({ baseUrl: resolved.baseUrl, apiKey: key, pageToken });
+    const response = await fetchWithRetry(
+      request.url,
+      { method: 'GET', headers: request.headers, signal },
+      { retries: 1, provider: resolved.provider }
+    );
+    const page = resolved.provider.normalizeModelList(await consumeJson(response));
+
+    models.push(...page.models);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  return models;
+}
+
+function requireContextCaching(provider) {
+  if (typeof provider.buildCreateCacheRequest !== 'function') {
+    throw new GeminiApiError(`${provider.label} does not support context caching.`, {
+      code: 'UNSUPPORTED_FEATURE'
+    });
+  }
+}
+
+async function sendCacheRequest(request, { provider, signal }) {
+  const response = await fetchWithRetry(
+    request.url,
+    {
+      method: request.method,
+      headers: request.headers,
+      ...(request.body ? { body: JSON.stringify(request.body) } : {}),
+      signal
+    },
+    { retries: 1, provider }
+  );
+
+  return request.method === 'DELETE' ? null : consumeJson(response);
+}
+
+function rememberContextCache(cache) {
+  if (cache.displayName.startsWith(CONTEXT_CACHE_NAME_PREFIX)) {
+    contextCaches.set(cache.displayName.slice(CONTEXT_CACHE_NAME_PREFIX.length), cache);
+  }
+
+  return cache;
+}
+
+function forgetContextCache(name) {
+  contextCaches.forEach((cache, hash) => {
+    if (cache.name === name) contextCaches.delete(hash);
+  });
+}
+
+function hashCachedPrefix({ provider, baseUrl, model, prefix }) {
+  return createCacheKey({ providerId: provider.id, baseUrl, model, payload: prefix });
+}
+
+async function fetchContextCaches({ provider, baseUrl, apiKey, signal }) {
+  const caches = [];
+  let pageToken = null;
+
+  do {
+    const page = provider.normalizeCacheList(
+      await sendCacheRequest(provider.buildListCachesRequest({ baseUrl, apiKey, pageToken }), { provider, signal })
+    );
+
+    caches.push(...page.caches);
+    pageToken = page.nextPageToken;
+  } while (pageToken);
+
+  return caches;
+}
+
+export async function createContextCache({
+  apiKey,
+  knowledgeContext = [],
+  systemInstruction,
+  functionDeclarations = [],
+  toolConfig,
+  model,
+  provider,
+  baseUrl,
+  ttlSeconds = DEFAULT_CONTEXT_CACHE_TTL_SECONDS,
+  signal
+} = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+  requireContextCaching(resolved.provider);
+
+  const resolvedModel = model ?? resolved.provider.defaultModels.chat;
+  const prefix = buildCachedPrefix({ knowledgeContext, systemInstruction, functionDeclarations, toolConfig });
+
+  if (!prefix) {
+    throw new GeminiApiError('A context cache needs knowledge context to hold.', { code: 'EMPTY_CONTEXT_CACHE' });
+  }
+
+  const hash = await hashCachedPrefix({ ...resolved, model: resolvedModel, prefix });
+  const request = resolved.provider.buildCreateCacheRequest({
+    baseUrl: resolved.baseUrl,
+    apiKey: key,
+    model: resolvedModel,
+    prefix,
+    ttlSeconds,
+    displayName: `${CONTEXT_CACHE_NAME_PREFIX}${hash}`
+  });
+
+  return rememberContextCache(
+    resolved.provider.normalizeCachedContent(await sendCacheRequest(request, { provider: resolved.provider, signal }))
+  );
+}
+
+export async function listContextCaches({ apiKey, provider, baseUrl, signal } = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+  requireContextCaching(resolved.provider);
+
+  const caches = await fetchContextCaches({ ...resolved, apiKey: key, signal });
+  const live = new Set(caches.map((cache) => cache.name));
+
+  contextCaches.forEach((cache, hash) => {
+    if (!live.has(cache.name)) contextCaches.delete(hash);
+  });
+  caches.forEach(rememberContextCache);
+
+  return caches;
+}
+
+export async function refreshContextCache(name, {
+  apiKey,
+  provider,
+  baseUrl,
+  ttlSeconds = DEFAULT_CONTEXT_CACHE_TTL_SECONDS,
+  signal
+} = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+  requireContextCaching(resolved.provider);
+
+  const request = resolved.provider.buildUpdateCacheRequest({ baseUrl: resolved.baseUrl, apiKey: key, name, ttlSeconds });
+
+  return rememberContextCache(
+    resolved.provider.normalizeCachedContent(await sendCacheRequest(request, { provider: resolved.provider, signal }))
+  );
+}
+
+export async function deleteContextCache(name, { apiKey, provider, baseUrl, signal } = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+  requireContextCaching(resolved.provider);
+
+  await sendCacheRequest(resolved.provider.buildDeleteCacheRequest({ baseUrl: resolved.baseUrl, apiKey: key, name }), {
+    provider: resolved.provider,
+    signal
+  });
+  forgetContextCache(name);
+}
+
+// "auto" reuses a live cache whose prefix hash matches, or creates one when the prefix is big enough;
+// a failed lookup or creation only costs the saving, so the request then goes out with the prefix inline
+async function resolveContextCache(mode, { prefix, ttlSeconds, minTokens, ...request }) {
+  if (mode === 'off') {
+    return null;
+  }
+
+  if (mode !== 'auto') {
+    requireContextCaching(request.provider);
+    return { name: mode, created: false };
+  }
+
+  if (!prefix || typeof request.provider.buildCreateCacheRequest !== 'function') {
+    return null;
+  }
+
+  if (estimateContentsTokens(prefix.contents) < minTokens) {
+    return null;
+  }
+
+  const hash = await hashCachedPrefix({ ...request, prefix });
+  const scope = `${request.provider.id}|${request.baseUrl}`;
+
+  if (!contextCacheDiscovery.has(scope)) {
+    contextCacheDiscovery.set(
+      scope,
+      fetchContextCaches(request)
+        .then((caches) => caches.forEach(rememberContextCache))
+        .catch((error) => console.warn('Could not list existing context caches.', error))
+    );
+  }
+
+  await contextCacheDiscovery.get(scope);
+
+  const known = contextCaches.get(hash);
+
+  if (known && Date.parse(known.expireTime) - Date.now() > CONTEXT_CACHE_EXPIRY_MARGIN_MS) {
+    return { ...known, created: false };
+  }
+
+  try {
+    const created = await sendCacheRequest(
+      request.provider.buildCreateCacheRequest({
+        baseUrl: request.baseUrl,
+        apiKey: request.apiKey,
+        model: request.model,
+        prefix,
+        ttlSeconds,
+        displayName: `${CONTEXT_CACHE_NAME_PREFIX}${hash}`
+      }),
+      request
+    );
+
+    return { ...rememberContextCache(request.provider.normalizeCachedContent(created)), created: true };
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+
+    console.warn('Context cache unavailable, sending the knowledge context inline.', error);
+    return null;
+  }
+}
+
+// embedding and token-count calls only run beforeBuild hooks, so input rewrites such as redaction cover
+// them too; there is no reply to stream or post-process
+async function runBeforeBuild(middleware, details, input) {
+  return createMiddlewarePipeline(middleware, details).beforeBuild(input);
+}
+
+export async function embedContents({
+  apiKey,
+  texts = [],
+  model,
+  taskType,
+  provider,
+  baseUrl,
+  retries = 3,
+  baseDelay = 500,
+  priority = 'normal',
+  middleware = [],
+  onQueueStatus,
+  signal
+} = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+
+  if (typeof resolved.provider.buildEmbedRequest !== 'function') {
+    throw new GeminiApiError(`${resolved.provider.label} does not support embeddings.`, {
+      code: 'UNSUPPORTED_FEATURE'
+    });
+  }
+
+  const built = await runBeforeBuild(middleware, { operation: 'embedding', providerId: resolved.provider.id }, { texts, model, taskType });
+
+  if (built.response) {
+    return built.response.embeddings ?? [];
+  }
+
+  ({ texts, model, taskType } = built.value);
+
+  const batchSize = resolved.provider.embedBatchSize ?? texts.length;
+  const embeddings = [];
+
+  const resolvedModel = model ?? resolved.provider.defaultModels.embedding;
+
+  for (let index = 0; index < texts.length; index += batchSize) {
+    const batch = texts.slice(index, index + batchSize);
+    const request = resolved.provider.buildEmbedRequest({
+      baseUrl: resolved.baseUrl,
+      apiKey: key,
+      model: resolvedModel,
+      texts: batch,
+      taskType
+    });
+
+    const usage = {
+      operation: 'embedding',
+      provider: resolved.provider,
+      model: resolvedModel,
+      estimatePromptTokens: () => batch.reduce((sum, text) => sum + estimateTextTokens(text), 0),
+      priority,
+      signal,
+      onQueueStatus
+    };
+
+    const vectors = await trackUsage(usage, async (stats) => {
+      const response = await fetchWithRetry(
+        request.url,
+        {
+          method: 'POST',
+          headers: request.headers,
+          body: JSON.stringify(request.body),
+          signal
+        },
+        { retries, baseDelay, provider: resolved.provider, stats }
+      );
+
+      return resolved.provider.parseEmbeddings(await consumeJson(response));
+    });
+
+    embeddings.push(...vectors);
+  }
+
+  return embeddings;
+}
+
+export async function countTokens({
   apiKey,
   prompt,
   history = [],
   knowledgeContext = [],
+  attachments = [],
+  systemInstruction,
+  model,
+  provider,
+  baseUrl,
+  middleware = [],
+  signal
+} = {}) {
+  const resolved = resolveProvider({ provider, baseUrl });
+  const built = await runBeforeBuild(
+    middleware,
+    { operation: 'countTokens', providerId: resolved.provider.id },
+    { prompt, history, knowledgeContext, attachments, systemInstruction, model }
+  );
+
+  ({ prompt, history, knowledgeContext, attachments, systemInstruction, model } = built.value);
+
+  const resolvedModel = model ?? resolved.provider.defaultModels.chat;
+  const payload = buildChatPayload({
+    prompt,
+    history,
+    knowledgeContext,
+    attachments,
+    systemInstruction,
+    model: resolvedModel
+  });
+
+  const estimate = estimateContentsTokens(payload.contents);
+  const key = apiKey ?? getStoredOrCachedApiKey();
+
+  if (built.response?.totalTokens != null) {
+    return { totalTokens: built.response.totalTokens, estimated: false };
+  }
+
+  if (built.response || typeof resolved.provider.buildCountTokensRequest !== 'function' || (!key && resolved.provider.requiresApiKey)) {
+    return { totalTokens: estimate, estimated: true };
+  }
+
+  const request = resolved.provider.buildCountTokensRequest({
+    baseUrl: resolved.baseUrl,
+    apiKey: key,
+    model: resolvedModel,
+    payload
+  });
+
+  const response = await fetchWithRetry(
+    request.url,
+    {
+      method: 'POST',
+      headers: request.headers,
+      body: JSON.stringify(request.body),
+      signal
+    },
+    { retries: 1, provider: resolved.provider }
+  );
+
+  const totalTokens = resolved.provider.parseCountTokens(await consumeJson(response));
+
+  return totalTokens == null
+    ? { totalTokens: estimate, estimated: true }
+    : { totalTokens, estimated: false };
+}
+
+export async function sendMessage({ middleware = [], ...options } = {}) {
+  const { provider } = resolveProvider(options);
+  const pipeline = createMiddlewarePipeline(middleware, { operation: 'chat', providerId: provider.id });
+
+  return runWithMiddleware(pipeline, options, () => runChat(options, pipeline));
+}
+
+async function runChat({
+  apiKey,
+  prompt,
+  history = [],
+  knowledgeContext = [],
+  attachments = [],
   systemInstruction,
   generationConfig,
   safetySettings,
-  model = CHAT_MODEL,
+  responseSchema,
+  maxSchemaRepairs = DEFAULT_MAX_SCHEMA_REPAIRS,
+  model,
+  provider,
+  baseUrl,
+  contextWindow,
+  historyStrategy = 'drop',
+  tools = getRegisteredTools(),
+  toolConfig,
+  maxToolIterations = DEFAULT_MAX_TOOL_ITERATIONS,
+  toolTimeout,
+  onToolCall,
   retries = 3,
   baseDelay = 500,
+  enforceBudget: budgetEnforced = true,
+  priority = 'interactive',
+  onQueueStatus,
+  cache = 'default',
+  contextCache = 'off',
+  contextCacheTtlSeconds = DEFAULT_CONTEXT_CACHE_TTL_SECONDS,
+  contextCacheMinTokens = DEFAULT_CONTEXT_CACHE_MIN_TOKENS,
   onChunk,
-  streamOptions,
   signal
-} = {}) {
-  const key = requireApiKey(apiKey);
-
-  const payload = buildChatPayload({
+}, pipeline) {
+  const built = await pipeline.beforeBuild({
     prompt,
     history,
     knowledgeContext,
+    attachments,
     systemInstruction,
     generationConfig,
-    safetySettings
+    safetySettings,
+    model
   });
 
-  const json = await executeRequest({
+  if (built.response) {
+    return toMiddlewareResult(built, { onChunk: pipeline.wrapOnChunk(onChunk), signal });
+  }
+
+  ({ prompt, history, knowledgeContext, attachments, systemInstruction, generationConfig, safetySettings, model } = built.value);
+
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+  // Gemini rejects function calling combined with JSON mode, so structured requests go without tools
+  const resolvedTools = responseSchema ? [] : resolveTools(tools);
+  const resolvedConfig = responseSchema
+    ? { ...generationConfig, responseMimeType: 'application/json', responseSchema: assertJsonSchema(responseSchema) }
+    : generationConfig;
+  const resolvedModel = model ?? resolved.provider.defaultModels.chat;
+  const functionDeclarations = toFunctionDeclarations(resolvedTools);
+  const request = {
+    ...resolved,
     apiKey: key,
-    payload,
-    model,
+    model: resolvedModel,
     retries,
     baseDelay,
-    stream: Boolean(onChunk),
+    priority,
+    onQueueStatus,
+    cache,
+    pipeline,
     signal
+  };
+
+  const plan = planChatHistory({
+    prompt,
+    history,
+    knowledgeContext,
+    attachments,
+    systemInstruction,
+    tools: functionDeclarations,
+    model: resolvedModel,
+    contextWindow,
+    maxOutputTokens: generationConfig?.maxOutputTokens
+  });
+
+  if (budgetEnforced) {
+    await enforceBudget({ model: resolvedModel, pendingTokens: plan.totalTokens });
+  }
+
+  const historySummary = historyStrategy === 'summarize' && plan.dropped.length
+    ? await summarizeTurns(plan.dropped, request)
+    : undefined;
+
+  const resolvedToolConfig = responseSchema ? undefined : toolConfig;
+  let contextCacheInUse = await resolveContextCache(contextCache, {
+    ...request,
+    prefix: buildCachedPrefix({ knowledgeContext, systemInstruction, functionDeclarations, toolConfig: resolvedToolConfig }),
+    ttlSeconds: contextCacheTtlSeconds,
+    minTokens: contextCacheMinTokens
   });
 
-  return processResponse(json, { onChunk, streamOptions, signal });
+  let streamed = false;
+  const trackedOnChunk = typeof onChunk === 'function'
+    ? (delta) => {
+      streamed = true;
+      onChunk(delta);
+    }
+    : onChunk;
+
+  const run = (cachedContent) => {
+    const loop = {
+      ...request,
+      payload: buildChatPayload({
+        prompt,
+        history,
+        knowledgeContext,
+        attachments,
+        historySummary,
+        systemInstruction,
+        generationConfig: resolvedConfig,
+        safetySettings,
+        functionDeclarations,
+        toolConfig: resolvedToolConfig,
+        model: resolvedModel,
+        contextWindow,
+        cachedContent
+      }),
+      tools: resolvedTools,
+      maxToolIterations,
+      toolTimeout,
+      onToolCall,
+      onChunk: trackedOnChunk,
+      operation: 'chat'
+    };
+
+    return responseSchema ? runStructuredRequest({ ...loop, responseSchema, maxSchemaRepairs }) : runToolLoop(loop);
+  };
+
+  let result;
+
+  try {
+    result = await run(contextCacheInUse?.name);
+  } catch (error) {
+    // a reused cache can vanish before its recorded expiry, in which case the prefix is sent inline once;
+    // not after part of the reply has streamed, since the caller would see it twice
+    if (contextCache !== 'auto' || !contextCacheInUse || contextCacheInUse.created || streamed || ![403, 404].includes(error?.status)) {
+      throw error;
+    }
+
+    forgetContextCache(contextCacheInUse.name);
+    contextCacheInUse = null;
+    result = await run(undefined);
+  }
+
+  return {
+    ...result,
+    contextCache: contextCacheInUse
+      ? { name: contextCacheInUse.name, expireTime: contextCacheInUse.expireTime ?? null, created: contextCacheInUse.created }
+      : null,
+    historyBudget: {
+      contextWindow: plan.contextWindow,
+      budget: plan.budget,
+      droppedTurns: plan.dropped.length,
+      summarized: Boolean(historySummary)
+    }
+  };
+}
+
+export async function searchKnowledge({ middleware = [], ...options } = {}) {
+  const { provider } = resolveProvider(options);
+  const pipeline = createMiddlewarePipeline(middleware, { operation: 'knowledge', providerId: provider.id });
+
+  return runWithMiddleware(pipeline, options, () => runKnowledgeSearch(options, pipeline));
 }
 
-export async function searchKnowledge({
+async function runKnowledgeSearch({
   apiKey,
   query,
   history = [],
@@ -321,14 +1294,40 @@ export async function searchKnowledge({
   generationConfig,
   safetySettings,
   retrievalConfig,
-  model = KNOWLEDGE_MODEL,
+  model,
+  provider,
+  baseUrl,
+  contextWindow,
   retries = 3,
   baseDelay = 700,
+  enforceBudget: budgetEnforced = true,
+  priority = 'interactive',
+  onQueueStatus,
+  cache = 'default',
   onChunk,
-  streamOptions,
   signal
-} = {}) {
-  const key = requireApiKey(apiKey);
+}, pipeline) {
+  const built = await pipeline.beforeBuild({
+    query,
+    history,
+    knowledgeContext,
+    systemInstruction,
+    generationConfig,
+    safetySettings,
+    retrievalConfig,
+    model
+  });
+
+  if (built.response) {
+    return toMiddlewareResult(built, { onChunk: pipeline.wrapOnChunk(onChunk), signal });
+  }
+
+  ({ query, history, knowledgeContext, systemInstruction, generationConfig, safetySettings, retrievalConfig, model } = built.value);
+
+  const resolved = resolveProvider({ provider, baseUrl });
+  const key = requireApiKey(apiKey, resolved.provider);
+
+  const resolvedModel = model ?? resolved.provider.defaultModels.knowledge;
 
   const payload = buildKnowledgePayload({
     query,
@@ -337,20 +1336,33 @@ export async function searchKnowledge({
     systemInstruction,
     generationConfig,
     safetySettings,
-    retrievalConfig
+    retrievalConfig,
+    model: resolvedModel,
+    contextWindow
   });
 
-  const json = await executeRequest({
+  if (budgetEnforced) {
+    await enforceBudget({ model: resolvedModel, pendingTokens: estimateContentsTokens(payload.contents) });
+  }
+
+  return runRequest({
+    ...resolved,
     apiKey: key,
     payload,
-    model,
+    model: resolvedModel,
     retries,
     baseDelay,
-    stream: Boolean(onChunk),
-    signal
+    priority,
+    onQueueStatus,
+    cache,
+    pipeline,
+    onChunk,
+    signal,
+    operation: 'knowledge'
   });
-
-  return processResponse(json, { onChunk, streamOptions, signal });
 }
 
 export { GeminiApiError };
+export { configureResponseCache, clearResponseCache, getResponseCacheStats } from './responseCache.js';
+export { listProviders, registerProvider } from './providers/index.js';
+export { registerMiddleware, unregisterMiddleware } from './middleware.js';
@@ -0,0 +1,219 @@
+import { generateId } from './database.js';
+
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const MAX_TOTAL_ATTACHMENT_BYTES = 14 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 10;
+
+const SUPPORTED_MIME_TYPES = new Set([
+  'image/png',
+  'image/jpeg',
+  'image/webp',
+  'image/heic',
+  'image/heif',
+  'application/pdf',
+  'text/plain',
+  'audio/wav',
+  'audio/mp3',
+  'audio/mpeg',
+  'audio/aiff',
+  'audio/aac',
+  'audio/ogg',
+  'audio/flac'
+]);
+
+const MIME_ALIASES = {
+  'image/jpg': 'image/jpeg',
+  'audio/x-wav': 'audio/wav',
+  'audio/wave': 'audio/wav',
+  'audio/x-aiff': 'audio/aiff',
+  'audio/x-flac': 'audio/flac'
+};
+
+const EXTENSION_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  heic: 'image/heic',
+  heif: 'image/heif',
+  pdf: 'application/pdf',
+  txt: 'text/plain',
+  wav: 'audio/wav',
+  mp3: 'audio/mp3',
+  aif: 'audio/aiff',
+  aiff: 'audio/aiff',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  flac: 'audio/flac'
+};
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+function attachmentError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_ATTACHMENT';
+  return error;
+}
+
+function normalizeMimeType(mimeType) {
+  const lower = mimeType?.toLowerCase().split(';')[0].trim();
+  return MIME_ALIASES[lower] ?? lower ?? '';
+}
+
+function matchesSignature(bytes, signature, offset = 0) {
+  return signature.every((byte, index) => bytes[offset + index] === byte);
+}
+
+function ascii(text) {
+  return Array.from(text, (character) => character.charCodeAt(0));
+}
+
+function sniffMimeType(bytes) {
+  if (matchesSignature(bytes, [0x89, 0x50, 0x4e, 0x47])) return 'image/png';
+  if (matchesSignature(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (matchesSignature(bytes, ascii('%PDF'))) return 'application/pdf';
+  if (matchesSignature(bytes, ascii('RIFF')) && matchesSignature(bytes, ascii('WEBP'), 8)) return 'image/webp';
+  if (matchesSignature(bytes, ascii('RIFF')) && matchesSignature(bytes, ascii('WAVE'), 8)) return 'audio/wav';
+  if (matchesSignature(bytes, ascii('FORM')) && matchesSignature(bytes, ascii('AIFF'), 8)) return 'audio/aiff';
+  if (matchesSignature(bytes, ascii('OggS'))) return 'audio/ogg';
+  if (matchesSignature(bytes, ascii('fLaC'))) return 'audio/flac';
+  if (matchesSignature(bytes, ascii('ID3')) || matchesSignature(bytes, [0xff, 0xfb])) return 'audio/mp3';
+  if (matchesSignature(bytes, ascii('ftypheic'), 4)) return 'image/heic';
+  return null;
+}
+
+export function detectMimeType(file, bytes) {
+  const declared = normalizeMimeType(file?.type);
+
+  if (SUPPORTED_MIME_TYPES.has(declared)) {
+    return declared;
+  }
+
+  const sniffed = bytes ? sniffMimeType(bytes) : null;
+
+  if (sniffed) {
+    return sniffed;
+  }
+
+  const extension = file?.name?.split('.').pop()?.toLowerCase();
+  return EXTENSION_MIME_TYPES[extension] ?? declared;
+}
+
+export function isSupportedMimeType(mimeType) {
+  return SUPPORTED_MIME_TYPES.has(normalizeMimeType(mimeType));
+}
+
+export function estimateBase64Bytes(data) {
+  if (!data) {
+    return 0;
+  }
+
+  const padding = data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0;
+  return Math.floor((data.length * 3) / 4) - padding;
+}
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  const chunkSize = 0x8000;
+
+  for (let index = 0; index < bytes.length; index += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + chunkSize));
+  }
+
+  return btoa(binary);
+}
+
+// text files travel as base64 inlineData like everything else, so redaction decodes them to look inside
+export function isTextMimeType(mimeType) {
+  return /^text\/|^application\/(?:[\w.-]+\+)?(?:json|xml)$/.test(normalizeMimeType(mimeType));
+}
+
+export function decodeBase64Text(data) {
+  return new TextDecoder().decode(Uint8Array.from(atob(data), (character) => character.charCodeAt(0)));
+}
+
+export function encodeBase64Text(text) {
+  return bytesToBase64(new TextEncoder().encode(text));
+}
+
+export function validateInlineDataPart(part) {
+  const inlineData = part?.inlineData;
+
+  if (!inlineData || typeof inlineData !== 'object') {
+    throw attachmentError('Attachment part is missing inlineData.');
+  }
+
+  if (!isSupportedMimeType(inlineData.mimeType)) {
+    throw attachmentError(`Attachments of type "${inlineData.mimeType || 'unknown'}" are not supported.`);
+  }
+
+  if (typeof inlineData.data !== 'string' || !BASE64_PATTERN.test(inlineData.data)) {
+    throw attachmentError('Attachment data must be a base64 encoded string.');
+  }
+
+  if (estimateBase64Bytes(inlineData.data) > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError(`Attachments must be ${formatBytes(MAX_ATTACHMENT_BYTES)} or smaller.`);
+  }
+
+  return part;
+}
+
+export function validateAttachmentTotals(parts) {
+  const inlineParts = parts.filter((part) => part?.inlineData);
+
+  if (inlineParts.length > MAX_ATTACHMENTS) {
+    throw attachmentError(`A message may include at most ${MAX_ATTACHMENTS} attachments.`);
+  }
+
+  const total = inlineParts.reduce((sum, part) => sum + estimateBase64Bytes(part.inlineData.data), 0);
+
+  if (total > MAX_TOTAL_ATTACHMENT_BYTES) {
+    throw attachmentError(`Attachments may total at most ${formatBytes(MAX_TOTAL_ATTACHMENT_BYTES)} per message.`);
+  }
+}
+
+export function toInlineDataPart(attachment) {
+  return {
+    inlineData: {
+      mimeType: attachment.mimeType,
+      data: attachment.data
+    }
+  };
+}
+
+export async function readFileAsAttachment(file) {
+  if (!file) {
+    throw attachmentError('No file was provided.');
+  }
+
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    throw attachmentError(`"${file.name}" is ${formatBytes(file.size)}; attachments must be ${formatBytes(MAX_ATTACHMENT_BYTES)} or smaller.`);
+  }
+
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const mimeType = detectMimeType(file, bytes.subarray(0, 16));
+
+  if (!isSupportedMimeType(mimeType)) {
+    throw attachmentError(`"${file.name}" is not a supported image, PDF, text, or audio file.`);
+  }
+
+  return {
+    id: generateId('att-'),
+    name: file.name || 'attachment',
+    mimeType,
+    size: file.size,
+    data: bytesToBase64(bytes)
+  };
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,61 @@
+function createCell(tag, text) {
+  const cell = document.createElement(tag);
+  cell.textContent = text;
+  return cell;
+}
+
+function plural(count, word) {
+  return `${count.toLocaleString()} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatMs(value) {
+  return value == null ? '–' : `${value.toLocaleString()} ms`;
+}
+
+export function describeBatchProgress({ done, total, errors, passed, failed }) {
+  const details = [`${done.toLocaleString()}/${total.toLocaleString()} done`];
+
+  if (errors) details.push(plural(errors, 'error'));
+  if (passed || failed) details.push(`${passed.toLocaleString()} passed`, `${failed.toLocaleString()} failed`);
+
+  return details.join(' · ');
+}
+
+function describePassRate(summary) {
+  if (!summary.scored) {
+    return 'No items with expectations';
+  }
+
+  return `${Math.round(summary.passRate * 100)}% (${summary.passed.toLocaleString()} of ${summary.scored.toLocaleString()} scored)`;
+}
+
+// one row per error code so a dominant failure mode stands out
+export function renderBatchSummary(table, summary) {
+  if (!table) return;
+
+  table.replaceChildren();
+
+  const rows = [
+    ['Items', summary.total.toLocaleString()],
+    ['Completed', summary.completed.toLocaleString()],
+    ['Pass rate', describePassRate(summary)],
+    ['Errors', summary.errors.toLocaleString()],
+    ...Object.entries(summary.errorsByCode)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => [`  ${code}`, count.toLocaleString()]),
+    ...(summary.pending ? [['Not run yet', summary.pending.toLocaleString()]] : []),
+    ...Object.entries(summary.latency).map(([rank, value]) => [`Latency ${rank}`, formatMs(value)]),
+    ['Tokens (prompt → output)', `${summary.tokens.prompt.toLocaleString()} → ${summary.tokens.output.toLocaleString()}`]
+  ];
+
+  const body = document.createElement('tbody');
+
+  rows.forEach(([label, value]) => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell('th', label));
+    row.appendChild(createCell('td', value));
+    body.appendChild(row);
+  });
+
+  table.appendChild(body);
+}
@@ -0,0 +1,311 @@
+import { sendMessage } from './aiClient.js';
+import { parseJsonOutput, validateJsonSchema } from './jsonSchema.js';
+
+export const DEFAULT_BATCH_CONCURRENCY = 2;
+export const MAX_BATCH_CONCURRENCY = 8;
+export const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+// these fail every remaining item the same way, so the run stops instead of burning through the dataset
+const FATAL_ERROR_CODES = new Set(['API_KEY_INVALID', 'INVALID_API_KEY', 'MISSING_API_KEY', 'BUDGET_EXCEEDED']);
+const EXPECTATION_KEYS = ['exact', 'regex', 'flags', 'schema', 'keywords'];
+
+function batchError(message, code = 'INVALID_BATCH_FILE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function normalizeText(text) {
+  return String(text ?? '').trim().replace(/\s+/g, ' ');
+}
+
+function toExpectation(expected, location) {
+  if (expected == null) return null;
+
+  if (typeof expected === 'string') {
+    return { exact: expected };
+  }
+
+  if (typeof expected !== 'object' || Array.isArray(expected) || !Object.keys(expected).some((key) => EXPECTATION_KEYS.includes(key))) {
+    throw batchError(`${location}: "expected" must be a string or an object with ${EXPECTATION_KEYS.filter((key) => key !== 'flags').join(', ')}.`);
+  }
+
+  if (expected.regex != null) {
+    try {
+      new RegExp(expected.regex, expected.flags ?? '');
+    } catch (error) {
+      throw batchError(`${location}: ${error.message}`);
+    }
+  }
+
+  if (expected.keywords != null && (!Array.isArray(expected.keywords) || expected.keywords.some((keyword) => typeof keyword !== 'string'))) {
+    throw batchError(`${location}: "keywords" must be an array of strings.`);
+  }
+
+  if (expected.schema != null && (typeof expected.schema !== 'object' || Array.isArray(expected.schema))) {
+    throw batchError(`${location}: "schema" must be a JSON Schema object.`);
+  }
+
+  return expected;
+}
+
+function parseJsonLines(text, label, code) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      try {
+        return { row: JSON.parse(line), number };
+      } catch (error) {
+        throw batchError(`${label} ${number} is not valid JSON: ${error.message}`, code);
+      }
+    });
+}
+
+// each line is one item; promptField lets datasets that name the prompt differently be used as they are
+export function parseBatchDataset(text, { promptField = 'prompt' } = {}) {
+  const seen = new Set();
+  const items = parseJsonLines(text, 'Line', 'INVALID_BATCH_FILE')
+    .map(({ row, number }) => {
+      const prompt = row?.[promptField];
+
+      if (typeof prompt !== 'string' || !prompt.trim()) {
+        throw batchError(`Line ${number} needs a non-empty "${promptField}" string.`);
+      }
+
+      if (row.history != null && !Array.isArray(row.history)) {
+        throw batchError(`Line ${number}: "history" must be an array of turns.`);
+      }
+
+      const id = row.id != null ? String(row.id) : `line-${number}`;
+
+      if (seen.has(id)) {
+        throw batchError(`Line ${number} repeats the id "${id}".`);
+      }
+
+      seen.add(id);
+
+      const knowledgeContext = row.knowledgeContext ?? [];
+
+      return {
+        id,
+        line: number,
+        prompt,
+        history: row.history ?? [],
+        knowledgeContext: Array.isArray(knowledgeContext) ? knowledgeContext : [knowledgeContext],
+        systemInstruction: row.systemInstruction ?? undefined,
+        model: row.model ?? undefined,
+        expected: toExpectation(row.expected, `Line ${number}`)
+      };
+    });
+
+  if (!items.length) {
+    throw batchError('The dataset has no rows.');
+  }
+
+  return items;
+}
+
+// every check present in the expectation has to pass; details say why one did not
+export function scoreBatchOutput(text, expected) {
+  if (!expected) return null;
+
+  const checks = [];
+
+  if (expected.exact != null) {
+    const passed = normalizeText(text) === normalizeText(expected.exact);
+    checks.push({ scorer: 'exact', passed, ...(passed ? {} : { detail: 'The reply does not match the expected text.' }) });
+  }
+
+  if (expected.regex != null) {
+    const passed = new RegExp(expected.regex, expected.flags ?? '').test(text);
+    checks.push({ scorer: 'regex', passed, ...(passed ? {} : { detail: `The reply does not match /${expected.regex}/${expected.flags ?? ''}.` }) });
+  }
+
+  if (expected.schema != null) {
+    const { value, errors } = parseJsonOutput(text);
+    const problems = errors.length ? errors : validateJsonSchema(value, expected.schema);
+    checks.push({ scorer: 'schema', passed: !problems.length, ...(problems.length ? { detail: problems.slice(0, 3).join(' ') } : {}) });
+  }
+
+  if (expected.keywords != null) {
+    const lowered = text.toLowerCase();
+    const missing = expected.keywords.filter((keyword) => !lowered.includes(keyword.toLowerCase()));
+    checks.push({ scorer: 'keywords', passed: !missing.length, ...(missing.length ? { detail: `Missing ${missing.join(', ')}.` } : {}) });
+  }
+
+  return { passed: checks.every((check) => check.passed), checks };
+}
+
+function describeError(error) {
+  return { code: error?.code ?? 'UNKNOWN', status: error?.status ?? null, message: error?.message ?? String(error) };
+}
+
+async function runItem(item, request) {
+  const startedAt = performance.now();
+  const base = {
+    id: item.id,
+    line: item.line,
+    prompt: item.prompt,
+    model: item.model ?? request.model ?? null,
+    ...(item.expected ? { expected: item.expected } : {})
+  };
+
+  try {
+    const response = await sendMessage({
+      ...request,
+      prompt: item.prompt,
+      history: item.history,
+      knowledgeContext: item.knowledgeContext,
+      systemInstruction: item.systemInstruction ?? request.systemInstruction,
+      model: item.model ?? request.model
+    });
+    const text = response.text ?? '';
+
+    return {
+      ...base,
+      status: 'ok',
+      text,
+      finishReason: response.finishReason ?? null,
+      usageMetadata: response.usageMetadata ?? null,
+      cached: Boolean(response.cached),
+      latencyMs: Math.round(performance.now() - startedAt),
+      score: scoreBatchOutput(text, item.expected),
+      completedAt: new Date().toISOString()
+    };
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+
+    return {
+      ...base,
+      status: 'error',
+      latencyMs: Math.round(performance.now() - startedAt),
+      error: describeError(error),
+      completedAt: new Date().toISOString()
+    };
+  }
+}
+
+function countProgress(items, results) {
+  const finished = items.map((item) => results.get(item.id)).filter(Boolean);
+
+  return {
+    total: items.length,
+    done: finished.length,
+    errors: finished.filter((result) => result.status === 'error').length,
+    passed: finished.filter((result) => result.score?.passed === true).length,
+    failed: finished.filter((result) => result.score?.passed === false).length
+  };
+}
+
+// items that already have a successful result in `previous` are kept as they are, everything else is
+// (re)run; a stop or a fatal error leaves the rest unfinished so the next call picks up where this one ended
+export async function runBatch(items, {
+  previous = [],
+  concurrency = DEFAULT_BATCH_CONCURRENCY,
+  onProgress,
+  onResult,
+  signal,
+  ...request
+} = {}) {
+  const results = new Map(
+    previous.filter((result) => result.status === 'ok').map((result) => [result.id, result])
+  );
+  const pending = items.filter((item) => !results.has(item.id));
+  const workers = Math.min(Math.max(1, Math.round(concurrency) || 1), MAX_BATCH_CONCURRENCY, pending.length);
+  let cursor = 0;
+  let stoppedBy = null;
+
+  onProgress?.(countProgress(items, results));
+
+  async function work() {
+    while (cursor < pending.length && !stoppedBy) {
+      const item = pending[cursor];
+      cursor += 1;
+
+      let result;
+
+      try {
+        result = await runItem(item, { ...request, priority: 'background', signal });
+      } catch (error) {
+        stoppedBy = 'aborted';
+        return;
+      }
+
+      results.set(item.id, result);
+
+      if (result.status === 'error' && FATAL_ERROR_CODES.has(result.error.code)) {
+        stoppedBy = result.error.code;
+      }
+
+      onResult?.(result);
+      onProgress?.(countProgress(items, results));
+    }
+  }
+
+  await Promise.all(Array.from({ length: workers }, work));
+
+  return {
+    results: items.map((item) => results.get(item.id)).filter(Boolean),
+    remaining: items.filter((item) => !results.has(item.id) || results.get(item.id).status === 'error').length,
+    stoppedBy
+  };
+}
+
+export function exportBatchResults(results) {
+  return results.map((result) => JSON.stringify(result)).join('\n') + '\n';
+}
+
+export function parseBatchResults(text) {
+  return parseJsonLines(text, 'Result line', 'INVALID_BATCH_RESULTS')
+    .map(({ row, number }) => {
+      if (row?.id == null || !['ok', 'error'].includes(row.status)) {
+        throw batchError(`Result line ${number} needs an "id" and a "status" of ok or error.`, 'INVALID_BATCH_RESULTS');
+      }
+
+      return { ...row, id: String(row.id) };
+    });
+}
+
+// nearest-rank percentiles, so every reported value is a latency that was actually observed
+function percentile(sorted, rank) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((rank / 100) * sorted.length) - 1))];
+}
+
+export function summarizeBatch(items, results) {
+  const ok = results.filter((result) => result.status === 'ok');
+  const scored = ok.filter((result) => result.score);
+  const passed = scored.filter((result) => result.score.passed).length;
+  const latencies = ok.map((result) => result.latencyMs).sort((a, b) => a - b);
+  const errorsByCode = {};
+
+  results
+    .filter((result) => result.status === 'error')
+    .forEach((result) => {
+      errorsByCode[result.error.code] = (errorsByCode[result.error.code] ?? 0) + 1;
+    });
+
+  return {
+    total: items.length,
+    completed: ok.length,
+    errors: results.length - ok.length,
+    pending: items.length - results.length,
+    scored: scored.length,
+    passed,
+    passRate: scored.length ? passed / scored.length : null,
+    errorsByCode,
+    latency: Object.fromEntries(LATENCY_PERCENTILES.map((rank) => [`p${rank}`, percentile(latencies, rank)])),
+    tokens: ok.reduce(
+      (totals, result) => ({
+        prompt: totals.prompt + (result.usageMetadata?.promptTokenCount ?? 0),
+        output: totals.output + (result.usageMetadata?.candidatesTokenCount ?? 0)
+      }),
+      { prompt: 0, output: 0 }
+    )
+  };
+}
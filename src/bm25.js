@@ -0,0 +1,71 @@
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'how', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'what', 'when', 'where', 'which',
+  'who', 'why', 'will', 'with', 'you', 'your', 'do', 'does', 'can', 'i', 'we', 'our'
+]);
+
+export function tokenize(text) {
+  return (text ?? '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .match(/[\p{L}\p{N}]+/gu)
+    ?.filter((token) => token.length > 1 && !STOPWORDS.has(token)) ?? [];
+}
+
+export function createBm25Index(documents) {
+  const entries = documents.map((document) => {
+    const frequencies = new Map();
+    const tokens = tokenize(document.text);
+
+    tokens.forEach((token) => frequencies.set(token, (frequencies.get(token) ?? 0) + 1));
+
+    return { document, frequencies, length: tokens.length };
+  });
+
+  const documentFrequency = new Map();
+
+  entries.forEach(({ frequencies }) => {
+    frequencies.forEach((_, token) => documentFrequency.set(token, (documentFrequency.get(token) ?? 0) + 1));
+  });
+
+  const averageLength = entries.reduce((sum, entry) => sum + entry.length, 0) / (entries.length || 1);
+
+  function idf(token) {
+    const df = documentFrequency.get(token) ?? 0;
+    return Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+  }
+
+  return {
+    size: entries.length,
+    search(query, { topK = 5 } = {}) {
+      const queryTokens = Array.from(new Set(tokenize(query)));
+
+      if (!queryTokens.length) {
+        return [];
+      }
+
+      return entries
+        .map(({ document, frequencies, length }) => {
+          const score = queryTokens.reduce((sum, token) => {
+            const frequency = frequencies.get(token) ?? 0;
+
+            if (!frequency) {
+              return sum;
+            }
+
+            const normalization = K1 * (1 - B + (B * length) / (averageLength || 1));
+            return sum + idf(token) * ((frequency * (K1 + 1)) / (frequency + normalization));
+          }, 0);
+
+          return { document, score };
+        })
+        .filter((result) => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    }
+  };
+}
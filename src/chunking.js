@@ -0,0 +1,107 @@
+export const DEFAULT_CHUNK_SIZE = 1200;
+export const DEFAULT_CHUNK_OVERLAP = 200;
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*$/;
+
+function tail(text, length) {
+  if (text.length <= length) {
+    return text;
+  }
+
+  const slice = text.slice(text.length - length);
+  const boundary = slice.search(/\s/);
+  return boundary === -1 ? slice : slice.slice(boundary + 1);
+}
+
+function splitLongParagraph(paragraph, chunkSize, overlap) {
+  const pieces = [];
+  let start = 0;
+
+  while (start < paragraph.length) {
+    let end = Math.min(paragraph.length, start + chunkSize);
+
+    if (end < paragraph.length) {
+      const lastSpace = paragraph.lastIndexOf(' ', end);
+      if (lastSpace > start + chunkSize / 2) {
+        end = lastSpace;
+      }
+    }
+
+    pieces.push(paragraph.slice(start, end).trim());
+
+    if (end >= paragraph.length) {
+      break;
+    }
+
+    start = Math.max(start + 1, end - overlap);
+  }
+
+  return pieces.filter(Boolean);
+}
+
+function toParagraphs(text, format) {
+  const paragraphs = [];
+  let heading = null;
+
+  text
+    .replace(/\r\n?/g, '\n')
+    .split(/\n\s*\n/)
+    .map((block) => block.trim())
+    .filter(Boolean)
+    .forEach((block) => {
+      if (format === 'markdown') {
+        const firstLine = block.split('\n')[0];
+        const match = firstLine.match(HEADING_PATTERN);
+
+        if (match) {
+          heading = match[1];
+        }
+      }
+
+      paragraphs.push({ text: block, heading });
+    });
+
+  return paragraphs;
+}
+
+export function chunkText(text, { chunkSize = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP, format = 'text' } = {}) {
+  const chunks = [];
+  let current = '';
+  let currentHeading = null;
+  let hasFreshContent = false;
+
+  function flush() {
+    const trimmed = current.trim();
+
+    if (hasFreshContent && trimmed) {
+      chunks.push({ index: chunks.length, heading: currentHeading, text: trimmed });
+    }
+
+    // seed the next chunk with the tail of this one so answers spanning a boundary stay retrievable
+    current = trimmed ? tail(trimmed, overlap) : '';
+    hasFreshContent = false;
+  }
+
+  toParagraphs(text ?? '', format).forEach((paragraph) => {
+    const pieces = paragraph.text.length > chunkSize
+      ? splitLongParagraph(paragraph.text, chunkSize, overlap)
+      : [paragraph.text];
+
+    pieces.forEach((piece) => {
+      if (hasFreshContent && current.length + piece.length + 2 > chunkSize) {
+        flush();
+      }
+
+      if (!hasFreshContent) {
+        currentHeading = paragraph.heading;
+      }
+
+      current = current ? `${current}\n\n${piece}` : piece;
+      hasFreshContent = true;
+    });
+  });
+
+  flush();
+
+  return chunks;
+}
@@ -0,0 +1,177 @@
+import { sanitizeUrl } from './markdown.js';
+
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+const SOURCE_SNIPPET_MAX_CHARS = 280;
+
+let sourceListCounter = 0;
+
+function truncateSnippet(text) {
+  const singleLine = (text ?? '').replace(/\s+/g, ' ').trim();
+
+  if (singleLine.length <= SOURCE_SNIPPET_MAX_CHARS) {
+    return singleLine;
+  }
+
+  return `${singleLine.slice(0, SOURCE_SNIPPET_MAX_CHARS - 1).trimEnd()}…`;
+}
+
+// knowledge entries are numbered by their position in the prompt, so only entries that point at a
+// stored chunk become sources, but they keep the number the model saw
+export function toCitationSources(knowledgeContext = []) {
+  return knowledgeContext
+    .map((entry, index) => ({ entry, number: index + 1 }))
+    .filter(({ entry }) => entry?.source)
+    .map(({ entry, number }) => ({
+      number,
+      title: entry.title,
+      snippet: truncateSnippet(entry.snippet),
+      documentId: entry.source.documentId,
+      chunkId: entry.source.chunkId
+    }));
+}
+
+function createCitationLink(number, anchors) {
+  const link = document.createElement('a');
+  link.className = 'citation';
+  link.href = `#${anchors.get(number)}`;
+  link.textContent = `[${number}]`;
+  link.addEventListener('click', (event) => {
+    const target = document.getElementById(anchors.get(number));
+    if (!target) return;
+
+    event.preventDefault();
+    target.open = true;
+    target.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  });
+  return link;
+}
+
+function linkifyText(text, anchors) {
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(CITATION_PATTERN)) {
+    const numbers = match[1].split(',').map((value) => Number(value.trim()));
+
+    if (!numbers.every((number) => anchors.has(number))) {
+      continue;
+    }
+
+    fragment.append(text.slice(lastIndex, match.index));
+    numbers.forEach((number) => fragment.append(createCitationLink(number, anchors)));
+    lastIndex = match.index + match[0].length;
+  }
+
+  if (lastIndex === 0) {
+    return null;
+  }
+
+  fragment.append(text.slice(lastIndex));
+  return fragment;
+}
+
+// walks text nodes rather than rewriting textContent so rendered markdown stays intact, and leaves
+// code and existing links alone since "[1]" there is content, not a citation
+export function linkifyCitations(body, sources) {
+  const anchors = new Map(sources.map((source) => [source.number, source.anchorId]));
+
+  if (!body || !anchors.size) {
+    return;
+  }
+
+  const walker = document.createTreeWalker(body, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+
+  while (walker.nextNode()) {
+    if (!walker.currentNode.parentElement?.closest('a, code, pre, .math')) {
+      textNodes.push(walker.currentNode);
+    }
+  }
+
+  textNodes.forEach((node) => {
+    const fragment = linkifyText(node.textContent, anchors);
+
+    if (fragment) {
+      node.replaceWith(fragment);
+    }
+  });
+}
+
+// grounding and imported transcripts supply the URI, so anything but http(s) and mailto stays plain text
+function createSourceLabel(source) {
+  const href = sanitizeUrl(source.uri);
+
+  if (!href) {
+    return document.createTextNode(source.title);
+  }
+
+  const link = document.createElement('a');
+  link.href = href;
+  link.target = '_blank';
+  link.rel = 'noopener noreferrer';
+  link.textContent = source.title;
+  return link;
+}
+
+export function renderMessageSources(body, sources) {
+  const message = body?.parentElement;
+  if (!message || !sources?.length) return [];
+
+  const listId = `sources-${(sourceListCounter += 1)}`;
+  const list = document.createElement('ol');
+  list.className = 'message-sources';
+
+  const anchored = sources.map((source) => ({ ...source, anchorId: `${listId}-${source.number}` }));
+
+  anchored.forEach((source) => {
+    const item = document.createElement('li');
+    item.value = source.number;
+
+    const details = document.createElement('details');
+    details.id = source.anchorId;
+
+    if (source.chunkId) {
+      details.dataset.chunkId = source.chunkId;
+    }
+
+    const summary = document.createElement('summary');
+    summary.appendChild(createSourceLabel(source));
+
+    if (typeof source.confidence === 'number') {
+      const confidence = document.createElement('span');
+      confidence.className = 'source-confidence';
+      confidence.textContent = ` · ${Math.round(source.confidence * 100)}% confidence`;
+      summary.appendChild(confidence);
+    }
+
+    details.appendChild(summary);
+
+    if (source.snippet) {
+      const snippet = document.createElement('blockquote');
+      snippet.textContent = source.snippet;
+      details.appendChild(snippet);
+    }
+
+    item.appendChild(details);
+    list.appendChild(item);
+  });
+
+  message.appendChild(list);
+  linkifyCitations(body, anchored);
+
+  return anchored;
+}
+
+// Google requires the search suggestions chip to be shown as-is; a sandboxed frame keeps its markup
+// and styles from leaking into the page while still letting its links open in a new tab
+export function renderSearchEntryPoint(body, html) {
+  const message = body?.parentElement;
+  if (!message || !html) return;
+
+  const frame = document.createElement('iframe');
+  frame.className = 'search-entry-point';
+  frame.title = 'Google Search suggestions';
+  frame.setAttribute('sandbox', 'allow-popups allow-popups-to-escape-sandbox');
+  frame.srcdoc = html;
+  message.appendChild(frame);
+}
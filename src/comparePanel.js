@@ -0,0 +1,137 @@
+import { formatComparisonStats, MIN_COMPARISON_VARIANTS } from './comparison.js';
+import { renderModelOptions } from './settingsPanel.js';
+
+function createButton(label, text, onClick, className = 'icon-button') {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = className;
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function createNumberField(labelText, name, { min, max, step, value }) {
+  const label = document.createElement('label');
+  label.className = 'settings-field';
+  label.textContent = labelText;
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.name = name;
+  input.min = min;
+  input.step = step;
+  input.placeholder = 'Chat setting';
+  input.value = value ?? '';
+
+  if (max != null) {
+    input.max = max;
+  }
+
+  label.appendChild(input);
+  return label;
+}
+
+export function renderCompareVariants(container, variants, { models = [], defaultModelId, onRemove } = {}) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  variants.forEach((variant, index) => {
+    const row = document.createElement('div');
+    row.className = 'compare-variant settings-grid';
+
+    const modelField = document.createElement('label');
+    modelField.className = 'settings-field';
+    modelField.textContent = `Variant ${String.fromCharCode(65 + index)}`;
+
+    const select = document.createElement('select');
+    select.name = 'model';
+    renderModelOptions(select, models, { selectedId: variant.model, defaultModelId });
+    modelField.appendChild(select);
+
+    const remove = createButton(`Remove variant ${String.fromCharCode(65 + index)}`, '✕', () => onRemove?.(index));
+    remove.disabled = variants.length <= MIN_COMPARISON_VARIANTS;
+
+    row.appendChild(modelField);
+    row.appendChild(createNumberField('Temperature', 'temperature', { min: 0, max: 2, step: 0.05, value: variant.generationConfig?.temperature }));
+    row.appendChild(createNumberField('Max output tokens', 'maxOutputTokens', { min: 1, step: 1, value: variant.generationConfig?.maxOutputTokens }));
+    row.appendChild(remove);
+    container.appendChild(row);
+  });
+}
+
+function readNumber(input) {
+  const value = input?.value.trim();
+  return value ? Number(value) : undefined;
+}
+
+export function readCompareVariants(container) {
+  return Array.from(container?.querySelectorAll('.compare-variant') ?? [], (row) => ({
+    model: row.querySelector('[name="model"]').value,
+    generationConfig: {
+      temperature: readNumber(row.querySelector('[name="temperature"]')),
+      maxOutputTokens: readNumber(row.querySelector('[name="maxOutputTokens"]'))
+    }
+  }));
+}
+
+export function renderComparisonColumns(container, variants) {
+  if (!container) return [];
+
+  container.replaceChildren();
+
+  return variants.map((variant) => {
+    const column = document.createElement('article');
+    column.className = 'compare-column';
+
+    const title = document.createElement('div');
+    title.className = 'message-title';
+    title.textContent = variant.label;
+
+    const body = document.createElement('div');
+    body.className = 'message-body';
+
+    const stats = document.createElement('p');
+    stats.className = 'hint compare-stats';
+    stats.textContent = 'Waiting for a reply…';
+
+    const actions = document.createElement('div');
+    actions.className = 'button-row compare-actions';
+
+    column.appendChild(title);
+    column.appendChild(body);
+    column.appendChild(stats);
+    column.appendChild(actions);
+    container.appendChild(column);
+
+    return { column, body, stats, actions };
+  });
+}
+
+// decided comparisons keep their votes visible but no longer offer a pick
+export function renderComparisonResult(target, result, { vote = 0, winner = false, decided = false, onVote, onPick } = {}) {
+  if (!target) return;
+
+  target.stats.textContent = formatComparisonStats(result);
+  target.column.classList.toggle('winner', winner);
+  target.column.classList.toggle('failed', result.status === 'error');
+  target.actions.replaceChildren();
+
+  const upvote = createButton('Vote up', '👍', () => onVote?.(vote === 1 ? 0 : 1));
+  const downvote = createButton('Vote down', '👎', () => onVote?.(vote === -1 ? 0 : -1));
+  upvote.setAttribute('aria-pressed', String(vote === 1));
+  downvote.setAttribute('aria-pressed', String(vote === -1));
+  target.actions.appendChild(upvote);
+  target.actions.appendChild(downvote);
+
+  if (winner) {
+    const badge = document.createElement('span');
+    badge.className = 'message-flag';
+    badge.textContent = 'Continued in chat';
+    target.actions.appendChild(badge);
+  } else if (!decided && result.text && result.status !== 'error') {
+    target.actions.appendChild(createButton('Continue the chat with this reply', 'Use this reply', () => onPick?.(), 'secondary'));
+  }
+}
@@ -0,0 +1,229 @@
+import { sendMessage } from './aiClient.js';
+
+export const COMPARISON_FORMAT = 'sj-assistant.comparison';
+export const COMPARISON_VERSION = 1;
+export const MIN_COMPARISON_VARIANTS = 2;
+export const MAX_COMPARISON_VARIANTS = 4;
+
+const VOTE_LABELS = { '-1': '👎', 0: '', 1: '👍' };
+
+function comparisonError(message, code = 'INVALID_COMPARISON') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function describeSettings(generationConfig = {}) {
+  return Object.entries(generationConfig)
+    .filter(([, value]) => value != null)
+    .map(([name, value]) => `${name}=${value}`)
+    .join(', ');
+}
+
+// each variant inherits the chat's settings and only overrides what it sets itself
+export function resolveComparisonVariants(variants, base = {}) {
+  if (!Array.isArray(variants) || variants.length < MIN_COMPARISON_VARIANTS || variants.length > MAX_COMPARISON_VARIANTS) {
+    throw comparisonError(`Compare between ${MIN_COMPARISON_VARIANTS} and ${MAX_COMPARISON_VARIANTS} model variants.`);
+  }
+
+  return variants.map((variant, index) => {
+    const overrides = Object.fromEntries(
+      Object.entries(variant.generationConfig ?? {}).filter(([, value]) => value != null)
+    );
+    const model = variant.model || base.model;
+
+    if (!model) {
+      throw comparisonError(`Variant ${index + 1} needs a model.`);
+    }
+
+    const settings = describeSettings(overrides);
+
+    return {
+      label: variant.label?.trim() || `${String.fromCharCode(65 + index)}: ${model}${settings ? ` (${settings})` : ''}`,
+      model,
+      systemInstruction: variant.systemInstruction ?? base.systemInstruction,
+      generationConfig: { ...base.generationConfig, ...overrides },
+      safetySettings: base.safetySettings,
+      overrides
+    };
+  });
+}
+
+// a failed or stopped column never rejects the whole run, so the other replies stay comparable
+async function runVariant(variant, index, { onChunk, signal, ...request }) {
+  const startedAt = performance.now();
+  let firstChunkMs = null;
+  let partial = '';
+
+  try {
+    const response = await sendMessage({
+      ...request,
+      model: variant.model,
+      systemInstruction: variant.systemInstruction,
+      generationConfig: variant.generationConfig,
+      safetySettings: variant.safetySettings,
+      signal,
+      onChunk: (chunk) => {
+        firstChunkMs ??= Math.round(performance.now() - startedAt);
+        partial += chunk;
+        onChunk?.(index, chunk);
+      }
+    });
+
+    return {
+      status: 'done',
+      text: response.text ?? '',
+      finishReason: response.finishReason ?? null,
+      usageMetadata: response.usageMetadata ?? null,
+      cached: Boolean(response.cached),
+      latencyMs: Math.round(performance.now() - startedAt),
+      firstChunkMs
+    };
+  } catch (error) {
+    return {
+      status: error?.name === 'AbortError' ? 'stopped' : 'error',
+      text: partial.trim(),
+      finishReason: null,
+      usageMetadata: null,
+      cached: false,
+      latencyMs: Math.round(performance.now() - startedAt),
+      firstChunkMs,
+      error
+    };
+  }
+}
+
+// variants come from resolveComparisonVariants; onChunk receives the variant index with each delta
+export async function runComparison({ prompt, variants, onChunk, signal, ...request }) {
+  const results = await Promise.all(
+    variants.map((variant, index) => runVariant(variant, index, { ...request, prompt, onChunk, signal }))
+  );
+
+  return {
+    prompt,
+    createdAt: new Date().toISOString(),
+    variants,
+    results,
+    votes: variants.map(() => 0),
+    winnerIndex: null
+  };
+}
+
+export function setComparisonVote(comparison, index, vote) {
+  if (!comparison.variants[index] || ![-1, 0, 1].includes(vote)) {
+    throw comparisonError('Votes are -1, 0, or 1 for an existing variant.');
+  }
+
+  comparison.votes[index] = vote;
+  return comparison;
+}
+
+export function pickComparisonWinner(comparison, index) {
+  const result = comparison.results[index];
+
+  if (!result?.text || result.status === 'error') {
+    throw comparisonError('Only a variant that produced a reply can be picked.');
+  }
+
+  if (comparison.winnerIndex !== null) {
+    throw comparisonError('A winner has already been picked for this comparison.', 'COMPARISON_DECIDED');
+  }
+
+  comparison.winnerIndex = index;
+  return result;
+}
+
+export function formatComparisonStats(result) {
+  const usage = result.usageMetadata;
+  const stats = [`${(result.latencyMs / 1000).toFixed(1)} s`];
+
+  if (result.firstChunkMs != null) {
+    stats.push(`first token ${(result.firstChunkMs / 1000).toFixed(1)} s`);
+  }
+
+  if (usage) {
+    stats.push(`${usage.promptTokenCount ?? '?'} → ${usage.candidatesTokenCount ?? '?'} tokens`);
+  }
+
+  if (result.cached) {
+    stats.push('cached');
+  }
+
+  stats.push(result.status === 'done' ? result.finishReason ?? 'no finish reason' : result.status);
+  return stats.join(' · ');
+}
+
+function toReportEntry(variant, index, comparison) {
+  const result = comparison.results[index];
+
+  return {
+    label: variant.label,
+    model: variant.model,
+    generationConfig: variant.overrides,
+    status: result.status,
+    latencyMs: result.latencyMs,
+    firstChunkMs: result.firstChunkMs,
+    finishReason: result.finishReason,
+    usageMetadata: result.usageMetadata,
+    cached: result.cached,
+    vote: comparison.votes[index],
+    winner: comparison.winnerIndex === index,
+    text: result.text,
+    ...(result.error ? { error: result.error.message } : {})
+  };
+}
+
+export function exportComparisonJson(comparison) {
+  return JSON.stringify(
+    {
+      format: COMPARISON_FORMAT,
+      version: COMPARISON_VERSION,
+      createdAt: comparison.createdAt,
+      prompt: comparison.prompt,
+      variants: comparison.variants.map((variant, index) => toReportEntry(variant, index, comparison))
+    },
+    null,
+    2
+  );
+}
+
+function escapeTableCell(text) {
+  return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+export function exportComparisonMarkdown(comparison) {
+  const entries = comparison.variants.map((variant, index) => toReportEntry(variant, index, comparison));
+  const lines = [
+    '# Model comparison',
+    '',
+    `- Run: ${comparison.createdAt}`,
+    '',
+    '> **Prompt**',
+    ...comparison.prompt.trim().split('\n').map((line) => `> ${line}`),
+    '',
+    '| Variant | Latency | Prompt → output tokens | Finish | Vote |',
+    '| --- | --- | --- | --- | --- |'
+  ];
+
+  entries.forEach((entry) => {
+    const usage = entry.usageMetadata;
+    const cells = [
+      `${escapeTableCell(entry.label)}${entry.winner ? ' 🏆' : ''}`,
+      `${(entry.latencyMs / 1000).toFixed(1)} s`,
+      usage ? `${usage.promptTokenCount ?? '?'} → ${usage.candidatesTokenCount ?? '?'}` : '–',
+      entry.status === 'done' ? entry.finishReason ?? '–' : entry.status,
+      VOTE_LABELS[entry.vote]
+    ];
+
+    lines.push(`| ${cells.join(' | ')} |`);
+  });
+
+  lines.push('');
+
+  entries.forEach((entry) => {
+    lines.push(`## ${entry.label}${entry.winner ? ' (winner)' : ''}`, '');
+    lines.push(entry.text || (entry.error ? `_Failed: ${entry.error}_` : '_(empty)_'), '');
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
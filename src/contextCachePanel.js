@@ -0,0 +1,66 @@
+function createButton(label, text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'secondary';
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+function describeExpiry(expireTime, now = Date.now()) {
+  const remaining = Date.parse(expireTime) - now;
+
+  if (!Number.isFinite(remaining)) return 'no expiry reported';
+  if (remaining <= 0) return 'expired';
+
+  const minutes = Math.round(remaining / 60000);
+  return minutes < 1 ? 'expires in under a minute' : `expires in ${minutes.toLocaleString()} min`;
+}
+
+export function describeContextCache(cache) {
+  const details = [cache.model?.replace(/^models\//, '') ?? 'unknown model'];
+
+  if (cache.tokenCount != null) details.push(`${cache.tokenCount.toLocaleString()} tokens`);
+  details.push(describeExpiry(cache.expireTime));
+
+  return details.join(' · ');
+}
+
+export function renderContextCacheList(list, caches, { onExtend, onDelete, emptyText = 'No context caches on the server.' } = {}) {
+  if (!list) return;
+
+  list.replaceChildren();
+
+  if (!caches.length) {
+    const empty = document.createElement('li');
+    empty.className = 'hint';
+    empty.textContent = emptyText;
+    list.appendChild(empty);
+    return;
+  }
+
+  caches.forEach((cache) => {
+    const item = document.createElement('li');
+    item.className = 'context-cache-item';
+
+    const name = document.createElement('code');
+    name.textContent = cache.name;
+    name.title = cache.displayName || cache.name;
+
+    const details = document.createElement('span');
+    details.className = 'hint';
+    details.textContent = describeContextCache(cache);
+
+    const actions = document.createElement('div');
+    actions.className = 'button-row';
+    actions.appendChild(createButton(`Extend ${cache.name}`, 'Extend', () => onExtend?.(cache)));
+    actions.appendChild(createButton(`Delete ${cache.name}`, 'Delete', () => onDelete?.(cache)));
+
+    item.appendChild(name);
+    item.appendChild(details);
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+}
@@ -0,0 +1,47 @@
+function createIconButton(label, symbol, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-button';
+  button.textContent = symbol;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export function renderConversationList(container, conversations, { activeId, onSelect, onRename, onDelete } = {}) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  if (!conversations.length) {
+    const empty = document.createElement('li');
+    empty.className = 'conversation-empty';
+    empty.textContent = 'No saved chats yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  conversations.forEach((conversation) => {
+    const item = document.createElement('li');
+    item.className = 'conversation-item';
+    item.classList.toggle('active', conversation.id === activeId);
+
+    const select = document.createElement('button');
+    select.type = 'button';
+    select.className = 'conversation-select';
+    select.textContent = conversation.title;
+    select.title = conversation.title;
+
+    if (conversation.id === activeId) {
+      select.setAttribute('aria-current', 'true');
+    }
+
+    select.addEventListener('click', () => onSelect?.(conversation));
+
+    item.appendChild(select);
+    item.appendChild(createIconButton(`Rename "${conversation.title}"`, '✎', () => onRename?.(conversation)));
+    item.appendChild(createIconButton(`Delete "${conversation.title}"`, '✕', () => onDelete?.(conversation)));
+    container.appendChild(item);
+  });
+}
@@ -0,0 +1,356 @@
+import { createRecordStore, generateId } from './database.js';
+import { hasWindowStorage } from './storage.js';
+
+const ACTIVE_CONVERSATION_KEY = 'sj-assistant.activeConversation';
+const DEFAULT_TITLE = 'New chat';
+const TITLE_MAX_LENGTH = 48;
+
+const records = createRecordStore('conversations');
+let inMemoryActiveId = null;
+
+function conversationNotFound(id) {
+  const error = new Error(`Conversation "${id}" was not found.`);
+  error.code = 'CONVERSATION_NOT_FOUND';
+  return error;
+}
+
+function messageNotFound(id) {
+  const error = new Error(`Message "${id}" was not found in this conversation.`);
+  error.code = 'MESSAGE_NOT_FOUND';
+  return error;
+}
+
+function partsToText(parts) {
+  if (!parts) {
+    return '';
+  }
+
+  const list = Array.isArray(parts) ? parts : [parts];
+
+  return list
+    .map((part) => (typeof part === 'string' ? part : part?.text ?? ''))
+    .join('');
+}
+
+export function deriveConversationTitle(text) {
+  const singleLine = partsToText(text).replace(/\s+/g, ' ').trim();
+
+  if (!singleLine) {
+    return DEFAULT_TITLE;
+  }
+
+  if (singleLine.length <= TITLE_MAX_LENGTH) {
+    return singleLine;
+  }
+
+  return `${singleLine.slice(0, TITLE_MAX_LENGTH - 1).trimEnd()}…`;
+}
+
+function createNode(entry, parentId, { id = generateId('msg-'), createdAt = new Date().toISOString() } = {}) {
+  return {
+    ...entry,
+    id,
+    parentId,
+    childIds: [],
+    activeChildId: null,
+    createdAt
+  };
+}
+
+function isSameEntry(node, entry) {
+  return node.role === entry.role && JSON.stringify(node.parts) === JSON.stringify(entry.parts);
+}
+
+// Each thread is a linear list of entries. Threads that start with the same messages share those
+// nodes and split into sibling branches where they differ; the last thread becomes active.
+function buildTreeFromThreads(threads) {
+  const tree = { nodes: {}, rootIds: [], activeRootId: null };
+
+  threads.forEach((thread) => {
+    let parentId = null;
+
+    thread.forEach((entry) => {
+      const siblingIds = parentId ? tree.nodes[parentId].childIds : tree.rootIds;
+      let node = siblingIds.map((siblingId) => tree.nodes[siblingId]).find((sibling) => isSameEntry(sibling, entry));
+
+      if (!node) {
+        node = createNode(entry, parentId);
+        tree.nodes[node.id] = node;
+        siblingIds.push(node.id);
+      }
+
+      selectNode(tree, node);
+      parentId = node.id;
+    });
+  });
+
+  return tree;
+}
+
+// conversations saved before branching existed only have a flat history array; the tree is rebuilt on every
+// read until the next write saves it, so ids come from each entry's position and stay the same between reads
+function migrateFlatHistory(record) {
+  const tree = { nodes: {}, rootIds: [], activeRootId: null };
+  let parentId = null;
+
+  (record.history ?? []).forEach((entry, index) => {
+    const node = createNode(entry, parentId, { id: `${record.id}-${index}`, createdAt: record.updatedAt ?? record.createdAt });
+    tree.nodes[node.id] = node;
+
+    if (parentId) {
+      tree.nodes[parentId].childIds.push(node.id);
+    } else {
+      tree.rootIds.push(node.id);
+    }
+
+    selectNode(tree, node);
+    parentId = node.id;
+  });
+
+  return { ...record, ...tree };
+}
+
+export function getActivePath(conversation) {
+  const path = [];
+  let node = conversation?.nodes?.[conversation.activeRootId];
+
+  while (node) {
+    path.push(node);
+    node = conversation.nodes[node.activeChildId];
+  }
+
+  return path;
+}
+
+export function getSiblingIds(conversation, nodeId) {
+  const node = conversation?.nodes?.[nodeId];
+  if (!node) return [];
+
+  return node.parentId ? conversation.nodes[node.parentId].childIds : conversation.rootIds;
+}
+
+// history is derived from the tree on every read and never written back
+function hydrate(record) {
+  if (!record) {
+    return null;
+  }
+
+  const conversation = record.nodes ? record : migrateFlatHistory(record);
+  return { ...conversation, history: getActivePath(conversation) };
+}
+
+function dehydrate(conversation) {
+  const { history, ...record } = conversation;
+  return record;
+}
+
+async function saveConversation(conversation) {
+  return hydrate(await records.put(dehydrate(conversation)));
+}
+
+export async function listConversations() {
+  const conversations = await records.getAll();
+  return conversations.map(hydrate).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export async function getConversation(id) {
+  if (!id) {
+    return null;
+  }
+
+  return hydrate(await records.get(id));
+}
+
+export async function createConversation({
+  title,
+  model = null,
+  systemInstruction = '',
+  generationConfig = null,
+  safetySettings = null
+} = {}) {
+  const now = new Date().toISOString();
+  const trimmedTitle = title?.trim();
+
+  const conversation = {
+    id: generateId('conv-'),
+    title: trimmedTitle || DEFAULT_TITLE,
+    autoTitle: !trimmedTitle,
+    model,
+    systemInstruction,
+    generationConfig,
+    safetySettings,
+    nodes: {},
+    rootIds: [],
+    activeRootId: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return saveConversation(conversation);
+}
+
+// accepts either a full tree (nodes, rootIds, activeRootId) or a list of linear threads
+export async function importConversation({
+  title,
+  model = null,
+  systemInstruction = '',
+  generationConfig = null,
+  safetySettings = null,
+  nodes,
+  rootIds,
+  activeRootId,
+  threads,
+  createdAt
+}) {
+  const now = new Date().toISOString();
+  const tree = threads ? buildTreeFromThreads(threads) : { nodes, rootIds, activeRootId };
+
+  return saveConversation({
+    id: generateId('conv-'),
+    title: title?.trim() || DEFAULT_TITLE,
+    autoTitle: false,
+    model,
+    systemInstruction,
+    generationConfig,
+    safetySettings,
+    ...tree,
+    createdAt: createdAt ?? now,
+    updatedAt: now
+  });
+}
+
+export async function updateConversation(id, changes) {
+  const conversation = await getConversation(id);
+
+  if (!conversation) {
+    throw conversationNotFound(id);
+  }
+
+  return saveConversation({
+    ...conversation,
+    ...changes,
+    id,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+export async function renameConversation(id, title) {
+  const trimmed = title?.trim();
+
+  if (!trimmed) {
+    const error = new Error('Conversation title cannot be empty.');
+    error.code = 'INVALID_TITLE';
+    throw error;
+  }
+
+  return updateConversation(id, { title: trimmed, autoTitle: false });
+}
+
+function selectNode(conversation, node) {
+  if (node.parentId) {
+    conversation.nodes[node.parentId].activeChildId = node.id;
+  } else {
+    conversation.activeRootId = node.id;
+  }
+}
+
+// Entries are chained under parentId (the end of the active path by default) and the new chain
+// becomes the active branch. Passing an earlier message as the parent is how edits and
+// regenerations start a sibling branch instead of rewriting history.
+export async function appendConversationEntries(id, entries, { parentId } = {}) {
+  const conversation = await getConversation(id);
+
+  if (!conversation) {
+    throw conversationNotFound(id);
+  }
+
+  const nodes = Object.fromEntries(
+    Object.entries(conversation.nodes).map(([nodeId, node]) => [nodeId, { ...node, childIds: [...node.childIds] }])
+  );
+  const changes = { nodes, rootIds: [...conversation.rootIds], activeRootId: conversation.activeRootId };
+  let currentParentId = parentId === undefined ? conversation.history.at(-1)?.id ?? null : parentId;
+
+  if (currentParentId && !nodes[currentParentId]) {
+    throw messageNotFound(currentParentId);
+  }
+
+  entries.forEach((entry) => {
+    const node = createNode(entry, currentParentId);
+    nodes[node.id] = node;
+
+    if (currentParentId) {
+      nodes[currentParentId].childIds.push(node.id);
+    } else {
+      changes.rootIds.push(node.id);
+    }
+
+    selectNode(changes, node);
+    currentParentId = node.id;
+  });
+
+  if (conversation.autoTitle && conversation.rootIds.length === 0) {
+    const firstUserEntry = entries.find((entry) => entry.role === 'user');
+
+    if (firstUserEntry) {
+      changes.title = deriveConversationTitle(firstUserEntry.parts);
+    }
+  }
+
+  return updateConversation(id, changes);
+}
+
+export async function selectBranch(id, nodeId) {
+  const conversation = await getConversation(id);
+
+  if (!conversation) {
+    throw conversationNotFound(id);
+  }
+
+  const node = conversation.nodes[nodeId];
+
+  if (!node) {
+    throw messageNotFound(nodeId);
+  }
+
+  const changes = {
+    nodes: { ...conversation.nodes },
+    activeRootId: conversation.activeRootId
+  };
+
+  if (node.parentId) {
+    changes.nodes[node.parentId] = { ...changes.nodes[node.parentId] };
+  }
+
+  selectNode(changes, node);
+  return updateConversation(id, changes);
+}
+
+export async function deleteConversation(id) {
+  await records.delete(id);
+
+  if (getActiveConversationId() === id) {
+    setActiveConversationId(null);
+  }
+}
+
+export function getActiveConversationId() {
+  if (hasWindowStorage()) {
+    return window.localStorage.getItem(ACTIVE_CONVERSATION_KEY);
+  }
+
+  return inMemoryActiveId;
+}
+
+export function setActiveConversationId(id) {
+  if (hasWindowStorage()) {
+    if (id) {
+      window.localStorage.setItem(ACTIVE_CONVERSATION_KEY, id);
+    } else {
+      window.localStorage.removeItem(ACTIVE_CONVERSATION_KEY);
+    }
+  }
+
+  inMemoryActiveId = id ?? null;
+}
+
+export { partsToText };
@@ -0,0 +1,170 @@
+import { hasWindowStorage } from './storage.js';
+
+const DB_NAME = 'sj-assistant';
+const DB_VERSION = 6;
+const OBJECT_STORES = ['conversations', 'models', 'documents', 'usage', 'responses', 'templates'];
+const LOCAL_STORAGE_PREFIX = 'sj-assistant.';
+
+let databasePromise = null;
+
+export function hasIndexedDb() {
+  return typeof indexedDB !== 'undefined' && indexedDB !== null;
+}
+
+export function generateId(prefix = '') {
+  const random = typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function'
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+  return `${prefix}${random}`;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        OBJECT_STORES.forEach((name) => {
+          if (!db.objectStoreNames.contains(name)) {
+            db.createObjectStore(name, { keyPath: 'id' });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab.'));
+    }).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+function createIndexedDbBackend(storeName) {
+  async function run(mode, operation) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(operation(store));
+  }
+
+  return {
+    kind: 'indexedDB',
+    getAll: () => run('readonly', (store) => store.getAll()),
+    get: async (id) => (await run('readonly', (store) => store.get(id))) ?? null,
+    put: async (record) => {
+      await run('readwrite', (store) => store.put(record));
+      return record;
+    },
+    delete: (id) => run('readwrite', (store) => store.delete(id)),
+    clear: () => run('readwrite', (store) => store.clear())
+  };
+}
+
+function createLocalStorageBackend(storeName) {
+  const storageKey = `${LOCAL_STORAGE_PREFIX}${storeName}`;
+
+  function read() {
+    const stored = window.localStorage.getItem(storageKey);
+
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored) ?? {};
+    } catch (error) {
+      console.warn(`Failed to parse stored ${storeName}, clearing entry.`, error);
+      window.localStorage.removeItem(storageKey);
+      return {};
+    }
+  }
+
+  function write(records) {
+    window.localStorage.setItem(storageKey, JSON.stringify(records));
+  }
+
+  return {
+    kind: 'localStorage',
+    getAll: async () => Object.values(read()),
+    get: async (id) => read()[id] ?? null,
+    put: async (record) => {
+      const records = read();
+      records[record.id] = record;
+      write(records);
+      return record;
+    },
+    delete: async (id) => {
+      const records = read();
+      delete records[id];
+      write(records);
+    },
+    clear: async () => {
+      window.localStorage.removeItem(storageKey);
+    }
+  };
+}
+
+function createMemoryBackend() {
+  const records = new Map();
+
+  return {
+    kind: 'memory',
+    getAll: async () => Array.from(records.values()).map((record) => structuredClone(record)),
+    get: async (id) => (records.has(id) ? structuredClone(records.get(id)) : null),
+    put: async (record) => {
+      records.set(record.id, structuredClone(record));
+      return record;
+    },
+    delete: async (id) => {
+      records.delete(id);
+    },
+    clear: async () => {
+      records.clear();
+    }
+  };
+}
+
+function createFallbackBackend(storeName) {
+  return hasWindowStorage() ? createLocalStorageBackend(storeName) : createMemoryBackend();
+}
+
+export function createRecordStore(storeName) {
+  let backend = hasIndexedDb() ? createIndexedDbBackend(storeName) : createFallbackBackend(storeName);
+
+  async function call(method, ...args) {
+    try {
+      return await backend[method](...args);
+    } catch (error) {
+      if (backend.kind !== 'indexedDB') {
+        throw error;
+      }
+
+      console.warn(`IndexedDB is unavailable for "${storeName}", falling back to local storage.`, error);
+      backend = createFallbackBackend(storeName);
+      return backend[method](...args);
+    }
+  }
+
+  return {
+    get kind() {
+      return backend.kind;
+    },
+    getAll: () => call('getAll'),
+    get: (id) => call('get', id),
+    put: (record) => call('put', record),
+    delete: (id) => call('delete', id),
+    clear: () => call('clear')
+  };
+}
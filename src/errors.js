@@ -0,0 +1,11 @@
+class GeminiApiError extends Error {
+  constructor(message, { status, code, details, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'GeminiApiError';
+    this.status = status ?? null;
+    this.code = code ?? 'UNKNOWN';
+    this.details = details;
+  }
+}
+
+export { GeminiApiError };
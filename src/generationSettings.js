@@ -0,0 +1,106 @@
+export const SAFETY_CATEGORIES = [
+  { id: 'HARM_CATEGORY_HARASSMENT', label: 'Harassment' },
+  { id: 'HARM_CATEGORY_HATE_SPEECH', label: 'Hate speech' },
+  { id: 'HARM_CATEGORY_SEXUALLY_EXPLICIT', label: 'Sexually explicit' },
+  { id: 'HARM_CATEGORY_DANGEROUS_CONTENT', label: 'Dangerous content' }
+];
+
+export const SAFETY_THRESHOLDS = [
+  { id: '', label: 'Model default' },
+  { id: 'BLOCK_NONE', label: 'Block none' },
+  { id: 'BLOCK_ONLY_HIGH', label: 'Block only high' },
+  { id: 'BLOCK_MEDIUM_AND_ABOVE', label: 'Block medium and above' },
+  { id: 'BLOCK_LOW_AND_ABOVE', label: 'Block low and above' }
+];
+
+const MAX_STOP_SEQUENCES = 5;
+
+function invalidSettings(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SETTINGS';
+  return error;
+}
+
+function parseNumber(value, { label, min, max, integer = false }) {
+  if (value === '' || value === null || value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+    throw invalidSettings(`${label} must be ${integer ? 'a whole number' : 'a number'}.`);
+  }
+
+  if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+    const range = max === undefined ? `at least ${min}` : `between ${min} and ${max}`;
+    throw invalidSettings(`${label} must be ${range}.`);
+  }
+
+  return number;
+}
+
+export function parseStopSequences(value) {
+  const sequences = (value ?? '')
+    .split('\n')
+    .map((sequence) => sequence.trim())
+    .filter(Boolean);
+
+  if (sequences.length > MAX_STOP_SEQUENCES) {
+    throw invalidSettings(`At most ${MAX_STOP_SEQUENCES} stop sequences are allowed.`);
+  }
+
+  return sequences;
+}
+
+export function normalizeGenerationSettings({
+  model,
+  temperature,
+  topP,
+  topK,
+  maxOutputTokens,
+  stopSequences,
+  safety = {},
+  systemInstruction
+} = {}) {
+  const generationConfig = {};
+
+  const values = {
+    temperature: parseNumber(temperature, { label: 'Temperature', min: 0, max: 2 }),
+    topP: parseNumber(topP, { label: 'Top P', min: 0, max: 1 }),
+    topK: parseNumber(topK, { label: 'Top K', min: 1, integer: true }),
+    maxOutputTokens: parseNumber(maxOutputTokens, { label: 'Max output tokens', min: 1, integer: true })
+  };
+
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== undefined) {
+      generationConfig[key] = value;
+    }
+  });
+
+  const stops = parseStopSequences(stopSequences);
+
+  if (stops.length) {
+    generationConfig.stopSequences = stops;
+  }
+
+  const safetySettings = SAFETY_CATEGORIES
+    .filter(({ id }) => safety[id])
+    .map(({ id }) => ({ category: id, threshold: safety[id] }));
+
+  return {
+    model: model?.trim() || null,
+    systemInstruction: systemInstruction?.trim() ?? '',
+    generationConfig: Object.keys(generationConfig).length ? generationConfig : null,
+    safetySettings: safetySettings.length ? safetySettings : null
+  };
+}
+
+export function toRequestSettings(conversation) {
+  return {
+    model: conversation?.model ?? undefined,
+    systemInstruction: conversation?.systemInstruction || undefined,
+    generationConfig: conversation?.generationConfig ?? undefined,
+    safetySettings: conversation?.safetySettings ?? undefined
+  };
+}
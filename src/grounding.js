@@ -0,0 +1,125 @@
+function citationKey(source) {
+  return `${source.startIndex ?? ''}:${source.endIndex ?? ''}:${source.uri ?? ''}`;
+}
+
+export function mergeCitationSources(sources = []) {
+  const merged = new Map();
+
+  sources.forEach((source) => {
+    if (source && !merged.has(citationKey(source))) {
+      merged.set(citationKey(source), source);
+    }
+  });
+
+  return Array.from(merged.values());
+}
+
+function describeGroundingChunk(chunk) {
+  const context = chunk?.web ?? chunk?.retrievedContext ?? {};
+
+  return {
+    title: context.title || context.uri || 'Untitled source',
+    uri: context.uri ?? null,
+    snippet: context.text ?? null
+  };
+}
+
+function toSupports(groundingSupports = []) {
+  return groundingSupports
+    .filter((support) => support?.segment?.text)
+    .map((support) => ({
+      text: support.segment.text,
+      startIndex: support.segment.startIndex ?? 0,
+      endIndex: support.segment.endIndex ?? null,
+      sourceNumbers: (support.groundingChunkIndices ?? []).map((index) => index + 1),
+      confidenceScores: support.confidenceScores ?? []
+    }));
+}
+
+function bestConfidence(number, supports) {
+  const scores = supports.flatMap((support) =>
+    support.sourceNumbers
+      .map((sourceNumber, position) => (sourceNumber === number ? support.confidenceScores[position] : null))
+      .filter((score) => typeof score === 'number')
+  );
+
+  return scores.length ? Math.max(...scores) : null;
+}
+
+export function extractGrounding(candidate) {
+  const metadata = candidate?.groundingMetadata;
+  const citationSources = candidate?.citationMetadata?.citationSources ?? [];
+
+  if (!metadata && !citationSources.length) {
+    return null;
+  }
+
+  const supports = toSupports(metadata?.groundingSupports);
+  const sources = (metadata?.groundingChunks ?? []).map((chunk, index) => ({
+    number: index + 1,
+    ...describeGroundingChunk(chunk),
+    confidence: bestConfidence(index + 1, supports)
+  }));
+
+  return {
+    sources,
+    supports,
+    citations: citationSources.map((source) => ({
+      uri: source.uri ?? null,
+      title: source.title ?? null,
+      license: source.license ?? null,
+      startIndex: source.startIndex ?? null,
+      endIndex: source.endIndex ?? null
+    })),
+    searchEntryPoint: metadata?.searchEntryPoint?.renderedContent ?? null,
+    webSearchQueries: metadata?.webSearchQueries ?? []
+  };
+}
+
+// segment offsets are UTF-8 byte positions, so markers are placed by locating the segment text
+// itself instead of slicing the JS string at those offsets
+export function insertCitationMarkers(text, supports = []) {
+  const insertions = [];
+  let cursor = 0;
+
+  [...supports]
+    .filter((support) => support.sourceNumbers.length)
+    .sort((a, b) => a.startIndex - b.startIndex)
+    .forEach((support) => {
+      const position = text.indexOf(support.text, cursor);
+      if (position === -1) return;
+
+      cursor = position + support.text.length;
+      insertions.push({ index: cursor, marker: `[${support.sourceNumbers.join(', ')}]` });
+    });
+
+  return insertions.reduceRight(
+    (annotated, { index, marker }) => `${annotated.slice(0, index)}${marker}${annotated.slice(index)}`,
+    text
+  );
+}
+
+// recitation citations carry no segment supports, so they are only listed after the grounding chunks
+export function listGroundingSources(grounding) {
+  if (!grounding) {
+    return [];
+  }
+
+  const sources = [...grounding.sources];
+  const seen = new Set(sources.map((source) => source.uri).filter(Boolean));
+
+  grounding.citations.forEach((citation) => {
+    if (!citation.uri || seen.has(citation.uri)) return;
+
+    seen.add(citation.uri);
+    sources.push({
+      number: sources.length + 1,
+      title: citation.title || citation.uri,
+      uri: citation.uri,
+      snippet: citation.license ? `License: ${citation.license}` : null,
+      confidence: null
+    });
+  });
+
+  return sources;
+}
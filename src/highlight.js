@@ -0,0 +1,201 @@
+const C_LIKE_KEYWORDS = [
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'do', 'else', 'enum', 'extends', 'final',
+  'finally', 'for', 'func', 'if', 'impl', 'import', 'interface', 'let', 'match', 'mut', 'namespace', 'new',
+  'package', 'private', 'protected', 'pub', 'public', 'return', 'static', 'struct', 'switch', 'throw', 'throws',
+  'trait', 'try', 'type', 'use', 'var', 'void', 'while', 'fn', 'go', 'defer', 'chan', 'select', 'range', 'using'
+];
+
+const JS_KEYWORDS = [
+  'as', 'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'finally', 'for', 'from', 'function', 'if', 'implements', 'import',
+  'in', 'instanceof', 'interface', 'let', 'new', 'of', 'private', 'protected', 'public', 'readonly', 'return',
+  'static', 'super', 'switch', 'this', 'throw', 'try', 'type', 'typeof', 'var', 'void', 'while', 'yield'
+];
+
+const PYTHON_KEYWORDS = [
+  'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def', 'del', 'elif', 'else', 'except',
+  'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal', 'not', 'or', 'pass',
+  'raise', 'return', 'try', 'while', 'with', 'yield', 'self'
+];
+
+const SHELL_KEYWORDS = [
+  'case', 'do', 'done', 'elif', 'else', 'esac', 'export', 'fi', 'for', 'function', 'if', 'in', 'local', 'return',
+  'then', 'until', 'while', 'echo', 'cd', 'sudo', 'source'
+];
+
+const SQL_KEYWORDS = [
+  'select', 'from', 'where', 'and', 'or', 'not', 'insert', 'into', 'values', 'update', 'set', 'delete', 'create',
+  'table', 'drop', 'alter', 'join', 'left', 'right', 'inner', 'outer', 'on', 'group', 'by', 'order', 'having',
+  'limit', 'as', 'distinct', 'union', 'is', 'null', 'primary', 'key', 'index', 'with', 'case', 'when', 'then',
+  'else', 'end', 'in', 'like', 'between', 'exists', 'count', 'sum', 'avg', 'min', 'max'
+];
+
+function keywordRule(words, { ignoreCase = false } = {}) {
+  return { type: 'keyword', pattern: new RegExp(`\\b(?:${words.join('|')})\\b`, ignoreCase ? 'iy' : 'y') };
+}
+
+const WORD_PATTERN = /[\w$]+/y;
+const NUMBER_RULE = { type: 'number', pattern: /\b(?:0x[\da-f]+|\d+(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy };
+const LITERAL_RULE = { type: 'literal', pattern: /\b(?:true|false|null|undefined|nil|None|True|False|NaN)\b/y };
+const DOUBLE_QUOTED_RULE = { type: 'string', pattern: /"(?:[^"\\\n]|\\.)*"?/y };
+const SINGLE_QUOTED_RULE = { type: 'string', pattern: /'(?:[^'\\\n]|\\.)*'?/y };
+const SLASH_COMMENT_RULES = [
+  { type: 'comment', pattern: /\/\/[^\n]*/y },
+  { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y }
+];
+const HASH_COMMENT_RULE = { type: 'comment', pattern: /#[^\n]*/y };
+
+const JS_GRAMMAR = [
+  ...SLASH_COMMENT_RULES,
+  { type: 'string', pattern: /`(?:[^`\\]|\\[\s\S])*`?/y },
+  DOUBLE_QUOTED_RULE,
+  SINGLE_QUOTED_RULE,
+  keywordRule(JS_KEYWORDS),
+  LITERAL_RULE,
+  NUMBER_RULE
+];
+
+const GRAMMARS = {
+  javascript: JS_GRAMMAR,
+  python: [
+    HASH_COMMENT_RULE,
+    { type: 'string', pattern: /("""|''')[\s\S]*?(?:\1|$)/y },
+    DOUBLE_QUOTED_RULE,
+    SINGLE_QUOTED_RULE,
+    keywordRule(PYTHON_KEYWORDS),
+    LITERAL_RULE,
+    NUMBER_RULE
+  ],
+  json: [
+    { type: 'property', pattern: /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y },
+    DOUBLE_QUOTED_RULE,
+    LITERAL_RULE,
+    NUMBER_RULE
+  ],
+  shell: [
+    HASH_COMMENT_RULE,
+    DOUBLE_QUOTED_RULE,
+    SINGLE_QUOTED_RULE,
+    { type: 'variable', pattern: /\$(?:\{[^}\n]*\}?|\w+)/y },
+    keywordRule(SHELL_KEYWORDS),
+    NUMBER_RULE
+  ],
+  css: [
+    { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/y },
+    DOUBLE_QUOTED_RULE,
+    SINGLE_QUOTED_RULE,
+    { type: 'property', pattern: /[\w-]+(?=\s*:[^:{;]*;)/y },
+    { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?\b/y },
+    { type: 'keyword', pattern: /@[\w-]+|!important/y }
+  ],
+  markup: [
+    { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/y },
+    { type: 'keyword', pattern: /<\/?[\w:-]+|\/?>/y },
+    { type: 'property', pattern: /\b[\w:-]+(?==)/y },
+    DOUBLE_QUOTED_RULE,
+    SINGLE_QUOTED_RULE
+  ],
+  sql: [
+    { type: 'comment', pattern: /--[^\n]*/y },
+    SINGLE_QUOTED_RULE,
+    DOUBLE_QUOTED_RULE,
+    keywordRule(SQL_KEYWORDS, { ignoreCase: true }),
+    NUMBER_RULE
+  ],
+  clike: [
+    ...SLASH_COMMENT_RULES,
+    DOUBLE_QUOTED_RULE,
+    { type: 'string', pattern: /'(?:[^'\\\n]|\\.)'/y },
+    keywordRule(C_LIKE_KEYWORDS),
+    LITERAL_RULE,
+    NUMBER_RULE
+  ]
+};
+
+const LANGUAGE_ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'javascript',
+  tsx: 'javascript',
+  typescript: 'javascript',
+  javascript: 'javascript',
+  py: 'python',
+  python: 'python',
+  json: 'json',
+  jsonc: 'json',
+  sh: 'shell',
+  bash: 'shell',
+  zsh: 'shell',
+  shell: 'shell',
+  console: 'shell',
+  css: 'css',
+  scss: 'css',
+  html: 'markup',
+  xml: 'markup',
+  svg: 'markup',
+  sql: 'sql',
+  c: 'clike',
+  cpp: 'clike',
+  cs: 'clike',
+  csharp: 'clike',
+  go: 'clike',
+  java: 'clike',
+  kotlin: 'clike',
+  rust: 'clike',
+  rs: 'clike',
+  swift: 'clike'
+};
+
+export function resolveLanguage(language) {
+  return LANGUAGE_ALIASES[(language ?? '').toLowerCase()] ?? null;
+}
+
+// returns a flat token list; callers decide how to render it, which keeps this free of DOM access
+export function highlightCode(code, language) {
+  const grammar = GRAMMARS[resolveLanguage(language)];
+
+  if (!grammar) {
+    return [{ type: 'plain', text: code }];
+  }
+
+  const tokens = [];
+  let position = 0;
+
+  function pushToken(type, text) {
+    const last = tokens[tokens.length - 1];
+
+    if (last?.type === type) {
+      last.text += text;
+    } else {
+      tokens.push({ type, text });
+    }
+  }
+
+  while (position < code.length) {
+    let matched = false;
+
+    for (const rule of grammar) {
+      rule.pattern.lastIndex = position;
+      const match = rule.pattern.exec(code);
+
+      if (match && match[0].length) {
+        pushToken(rule.type, match[0]);
+        position += match[0].length;
+        matched = true;
+        break;
+      }
+    }
+
+    if (!matched) {
+      // consume a whole identifier so keywords never match in the middle of a longer word
+      WORD_PATTERN.lastIndex = position;
+      const word = WORD_PATTERN.exec(code)?.[0] ?? code[position];
+      pushToken('plain', word);
+      position += word.length;
+    }
+  }
+
+  return tokens;
+}
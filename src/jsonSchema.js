@@ -0,0 +1,193 @@
+// Client-side validation for structured output. Covers the JSON Schema keywords Gemini's
+// responseSchema understands plus a few common extras; anything else is ignored rather than rejected.
+
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type',
+  'format',
+  'description',
+  'nullable',
+  'enum',
+  'properties',
+  'required',
+  'items',
+  'minItems',
+  'maxItems',
+  'minimum',
+  'maximum',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'anyOf',
+  'propertyOrdering'
+]);
+
+const GEMINI_FORMATS = new Set(['enum', 'date-time', 'float', 'double', 'int32', 'int64']);
+
+const FENCED_JSON_PATTERN = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/i;
+
+function schemaError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SCHEMA';
+  return error;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describePath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+export function assertJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw schemaError('responseSchema must be a JSON Schema object.');
+  }
+
+  return schema;
+}
+
+export function validateJsonSchema(value, schema, path = '$') {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  if (value === null && schema.nullable) {
+    return [];
+  }
+
+  if (Array.isArray(schema.anyOf) && schema.anyOf.length) {
+    const matches = schema.anyOf.some((option) => validateJsonSchema(value, option, path).length === 0);
+    return matches ? [] : [`${path} does not match any of the allowed shapes.`];
+  }
+
+  const types = (Array.isArray(schema.type) ? schema.type : [schema.type])
+    .filter(Boolean)
+    .map((type) => String(type).toLowerCase());
+
+  if (types.length && !types.some((type) => matchesType(value, type))) {
+    return [`${path} should be ${types.join(' or ')} but is ${typeOf(value)}.`];
+  }
+
+  const errors = [];
+
+  if (Array.isArray(schema.enum) && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}.`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${path} should be at least ${schema.minLength} characters.`);
+    }
+
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push(`${path} should be at most ${schema.maxLength} characters.`);
+    }
+
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path} should match /${schema.pattern}/.`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push(`${path} should be at least ${schema.minimum}.`);
+    }
+
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push(`${path} should be at most ${schema.maximum}.`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items.`);
+    }
+
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items.`);
+    }
+
+    if (schema.items) {
+      value.forEach((item, index) => errors.push(...validateJsonSchema(item, schema.items, describePath(path, index))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties ?? {};
+
+    (schema.required ?? []).forEach((key) => {
+      if (!(key in value)) {
+        errors.push(`${describePath(path, key)} is required.`);
+      }
+    });
+
+    Object.entries(value).forEach(([key, item]) => {
+      if (properties[key]) {
+        errors.push(...validateJsonSchema(item, properties[key], describePath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${describePath(path, key)} is not allowed.`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(item, schema.additionalProperties, describePath(path, key)));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// models occasionally wrap JSON mode output in a Markdown fence even when asked not to
+export function parseJsonOutput(text) {
+  const trimmed = (text ?? '').trim();
+  const fenced = trimmed.match(FENCED_JSON_PATTERN);
+
+  try {
+    return { value: JSON.parse(fenced ? fenced[1] : trimmed), errors: [] };
+  } catch (error) {
+    return { value: undefined, errors: [`The reply is not valid JSON (${error.message}).`] };
+  }
+}
+
+// Gemini rejects unknown schema keywords and expects upper-case OpenAPI type names
+export function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return schema;
+  }
+
+  const converted = {};
+
+  Object.entries(schema).forEach(([key, value]) => {
+    if (!GEMINI_SCHEMA_KEYS.has(key) || (key === 'format' && !GEMINI_FORMATS.has(value))) return;
+
+    if (key === 'type') {
+      const types = (Array.isArray(value) ? value : [value]).map((type) => String(type).toLowerCase());
+      const [type] = types.filter((candidate) => candidate !== 'null');
+
+      converted.type = (type ?? 'string').toUpperCase();
+
+      if (types.includes('null')) {
+        converted.nullable = true;
+      }
+    } else if (key === 'properties') {
+      converted.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)])
+      );
+    } else if (key === 'items') {
+      converted.items = toGeminiSchema(value);
+    } else if (key === 'anyOf') {
+      converted.anyOf = value.map(toGeminiSchema);
+    } else {
+      converted[key] = value;
+    }
+  });
+
+  return converted;
+}
@@ -0,0 +1,256 @@
+import { generateId } from './database.js';
+import { clearVaultRecord, loadVaultRecord, saveVaultRecord, validateApiKey } from './storage.js';
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_IDLE_LOCK_MINUTES = 15;
+
+const VAULT_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const lockListeners = new Set();
+
+// the derived key and decrypted profiles only ever live here, never in storage
+let session = null;
+let idleTimer = null;
+
+function vaultError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+
+  if (!subtle) {
+    throw vaultError('The key vault needs WebCrypto, which is only available on https:// or localhost pages.', 'VAULT_UNAVAILABLE');
+  }
+
+  return subtle;
+}
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (character) => character.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const subtle = getSubtle();
+  const material = await subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptPayload(cryptoKey, payload) {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await getSubtle().encrypt({ name: 'AES-GCM', iv }, cryptoKey, encoder.encode(JSON.stringify(payload)));
+
+  return { name: 'AES-GCM', iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+}
+
+async function decryptPayload(cryptoKey, cipher) {
+  const data = await getSubtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(cipher.iv) },
+    cryptoKey,
+    fromBase64(cipher.data)
+  );
+
+  return JSON.parse(decoder.decode(data));
+}
+
+function requireSession() {
+  if (!session) {
+    throw vaultError('Unlock the key vault first.', 'VAULT_LOCKED');
+  }
+
+  return session;
+}
+
+function validatePassphrase(passphrase) {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw vaultError(`Vault passphrases must be at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'WEAK_PASSPHRASE');
+  }
+}
+
+function describeProfile({ key, ...profile }) {
+  return profile;
+}
+
+// every write re-encrypts the whole payload under a fresh IV
+async function persist(payload) {
+  const current = requireSession();
+  const record = { ...current.record, cipher: await encryptPayload(current.cryptoKey, payload) };
+
+  saveVaultRecord(record);
+  session = { ...current, record, payload };
+  touchVault();
+  return payload;
+}
+
+export function hasVault() {
+  return Boolean(loadVaultRecord());
+}
+
+export function isVaultUnlocked() {
+  return Boolean(session);
+}
+
+export function onVaultLock(listener) {
+  lockListeners.add(listener);
+  return () => lockListeners.delete(listener);
+}
+
+export function touchVault() {
+  if (!session) return;
+
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => lockVault({ reason: 'idle' }), session.record.idleLockMinutes * 60 * 1000);
+}
+
+export function lockVault({ reason = 'manual' } = {}) {
+  clearTimeout(idleTimer);
+  idleTimer = null;
+
+  if (!session) return;
+
+  session = null;
+  lockListeners.forEach((listener) => listener({ reason }));
+}
+
+export async function createVault(passphrase, { profiles = [], idleLockMinutes = DEFAULT_IDLE_LOCK_MINUTES } = {}) {
+  if (hasVault()) {
+    throw vaultError('A key vault already exists in this browser.', 'VAULT_EXISTS');
+  }
+
+  validatePassphrase(passphrase);
+
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const cryptoKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const record = {
+    version: VAULT_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+    idleLockMinutes
+  };
+
+  session = { cryptoKey, record, payload: null };
+
+  try {
+    for (const profile of profiles) {
+      await saveVaultProfile(profile);
+    }
+
+    if (!profiles.length) {
+      await persist({ profiles: [], activeProfileId: null });
+    }
+  } catch (error) {
+    session = null;
+    clearVaultRecord();
+    throw error;
+  }
+
+  return listVaultProfiles();
+}
+
+export async function unlockVault(passphrase) {
+  const record = loadVaultRecord();
+
+  if (!record) {
+    throw vaultError('No key vault has been created yet.', 'VAULT_NOT_FOUND');
+  }
+
+  const cryptoKey = await deriveKey(passphrase ?? '', fromBase64(record.kdf.salt), record.kdf.iterations);
+  let payload;
+
+  try {
+    payload = await decryptPayload(cryptoKey, record.cipher);
+  } catch (error) {
+    // AES-GCM authentication fails for a wrong passphrase, which is indistinguishable from tampering
+    throw vaultError('That passphrase did not unlock the vault.', 'INVALID_PASSPHRASE');
+  }
+
+  session = { cryptoKey, record, payload };
+  touchVault();
+  return listVaultProfiles();
+}
+
+export function destroyVault() {
+  lockVault();
+  clearVaultRecord();
+}
+
+export function listVaultProfiles() {
+  return requireSession().payload.profiles.map(describeProfile);
+}
+
+export function getActiveVaultProfile() {
+  const { payload } = requireSession();
+  return payload.profiles.find((profile) => profile.id === payload.activeProfileId) ?? null;
+}
+
+// a profile is identified by its name and provider, so saving the same pair again replaces the key
+export async function saveVaultProfile({ name, providerId, key }) {
+  const payload = requireSession().payload ?? { profiles: [], activeProfileId: null };
+  const trimmedName = name?.trim();
+
+  if (!trimmedName) {
+    throw vaultError('Key profiles need a name.', 'INVALID_PROFILE');
+  }
+
+  const validation = validateApiKey(key, { providerId });
+
+  if (!validation.valid) {
+    throw vaultError(validation.reason, 'INVALID_API_KEY');
+  }
+
+  const now = new Date().toISOString();
+  const existing = payload.profiles.find((profile) => profile.name === trimmedName && profile.providerId === providerId);
+  const profile = existing
+    ? { ...existing, key: validation.value, updatedAt: now }
+    : { id: generateId('key-'), name: trimmedName, providerId, key: validation.value, createdAt: now, updatedAt: now };
+
+  await persist({
+    profiles: existing
+      ? payload.profiles.map((candidate) => (candidate.id === profile.id ? profile : candidate))
+      : [...payload.profiles, profile],
+    activeProfileId: profile.id
+  });
+
+  return describeProfile(profile);
+}
+
+export async function selectVaultProfile(id) {
+  const { payload } = requireSession();
+  const profile = payload.profiles.find((candidate) => candidate.id === id);
+
+  if (!profile) {
+    throw vaultError(`Key profile "${id}" was not found.`, 'PROFILE_NOT_FOUND');
+  }
+
+  await persist({ ...payload, activeProfileId: id });
+  return profile;
+}
+
+export async function deleteVaultProfile(id) {
+  const { payload } = requireSession();
+  const profiles = payload.profiles.filter((profile) => profile.id !== id);
+
+  await persist({
+    profiles,
+    activeProfileId: payload.activeProfileId === id ? profiles[0]?.id ?? null : payload.activeProfileId
+  });
+
+  return profiles.map(describeProfile);
+}
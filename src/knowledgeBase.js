@@ -0,0 +1,227 @@
+import { embedContents } from './aiClient.js';
+import { createBm25Index } from './bm25.js';
+import { chunkText } from './chunking.js';
+import { createRecordStore, generateId } from './database.js';
+
+export const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+export const DEFAULT_TOP_K = 4;
+
+// lexical and semantic scores are blended after normalising both to 0..1
+const EMBEDDING_WEIGHT = 0.6;
+const CANDIDATE_MULTIPLIER = 4;
+
+const FORMATS_BY_EXTENSION = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  json: 'json'
+};
+
+const FORMATS_BY_MIME_TYPE = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'application/json': 'json'
+};
+
+const documents = createRecordStore('documents');
+let indexPromise = null;
+
+function invalidDocument(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_DOCUMENT';
+  return error;
+}
+
+function detectDocumentFormat(file) {
+  const extension = file.name?.split('.').pop()?.toLowerCase();
+  return FORMATS_BY_EXTENSION[extension] ?? FORMATS_BY_MIME_TYPE[file.type] ?? null;
+}
+
+function prepareDocumentText(text, format, name) {
+  if (format !== 'json') {
+    return text;
+  }
+
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    throw invalidDocument(`"${name}" is not valid JSON: ${error.message}`);
+  }
+}
+
+function invalidateIndex() {
+  indexPromise = null;
+}
+
+function buildIndex(records) {
+  const chunks = records.flatMap((record) =>
+    record.chunks.map((chunk) => ({
+      ...chunk,
+      documentId: record.id,
+      documentName: record.name,
+      embeddingModel: record.embeddingModel ?? null
+    }))
+  );
+
+  return { chunks, bm25: createBm25Index(chunks) };
+}
+
+function getIndex() {
+  if (!indexPromise) {
+    indexPromise = documents.getAll().then(buildIndex);
+    indexPromise.catch(invalidateIndex);
+  }
+
+  return indexPromise;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let index = 0; index < Math.min(a.length, b.length); index += 1) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+function toKnowledgeEntry(chunk, score) {
+  return {
+    title: chunk.heading
+      ? `${chunk.documentName} › ${chunk.heading}`
+      : `${chunk.documentName} (part ${chunk.index + 1})`,
+    snippet: chunk.text,
+    score,
+    source: {
+      documentId: chunk.documentId,
+      documentName: chunk.documentName,
+      chunkId: chunk.id,
+      chunkIndex: chunk.index,
+      heading: chunk.heading ?? null
+    }
+  };
+}
+
+export async function importDocument(file, { chunkSize, overlap } = {}) {
+  const format = detectDocumentFormat(file);
+
+  if (!format) {
+    throw invalidDocument(`"${file.name}" is not a supported document. Use .txt, .md, or .json files.`);
+  }
+
+  if (file.size > MAX_DOCUMENT_BYTES) {
+    throw invalidDocument(`"${file.name}" is larger than the ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB document limit.`);
+  }
+
+  const text = prepareDocumentText(await file.text(), format, file.name);
+  const id = generateId('doc-');
+  const chunks = chunkText(text, { chunkSize, overlap, format }).map((chunk) => ({
+    ...chunk,
+    id: `${id}#${chunk.index}`
+  }));
+
+  if (!chunks.length) {
+    throw invalidDocument(`"${file.name}" does not contain any text.`);
+  }
+
+  const record = await documents.put({
+    id,
+    name: file.name,
+    format,
+    size: file.size,
+    importedAt: new Date().toISOString(),
+    embeddingModel: null,
+    chunks
+  });
+
+  invalidateIndex();
+  return record;
+}
+
+export async function listDocuments() {
+  const records = await documents.getAll();
+  return records.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+}
+
+export async function deleteDocument(id) {
+  await documents.delete(id);
+  invalidateIndex();
+}
+
+export async function embedDocuments({ model, onProgress, ...options } = {}) {
+  const records = await listDocuments();
+  const pending = records.filter(
+    (record) => record.embeddingModel !== (model ?? null) || record.chunks.some((chunk) => !chunk.embedding)
+  );
+
+  for (const [position, record] of pending.entries()) {
+    // indexing can run to hundreds of batches, so it yields to chat requests in the scheduler
+    const embeddings = await embedContents({
+      priority: 'background',
+      ...options,
+      model,
+      texts: record.chunks.map((chunk) => chunk.text),
+      taskType: 'RETRIEVAL_DOCUMENT'
+    });
+
+    await documents.put({
+      ...record,
+      embeddingModel: model ?? null,
+      chunks: record.chunks.map((chunk, index) => ({ ...chunk, embedding: embeddings[index] ?? null }))
+    });
+
+    onProgress?.({ document: record, completed: position + 1, total: pending.length });
+  }
+
+  invalidateIndex();
+  return pending.length;
+}
+
+export async function retrieveKnowledge(query, { topK = DEFAULT_TOP_K, useEmbeddings = false, ...options } = {}) {
+  const { chunks, bm25 } = await getIndex();
+
+  if (!chunks.length || !query?.trim()) {
+    return [];
+  }
+
+  const lexical = bm25.search(query, { topK: topK * CANDIDATE_MULTIPLIER });
+  const embedded = useEmbeddings ? chunks.filter((chunk) => chunk.embedding) : [];
+
+  if (!embedded.length) {
+    return lexical.slice(0, topK).map(({ document, score }) => toKnowledgeEntry(document, score));
+  }
+
+  // only compare against vectors produced by the same model as the query vector
+  const model = embedded[0].embeddingModel;
+  const [queryEmbedding] = await embedContents({
+    ...options,
+    model: model ?? undefined,
+    texts: [query],
+    taskType: 'RETRIEVAL_QUERY'
+  });
+
+  const topLexical = lexical[0]?.score || 1;
+  const scores = new Map();
+
+  lexical.forEach(({ document, score }) => {
+    scores.set(document, (1 - EMBEDDING_WEIGHT) * (score / topLexical));
+  });
+
+  embedded
+    .filter((chunk) => chunk.embeddingModel === model)
+    .forEach((chunk) => {
+      const similarity = Math.max(0, cosineSimilarity(queryEmbedding, chunk.embedding));
+      scores.set(chunk, (scores.get(chunk) ?? 0) + EMBEDDING_WEIGHT * similarity);
+    });
+
+  return Array.from(scores, ([chunk, score]) => ({ chunk, score }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }) => toKnowledgeEntry(chunk, score));
+}
@@ -0,0 +1,53 @@
+import { formatBytes } from './attachments.js';
+
+function describeDocument(record) {
+  const chunkCount = record.chunks.length;
+  const details = [`${chunkCount} chunk${chunkCount === 1 ? '' : 's'}`, formatBytes(record.size)];
+
+  if (record.chunks.every((chunk) => chunk.embedding)) {
+    details.push('embedded');
+  }
+
+  return details.join(' · ');
+}
+
+export function renderDocumentList(container, documents, { onDelete } = {}) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  if (!documents.length) {
+    const empty = document.createElement('li');
+    empty.className = 'kb-empty';
+    empty.textContent = 'No documents imported yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  documents.forEach((record) => {
+    const item = document.createElement('li');
+    item.className = 'kb-document';
+
+    const name = document.createElement('span');
+    name.className = 'kb-document-name';
+    name.textContent = record.name;
+    name.title = record.name;
+
+    const meta = document.createElement('span');
+    meta.className = 'hint';
+    meta.textContent = describeDocument(record);
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'icon-button';
+    remove.textContent = '✕';
+    remove.setAttribute('aria-label', `Remove ${record.name}`);
+    remove.title = `Remove ${record.name}`;
+    remove.addEventListener('click', () => onDelete?.(record));
+
+    item.appendChild(name);
+    item.appendChild(meta);
+    item.appendChild(remove);
+    container.appendChild(item);
+  });
+}
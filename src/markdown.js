@@ -0,0 +1,609 @@
+import { highlightCode, resolveLanguage } from './highlight.js';
+
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)[^`]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^ {0,3}> ?/;
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TABLE_DELIMITER_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const MATH_BLOCK_OPENERS = { $$: '$$', '\\[': '\\]' };
+
+const SAFE_URL_PATTERN = /^(?:https?:|mailto:|#)/i;
+const COPY_FEEDBACK_MS = 1500;
+
+const INLINE_RULES = [
+  { type: 'escape', pattern: /\\([\\`*_{}[\]()#+\-.!|~$<>])/g },
+  { type: 'code', pattern: /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/g },
+  { type: 'math', pattern: /\$(?=\S)([^$\n]+?)(?<=\S)\$(?!\d)|\\\((.+?)\\\)/g },
+  { type: 'link', pattern: /\[([^\]\n]+)\]\(\s*<?((?:[^()\s>]|\([^()\s]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g },
+  { type: 'autolink', pattern: /<(https?:\/\/[^>\s]+)>|\bhttps?:\/\/[^\s<]*[^\s<.,:;"')\]*_]/g },
+  { type: 'strong', pattern: /\*\*(?=\S)([\s\S]+?)(?<=\S)\*\*|\b__(?=\S)([\s\S]+?)(?<=\S)__\b/g },
+  { type: 'strike', pattern: /~~(?=\S)([\s\S]+?)(?<=\S)~~/g },
+  { type: 'em', pattern: /\*(?=[^\s*])([\s\S]+?)(?<=[^\s*])\*|\b_(?=\S)([^_]+?)(?<=\S)_\b/g },
+  { type: 'break', pattern: / {2,}\n|\\\n/g }
+];
+
+function isBlank(line) {
+  return !line || !line.trim();
+}
+
+function indentWidth(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function findNextContentLine(lines, from) {
+  for (let index = from + 1; index < lines.length; index += 1) {
+    if (!isBlank(lines[index])) return index;
+  }
+
+  return -1;
+}
+
+function startsBlock(lines, index) {
+  const line = lines[index];
+
+  return (
+    FENCE_PATTERN.test(line) ||
+    HEADING_PATTERN.test(line) ||
+    RULE_PATTERN.test(line) ||
+    QUOTE_PATTERN.test(line) ||
+    LIST_ITEM_PATTERN.test(line) ||
+    Boolean(MATH_BLOCK_OPENERS[line.trim().slice(0, 2)]) ||
+    isTableStart(lines, index)
+  );
+}
+
+function isTableStart(lines, index) {
+  return lines[index].includes('|') && TABLE_DELIMITER_PATTERN.test(lines[index + 1] ?? '') && lines[index + 1].includes('-');
+}
+
+function splitTableRow(line) {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '');
+  return trimmed.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function parseFence(lines, start) {
+  const match = FENCE_PATTERN.exec(lines[start]);
+  if (!match) return null;
+
+  const [, fence, language] = match;
+  const closing = new RegExp(`^ {0,3}${fence[0] === '`' ? '`' : '~'}{${fence.length},}\\s*$`);
+  let index = start + 1;
+
+  while (index < lines.length && !closing.test(lines[index])) {
+    index += 1;
+  }
+
+  const closed = index < lines.length;
+  const body = lines.slice(start + 1, index);
+
+  // an unterminated fence is still streaming in: everything after it belongs to the code block,
+  // except a half-typed closing fence that would otherwise flash up as code
+  if (!closed && /^ {0,3}[`~]+$/.test(body[body.length - 1] ?? '')) {
+    body.pop();
+  }
+
+  return {
+    block: {
+      type: 'code',
+      language,
+      text: body.join('\n'),
+      closed
+    },
+    next: Math.min(index + 1, lines.length)
+  };
+}
+
+function parseMathBlock(lines, start) {
+  const trimmed = lines[start].trim();
+  const closer = MATH_BLOCK_OPENERS[trimmed.slice(0, 2)];
+  if (!closer) return null;
+
+  if (trimmed.length > 4 && trimmed.endsWith(closer)) {
+    return { block: { type: 'math', text: trimmed.slice(2, -2).trim() }, next: start + 1 };
+  }
+
+  const body = [trimmed.slice(2)];
+  let index = start + 1;
+
+  while (index < lines.length && !lines[index].trim().endsWith(closer)) {
+    body.push(lines[index]);
+    index += 1;
+  }
+
+  if (index < lines.length) {
+    body.push(lines[index].trim().slice(0, -2));
+  }
+
+  return { block: { type: 'math', text: body.join('\n').trim() }, next: Math.min(index + 1, lines.length) };
+}
+
+function parseHeading(lines, start) {
+  const match = HEADING_PATTERN.exec(lines[start]);
+  if (!match) return null;
+
+  return { block: { type: 'heading', level: match[1].length, text: match[2] ?? '' }, next: start + 1 };
+}
+
+function parseRule(lines, start) {
+  return RULE_PATTERN.test(lines[start]) ? { block: { type: 'rule' }, next: start + 1 } : null;
+}
+
+function parseTable(lines, start) {
+  if (!isTableStart(lines, start)) return null;
+
+  const header = splitTableRow(lines[start]);
+  const align = splitTableRow(lines[start + 1]).map((cell) => {
+    if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+    if (cell.endsWith(':')) return 'right';
+    if (cell.startsWith(':')) return 'left';
+    return null;
+  });
+
+  const rows = [];
+  let index = start + 2;
+
+  while (index < lines.length && !isBlank(lines[index]) && lines[index].includes('|')) {
+    rows.push(splitTableRow(lines[index]));
+    index += 1;
+  }
+
+  return { block: { type: 'table', header, align, rows }, next: index };
+}
+
+function parseQuote(lines, start) {
+  if (!QUOTE_PATTERN.test(lines[start])) return null;
+
+  const body = [];
+  let index = start;
+
+  while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+    body.push(lines[index].replace(QUOTE_PATTERN, ''));
+    index += 1;
+  }
+
+  return { block: { type: 'quote', children: parseBlocks(body.join('\n')) }, next: index };
+}
+
+function parseList(lines, start) {
+  const first = LIST_ITEM_PATTERN.exec(lines[start]);
+  if (!first) return null;
+
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  let loose = false;
+  let index = start;
+
+  while (index < lines.length) {
+    const match = LIST_ITEM_PATTERN.exec(lines[index]);
+
+    if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) {
+      break;
+    }
+
+    const contentIndent = baseIndent + match[2].length + Math.max(1, Math.min(match[3].length, 4));
+    const body = [match[4]];
+    index += 1;
+
+    while (index < lines.length) {
+      const line = lines[index];
+
+      if (isBlank(line)) {
+        const nextIndex = findNextContentLine(lines, index);
+        if (nextIndex === -1 || indentWidth(lines[nextIndex]) < contentIndent) break;
+
+        loose = true;
+        body.push('');
+        index += 1;
+        continue;
+      }
+
+      if (indentWidth(line) >= contentIndent) {
+        body.push(line.slice(contentIndent));
+      } else if (indentWidth(line) > baseIndent && LIST_ITEM_PATTERN.test(line)) {
+        body.push(line.slice(baseIndent));
+      } else if (!isBlank(lines[index - 1]) && !startsBlock(lines, index)) {
+        body.push(line.trim());
+      } else {
+        break;
+      }
+
+      index += 1;
+    }
+
+    items.push(parseBlocks(body.join('\n')));
+
+    // a blank line between items makes the whole list loose
+    if (isBlank(lines[index]) && LIST_ITEM_PATTERN.test(lines[index + 1] ?? '')) {
+      const nextItem = LIST_ITEM_PATTERN.exec(lines[index + 1]);
+      if (nextItem[1].length !== baseIndent || /\d/.test(nextItem[2]) !== ordered) break;
+
+      loose = true;
+      index += 1;
+    }
+  }
+
+  return {
+    block: { type: 'list', ordered, start: ordered ? Number.parseInt(first[2], 10) : null, loose, items },
+    next: index
+  };
+}
+
+function parseParagraph(lines, start) {
+  const body = [lines[start]];
+  let index = start + 1;
+
+  while (index < lines.length && !isBlank(lines[index]) && !startsBlock(lines, index)) {
+    body.push(lines[index]);
+    index += 1;
+  }
+
+  return { block: { type: 'paragraph', text: body.map((line) => line.replace(/^ +/, '')).join('\n') }, next: index };
+}
+
+const BLOCK_PARSERS = [parseFence, parseMathBlock, parseHeading, parseRule, parseTable, parseQuote, parseList, parseParagraph];
+
+export function parseBlocks(markdown) {
+  const lines = (markdown ?? '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const blocks = [];
+  let index = 0;
+
+  while (index < lines.length) {
+    if (isBlank(lines[index])) {
+      index += 1;
+      continue;
+    }
+
+    for (const parse of BLOCK_PARSERS) {
+      const result = parse(lines, index);
+
+      if (result) {
+        result.block.source = lines.slice(index, result.next).join('\n');
+        blocks.push(result.block);
+        index = result.next;
+        break;
+      }
+    }
+  }
+
+  return blocks;
+}
+
+export function sanitizeUrl(url) {
+  // strip control characters and whitespace browsers ignore, so "java\tscript:" cannot sneak through
+  const cleaned = (url ?? '').replace(/[\u0000-\u0020\u007f]/g, '');
+  return SAFE_URL_PATTERN.test(cleaned) ? cleaned : null;
+}
+
+function renderMath(tex, displayMode) {
+  const element = document.createElement(displayMode ? 'div' : 'span');
+  element.className = displayMode ? 'math math-block' : 'math';
+
+  // KaTeX is optional; when the page has loaded it, use it, otherwise show the TeX source
+  if (typeof globalThis.katex?.render === 'function') {
+    try {
+      globalThis.katex.render(tex, element, { displayMode, throwOnError: false, trust: false });
+      return element;
+    } catch (error) {
+      console.debug('KaTeX could not render expression, showing source instead.', error);
+    }
+  }
+
+  const code = document.createElement('code');
+  code.textContent = tex;
+  element.appendChild(code);
+  return element;
+}
+
+function findNextInline(text, position) {
+  let best = null;
+
+  INLINE_RULES.forEach((rule) => {
+    rule.pattern.lastIndex = position;
+    const match = rule.pattern.exec(text);
+
+    if (match && (!best || match.index < best.match.index)) {
+      best = { rule, match };
+    }
+  });
+
+  return best;
+}
+
+function renderInlineMatch({ rule, match }) {
+  switch (rule.type) {
+    case 'escape':
+      return document.createTextNode(match[1]);
+    case 'code': {
+      const code = document.createElement('code');
+      code.textContent = match[2].replace(/^ (.+) $/, '$1');
+      return code;
+    }
+    case 'math':
+      return renderMath(match[1] ?? match[2], false);
+    case 'link':
+    case 'autolink': {
+      const label = rule.type === 'link' ? match[1] : match[1] ?? match[0];
+      const href = sanitizeUrl(rule.type === 'link' ? match[2] : match[1] ?? match[0]);
+
+      if (!href) {
+        return renderInline(label);
+      }
+
+      const link = document.createElement('a');
+      link.href = href;
+      link.rel = 'noopener noreferrer';
+      link.target = '_blank';
+
+      if (match[3]) {
+        link.title = match[3];
+      }
+
+      link.appendChild(rule.type === 'link' ? renderInline(label) : document.createTextNode(label));
+      return link;
+    }
+    case 'strong':
+    case 'strike':
+    case 'em': {
+      const element = document.createElement({ strong: 'strong', strike: 'del', em: 'em' }[rule.type]);
+      element.appendChild(renderInline(match[1] ?? match[2]));
+      return element;
+    }
+    case 'break':
+      return document.createElement('br');
+    default:
+      return document.createTextNode(match[0]);
+  }
+}
+
+export function renderInline(text) {
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+
+  while (position < text.length) {
+    const next = findNextInline(text, position);
+
+    if (!next) {
+      break;
+    }
+
+    fragment.append(text.slice(position, next.match.index));
+    fragment.append(renderInlineMatch(next));
+    position = next.match.index + next.match[0].length;
+  }
+
+  fragment.append(text.slice(position));
+  return fragment;
+}
+
+function createCopyButton(getText) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'code-copy';
+  button.textContent = 'Copy';
+  button.addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(getText());
+      button.textContent = 'Copied';
+    } catch (error) {
+      button.textContent = 'Copy failed';
+    }
+
+    setTimeout(() => {
+      button.textContent = 'Copy';
+    }, COPY_FEEDBACK_MS);
+  });
+  return button;
+}
+
+function renderCodeBlock(block) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'code-block';
+
+  const header = document.createElement('div');
+  header.className = 'code-header';
+
+  const label = document.createElement('span');
+  label.textContent = block.language || 'text';
+
+  header.appendChild(label);
+  header.appendChild(createCopyButton(() => block.text));
+
+  const pre = document.createElement('pre');
+  const code = document.createElement('code');
+  const language = resolveLanguage(block.language);
+
+  if (language) {
+    code.className = `language-${language}`;
+  }
+
+  highlightCode(block.text, block.language).forEach((token) => {
+    if (token.type === 'plain') {
+      code.append(token.text);
+      return;
+    }
+
+    const span = document.createElement('span');
+    span.className = `token ${token.type}`;
+    span.textContent = token.text;
+    code.appendChild(span);
+  });
+
+  pre.appendChild(code);
+  wrapper.appendChild(header);
+  wrapper.appendChild(pre);
+  return wrapper;
+}
+
+function renderTable(block) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'table-wrapper';
+
+  const table = document.createElement('table');
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+
+  block.header.forEach((cell, column) => {
+    const th = document.createElement('th');
+    if (block.align[column]) th.style.textAlign = block.align[column];
+    th.appendChild(renderInline(cell));
+    headRow.appendChild(th);
+  });
+
+  head.appendChild(headRow);
+  table.appendChild(head);
+
+  const body = document.createElement('tbody');
+
+  block.rows.forEach((row) => {
+    const tr = document.createElement('tr');
+
+    block.header.forEach((_, column) => {
+      const td = document.createElement('td');
+      if (block.align[column]) td.style.textAlign = block.align[column];
+      td.appendChild(renderInline(row[column] ?? ''));
+      tr.appendChild(td);
+    });
+
+    body.appendChild(tr);
+  });
+
+  table.appendChild(body);
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+function renderList(block) {
+  const list = document.createElement(block.ordered ? 'ol' : 'ul');
+
+  if (block.ordered && block.start !== 1) {
+    list.start = block.start;
+  }
+
+  block.items.forEach((children) => {
+    const item = document.createElement('li');
+
+    children.forEach((child) => {
+      // tight lists keep their text inline instead of wrapping every item in a paragraph
+      item.appendChild(!block.loose && child.type === 'paragraph' ? renderInline(child.text) : renderBlock(child));
+    });
+
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+function renderBlock(block) {
+  switch (block.type) {
+    case 'code':
+      return renderCodeBlock(block);
+    case 'math':
+      return renderMath(block.text, true);
+    case 'heading': {
+      const heading = document.createElement(`h${block.level}`);
+      heading.appendChild(renderInline(block.text));
+      return heading;
+    }
+    case 'rule':
+      return document.createElement('hr');
+    case 'table':
+      return renderTable(block);
+    case 'quote': {
+      const quote = document.createElement('blockquote');
+      block.children.forEach((child) => quote.appendChild(renderBlock(child)));
+      return quote;
+    }
+    case 'list':
+      return renderList(block);
+    default: {
+      const paragraph = document.createElement('p');
+      paragraph.appendChild(renderInline(block.text));
+      return paragraph;
+    }
+  }
+}
+
+const scheduleFrame = (callback) =>
+  typeof requestAnimationFrame === 'function' ? requestAnimationFrame(callback) : setTimeout(callback, 16);
+
+const cancelFrame = (handle) =>
+  typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame(handle) : clearTimeout(handle);
+
+// Streaming re-renders only the blocks whose source changed since the last pass, which in practice
+// is the trailing block. Finished blocks keep their DOM nodes, so text selection and copy buttons
+// survive new chunks and nothing above the cursor flickers.
+export function createMarkdownRenderer(container) {
+  let rendered = [];
+  let pendingText = null;
+  let frame = null;
+
+  container?.classList.add('markdown');
+
+  function render(text) {
+    if (!container) return;
+
+    const blocks = parseBlocks(text);
+
+    if (!rendered.length) {
+      container.replaceChildren();
+    }
+
+    blocks.forEach((block, index) => {
+      const previous = rendered[index];
+
+      if (previous?.source === block.source) {
+        return;
+      }
+
+      const node = renderBlock(block);
+
+      if (previous) {
+        previous.node.replaceWith(node);
+      } else {
+        container.appendChild(node);
+      }
+
+      rendered[index] = { source: block.source, node };
+    });
+
+    rendered.slice(blocks.length).forEach(({ node }) => node.remove());
+    rendered = rendered.slice(0, blocks.length);
+  }
+
+  function cancel() {
+    if (frame !== null) {
+      cancelFrame(frame);
+      frame = null;
+    }
+  }
+
+  return {
+    update(text) {
+      pendingText = text;
+
+      if (frame === null) {
+        frame = scheduleFrame(() => {
+          frame = null;
+          render(pendingText);
+        });
+      }
+    },
+
+    cancel,
+
+    flush(text = pendingText) {
+      cancel();
+
+      if (text !== null) {
+        pendingText = text;
+        render(text);
+      }
+    }
+  };
+}
+
+export function renderMarkdown(container, text) {
+  createMarkdownRenderer(container).flush(text ?? '');
+}
@@ -0,0 +1,91 @@
+function createActionButton(label, symbol, onClick, { disabled = false } = {}) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-button';
+  button.textContent = symbol;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export function renderMessageActions(body, { siblingIndex = 0, siblingCount = 1, onSelectSibling, onEdit, onRegenerate } = {}) {
+  const title = body?.parentElement?.querySelector('.message-title');
+  if (!title) return;
+
+  const actions = document.createElement('div');
+  actions.className = 'message-actions';
+
+  if (siblingCount > 1) {
+    const position = document.createElement('span');
+    position.className = 'branch-position';
+    position.textContent = `${siblingIndex + 1}/${siblingCount}`;
+
+    actions.appendChild(
+      createActionButton('Previous version', '‹', () => onSelectSibling?.(siblingIndex - 1), { disabled: siblingIndex === 0 })
+    );
+    actions.appendChild(position);
+    actions.appendChild(
+      createActionButton('Next version', '›', () => onSelectSibling?.(siblingIndex + 1), {
+        disabled: siblingIndex === siblingCount - 1
+      })
+    );
+  }
+
+  if (onEdit) {
+    actions.appendChild(createActionButton('Edit and branch', '✎', onEdit));
+  }
+
+  if (onRegenerate) {
+    actions.appendChild(createActionButton('Regenerate as a new branch', '↻', onRegenerate));
+  }
+
+  if (actions.childElementCount) {
+    title.appendChild(actions);
+  }
+}
+
+export function renderMessageEditor(body, text, { onSave, onCancel } = {}) {
+  if (!body) return;
+
+  const previous = Array.from(body.childNodes);
+  const form = document.createElement('form');
+  form.className = 'message-editor stack';
+
+  const input = document.createElement('textarea');
+  input.rows = Math.min(8, Math.max(2, text.split('\n').length));
+  input.value = text;
+
+  const row = document.createElement('div');
+  row.className = 'button-row';
+
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.textContent = 'Save & branch';
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'secondary';
+  cancel.textContent = 'Cancel';
+  cancel.addEventListener('click', () => {
+    body.replaceChildren(...previous);
+    onCancel?.();
+  });
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    const value = input.value.trim();
+
+    if (value) {
+      onSave?.(value);
+    }
+  });
+
+  row.appendChild(save);
+  row.appendChild(cancel);
+  form.appendChild(input);
+  form.appendChild(row);
+  body.replaceChildren(form);
+  input.focus();
+}
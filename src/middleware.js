@@ -0,0 +1,165 @@
+export const MIDDLEWARE_HOOKS = ['beforeBuild', 'beforeSend', 'onChunk', 'afterResponse', 'onError'];
+
+// only hooks that run before a reply exists (or instead of one) may answer the request themselves
+const RESPONDING_HOOKS = new Set(['beforeBuild', 'beforeSend', 'onError']);
+
+const registeredMiddleware = new Map();
+
+function invalidMiddleware(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_MIDDLEWARE';
+  return error;
+}
+
+export function validateMiddleware(middleware) {
+  if (!middleware || typeof middleware !== 'object') {
+    throw invalidMiddleware('Middleware must be an object.');
+  }
+
+  if (typeof middleware.name !== 'string' || !middleware.name.trim()) {
+    throw invalidMiddleware('Middleware requires a name.');
+  }
+
+  if (middleware.order != null && !Number.isFinite(middleware.order)) {
+    throw invalidMiddleware(`Middleware "${middleware.name}" order must be a finite number.`);
+  }
+
+  const hooks = MIDDLEWARE_HOOKS.filter((hook) => middleware[hook] != null);
+
+  if (!hooks.length) {
+    throw invalidMiddleware(`Middleware "${middleware.name}" needs at least one of ${MIDDLEWARE_HOOKS.join(', ')}.`);
+  }
+
+  hooks.forEach((hook) => {
+    if (typeof middleware[hook] !== 'function') {
+      throw invalidMiddleware(`Middleware "${middleware.name}" ${hook} must be a function.`);
+    }
+  });
+
+  return middleware;
+}
+
+// re-registering a name replaces the middleware but keeps its place in the order
+export function registerMiddleware(middleware) {
+  validateMiddleware(middleware);
+  registeredMiddleware.set(middleware.name, middleware);
+  return middleware;
+}
+
+export function unregisterMiddleware(name) {
+  return registeredMiddleware.delete(name);
+}
+
+export function getRegisteredMiddleware() {
+  return Array.from(registeredMiddleware.values());
+}
+
+// registered middleware comes first, then the call's own; within that, a lower `order` runs earlier and
+// ties keep their position, so the same setup always runs hooks in the same sequence
+export function resolveMiddleware(middleware = []) {
+  if (!Array.isArray(middleware)) {
+    throw invalidMiddleware('Per-call middleware must be an array.');
+  }
+
+  return [...getRegisteredMiddleware(), ...middleware.map(validateMiddleware)]
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => (a.entry.order ?? 0) - (b.entry.order ?? 0) || a.index - b.index)
+    .map(({ entry }) => entry);
+}
+
+function applyHookResult(hook, current, returned) {
+  if (returned == null) {
+    return current;
+  }
+
+  if (hook === 'onError') {
+    if (!(returned instanceof Error)) {
+      throw invalidMiddleware('onError hooks may only return an Error to throw instead.');
+    }
+
+    return returned;
+  }
+
+  if (typeof returned !== 'object' || Array.isArray(returned)) {
+    throw invalidMiddleware(`${hook} hooks must return an object with the fields to change.`);
+  }
+
+  return { ...current, ...returned };
+}
+
+// One pipeline covers one sendMessage or searchKnowledge call. Each middleware gets its own `state`
+// object for the call, so timings or counters started in one hook can be read in a later one.
+export function createMiddlewarePipeline(middleware = [], base = {}) {
+  const chain = resolveMiddleware(middleware);
+  const states = new Map(chain.map((entry) => [entry, {}]));
+
+  function createContext(entry, details, respond) {
+    return { ...base, ...details, middleware: entry.name, state: states.get(entry), ...(respond ? { respond } : {}) };
+  }
+
+  // resolves to { value } with the value after every hook, or { value, response, by } when a hook
+  // called context.respond() and the remaining hooks were skipped
+  async function run(hook, value, details = {}) {
+    let current = value;
+
+    for (const entry of chain) {
+      if (!entry[hook]) continue;
+
+      let response = null;
+      const respond = RESPONDING_HOOKS.has(hook)
+        ? (reply) => {
+          response = reply ?? {};
+        }
+        : null;
+      const returned = await entry[hook](current, createContext(entry, details, respond));
+
+      if (response) {
+        return { value: current, response, by: entry.name };
+      }
+
+      current = applyHookResult(hook, current, returned);
+    }
+
+    return { value: current };
+  }
+
+  // chunk hooks run synchronously as deltas arrive: a string replaces the delta, an empty string drops it.
+  // flush() ends the reply with one more call per hook, an empty delta with context.done, so a hook that
+  // held text back waiting for the next delta can release it
+  function wrapOnChunk(onChunk, details = {}) {
+    const hooks = chain.filter((entry) => entry.onChunk);
+
+    if (!hooks.length || typeof onChunk !== 'function') {
+      return onChunk;
+    }
+
+    function run(delta, done) {
+      let current = delta;
+
+      for (const entry of hooks) {
+        const returned = entry.onChunk(current, createContext(entry, { ...details, done }));
+
+        if (typeof returned === 'string') {
+          current = returned;
+        }
+
+        if (!current && !done) return;
+      }
+
+      if (current) onChunk(current);
+    }
+
+    const emit = (delta) => run(delta, false);
+    emit.flush = () => run('', true);
+    return emit;
+  }
+
+  return {
+    middleware: chain,
+    beforeBuild: (input, details) => run('beforeBuild', input, details),
+    beforeSend: (payload, details) => run('beforeSend', payload, details),
+    afterResponse: async (result, details) => (await run('afterResponse', result, details)).value,
+    onError: (error, details) => run('onError', error, details),
+    wrapOnChunk
+  };
+}
@@ -0,0 +1,118 @@
+import { listModels } from './aiClient.js';
+import { createRecordStore } from './database.js';
+import { setContextWindow } from './tokenBudget.js';
+
+const MODEL_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const ALL_CAPABILITIES = {
+  generateContent: true,
+  countTokens: true,
+  embedContent: false,
+  cachedContent: false
+};
+
+const BUILT_IN_MODELS = {
+  gemini: [
+    {
+      id: 'models/gemini-pro',
+      label: 'Gemini 1.0 Pro',
+      contextWindow: 30720,
+      outputTokenLimit: 2048,
+      capabilities: ALL_CAPABILITIES
+    },
+    {
+      id: 'models/gemini-1.5-pro-latest',
+      label: 'Gemini 1.5 Pro',
+      contextWindow: 2097152,
+      outputTokenLimit: 8192,
+      capabilities: { ...ALL_CAPABILITIES, cachedContent: true }
+    },
+    {
+      id: 'models/gemini-1.5-flash-latest',
+      label: 'Gemini 1.5 Flash',
+      contextWindow: 1048576,
+      outputTokenLimit: 8192,
+      capabilities: { ...ALL_CAPABILITIES, cachedContent: true }
+    }
+  ],
+  openai: [
+    {
+      id: 'gpt-4o-mini',
+      label: 'GPT-4o mini',
+      contextWindow: 128000,
+      outputTokenLimit: 16384,
+      capabilities: { generateContent: true }
+    },
+    {
+      id: 'gpt-4o',
+      label: 'GPT-4o',
+      contextWindow: 128000,
+      outputTokenLimit: 16384,
+      capabilities: { generateContent: true }
+    }
+  ],
+  ollama: [
+    {
+      id: 'llama3.1',
+      label: 'Llama 3.1',
+      contextWindow: 8192,
+      outputTokenLimit: null,
+      capabilities: { generateContent: true }
+    }
+  ]
+};
+
+const modelCache = createRecordStore('models');
+const registry = new Map();
+
+function applyModels(providerId, models) {
+  registry.set(providerId, models);
+
+  models.forEach((model) => {
+    if (model.contextWindow) {
+      setContextWindow(model.id, model.contextWindow);
+    }
+  });
+
+  return models;
+}
+
+export function getModels(providerId) {
+  return registry.get(providerId) ?? BUILT_IN_MODELS[providerId] ?? [];
+}
+
+export function getChatModels(providerId) {
+  return getModels(providerId).filter((model) => model.capabilities?.generateContent !== false);
+}
+
+export function getModelInfo(providerId, modelId) {
+  return getModels(providerId).find((model) => model.id === modelId) ?? null;
+}
+
+export async function loadCachedModels(providerId) {
+  const cached = await modelCache.get(providerId);
+
+  if (!cached?.models?.length) {
+    return getModels(providerId);
+  }
+
+  return applyModels(providerId, cached.models);
+}
+
+export async function refreshModels({ providerId, force = false, ...options } = {}) {
+  const cached = await modelCache.get(providerId);
+
+  if (!force && cached && Date.now() - Date.parse(cached.fetchedAt) < MODEL_CACHE_TTL_MS) {
+    return applyModels(providerId, cached.models);
+  }
+
+  const models = await listModels({ ...options, provider: providerId });
+
+  await modelCache.put({
+    id: providerId,
+    fetchedAt: new Date().toISOString(),
+    models
+  });
+
+  return applyModels(providerId, models);
+}
@@ -0,0 +1,208 @@
+import { createRecordStore, generateId } from './database.js';
+
+export const TEMPLATE_FORMAT = 'sj-assistant.templates';
+export const TEMPLATE_VERSION = 1;
+
+// names double as slash commands, so they stay short and free of spaces
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$/;
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const SLASH_COMMAND_PATTERN = /^\/([A-Za-z0-9][A-Za-z0-9_-]*)(?:\s+([\s\S]*))?$/;
+const ARGUMENT_PATTERN = /([A-Za-z_][A-Za-z0-9_]*)=(?:"((?:[^"\\]|\\.)*)"|(\S+))/g;
+const TEMPLATE_FIELDS = ['name', 'description', 'body', 'defaults', 'model', 'systemInstruction'];
+
+const templates = createRecordStore('templates');
+
+function templateError(message, code = 'INVALID_TEMPLATE') {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function optionalText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+export function validateTemplate(candidate) {
+  if (!candidate || typeof candidate !== 'object') {
+    throw templateError('Templates must be objects.');
+  }
+
+  const name = candidate.name?.trim() ?? '';
+
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    throw templateError('Template names must start with a letter or number and use at most 40 letters, numbers, dashes, or underscores.');
+  }
+
+  if (typeof candidate.body !== 'string' || !candidate.body.trim()) {
+    throw templateError(`Template "${name}" needs a prompt body.`);
+  }
+
+  const defaults = candidate.defaults ?? {};
+
+  if (typeof defaults !== 'object' || Array.isArray(defaults) || Object.values(defaults).some((value) => typeof value !== 'string')) {
+    throw templateError(`Template "${name}" defaults must map variable names to text.`);
+  }
+
+  return {
+    name,
+    description: optionalText(candidate.description),
+    body: candidate.body,
+    defaults,
+    model: optionalText(candidate.model),
+    systemInstruction: optionalText(candidate.systemInstruction)
+  };
+}
+
+// variables in the system instruction count too, in order of first appearance
+export function extractTemplateVariables(template) {
+  const text = `${template.body ?? ''}\n${template.systemInstruction ?? ''}`;
+  return Array.from(new Set(Array.from(text.matchAll(VARIABLE_PATTERN), (match) => match[1])));
+}
+
+export function getMissingVariables(template, values = {}) {
+  return extractTemplateVariables(template).filter((name) => !values[name]?.trim() && !template.defaults?.[name]);
+}
+
+function fillPlaceholders(text, values) {
+  return text.replace(VARIABLE_PATTERN, (_, name) => values[name]);
+}
+
+// the result maps onto the prompt, model and systemInstruction options of buildChatPayload/sendMessage
+export function renderTemplate(template, values = {}) {
+  const missing = getMissingVariables(template, values);
+
+  if (missing.length) {
+    const error = templateError(`Fill in ${missing.map((name) => `"${name}"`).join(', ')} to use /${template.name}.`, 'MISSING_TEMPLATE_VARIABLE');
+    error.variables = missing;
+    throw error;
+  }
+
+  const resolved = Object.fromEntries(
+    extractTemplateVariables(template).map((name) => [name, values[name]?.trim() ? values[name] : template.defaults[name]])
+  );
+
+  return {
+    prompt: fillPlaceholders(template.body, resolved).trim(),
+    model: template.model ?? undefined,
+    systemInstruction: template.systemInstruction ? fillPlaceholders(template.systemInstruction, resolved) : undefined
+  };
+}
+
+export function parseSlashCommand(text) {
+  const match = (text ?? '').trim().match(SLASH_COMMAND_PATTERN);
+  return match ? { name: match[1], args: match[2]?.trim() ?? '' } : null;
+}
+
+// `name=value` and `name="quoted value"` fill variables by name; any remaining text goes to the first
+// variable that has neither an explicit value nor a default
+export function parseCommandArguments(template, args = '') {
+  const values = {};
+  const rest = args
+    .replace(ARGUMENT_PATTERN, (_, name, quoted, bare) => {
+      values[name] = quoted != null ? quoted.replace(/\\(.)/g, '$1') : bare;
+      return '';
+    })
+    .trim();
+
+  if (rest) {
+    const variables = extractTemplateVariables(template).filter((name) => !(name in values));
+    const target = variables.find((name) => !template.defaults?.[name]) ?? variables[0];
+
+    if (target) {
+      values[target] = rest;
+    }
+  }
+
+  return values;
+}
+
+export async function listTemplates() {
+  const all = await templates.getAll();
+  return all.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function findTemplateByName(name) {
+  const lowered = name?.toLowerCase();
+  return (await templates.getAll()).find((template) => template.name.toLowerCase() === lowered) ?? null;
+}
+
+export async function saveTemplate({ id, ...candidate }) {
+  const fields = validateTemplate(candidate);
+  const existing = id ? await templates.get(id) : null;
+  const clash = await findTemplateByName(fields.name);
+
+  if (clash && clash.id !== existing?.id) {
+    throw templateError(`A template named "${clash.name}" already exists.`, 'TEMPLATE_EXISTS');
+  }
+
+  const now = new Date().toISOString();
+
+  return templates.put({
+    id: existing?.id ?? generateId('tpl-'),
+    createdAt: existing?.createdAt ?? now,
+    ...fields,
+    updatedAt: now
+  });
+}
+
+export function deleteTemplate(id) {
+  return templates.delete(id);
+}
+
+export function exportTemplates(list) {
+  return JSON.stringify(
+    {
+      format: TEMPLATE_FORMAT,
+      version: TEMPLATE_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates: list.map((template) => Object.fromEntries(TEMPLATE_FIELDS.map((field) => [field, template[field] ?? null])))
+    },
+    null,
+    2
+  );
+}
+
+// every entry is validated before anything is written, and templates are matched to existing ones by name
+export async function importTemplates(text) {
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw templateError('The template file is not valid JSON.', 'INVALID_TEMPLATE_FILE');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.templates;
+
+  if (!Array.isArray(entries) || (!Array.isArray(data) && data.format !== TEMPLATE_FORMAT)) {
+    throw templateError(`Expected a ${TEMPLATE_FORMAT} export or an array of templates.`, 'INVALID_TEMPLATE_FILE');
+  }
+
+  if (!Array.isArray(data) && data.version > TEMPLATE_VERSION) {
+    throw templateError(`Template file version ${data.version} is newer than this app supports.`, 'INVALID_TEMPLATE_FILE');
+  }
+
+  const validated = entries.map((entry, index) => {
+    try {
+      return validateTemplate(entry);
+    } catch (error) {
+      throw templateError(`Template ${index + 1}: ${error.message}`, 'INVALID_TEMPLATE_FILE');
+    }
+  });
+
+  let created = 0;
+  let updated = 0;
+
+  for (const fields of validated) {
+    const existing = await findTemplateByName(fields.name);
+    await saveTemplate({ ...fields, id: existing?.id });
+
+    if (existing) {
+      updated += 1;
+    } else {
+      created += 1;
+    }
+  }
+
+  return { created, updated };
+}
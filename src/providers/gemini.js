@@ -0,0 +1,211 @@
+import { parseJsonFrame, joinUrl } from './shared.js';
+import { toGeminiSchema } from '../jsonSchema.js';
+
+function toRequestBody(payload) {
+  const schema = payload.generationConfig?.responseSchema;
+
+  if (!schema) {
+    return payload;
+  }
+
+  return {
+    ...payload,
+    generationConfig: { ...payload.generationConfig, responseSchema: toGeminiSchema(schema) }
+  };
+}
+
+function normalizeCachedContent(json) {
+  return {
+    name: json.name,
+    model: json.model ?? null,
+    displayName: json.displayName ?? '',
+    createTime: json.createTime ?? null,
+    expireTime: json.expireTime ?? null,
+    tokenCount: json.usageMetadata?.totalTokenCount ?? null
+  };
+}
+
+export const geminiProvider = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  defaultModels: {
+    chat: 'models/gemini-pro',
+    knowledge: 'models/gemini-1.5-pro-latest',
+    embedding: 'models/text-embedding-004'
+  },
+  authStyle: 'query',
+  requiresApiKey: true,
+  streamFormat: 'sse',
+  capabilities: {
+    grounding: true,
+    tools: true,
+    attachments: true,
+    contextCaching: true
+  },
+
+  buildRequest({ baseUrl, apiKey, model, payload, stream }) {
+    const action = stream ? 'streamGenerateContent' : 'generateContent';
+    const url = new URL(joinUrl(baseUrl, `${model}:${action}`));
+    url.searchParams.set('key', apiKey);
+
+    if (stream) {
+      url.searchParams.set('alt', 'sse');
+    }
+
+    return {
+      url: url.toString(),
+      headers: { 'Content-Type': 'application/json' },
+      body: toRequestBody(payload)
+    };
+  },
+
+  buildCountTokensRequest({ baseUrl, apiKey, model, payload }) {
+    const url = new URL(joinUrl(baseUrl, `${model}:countTokens`));
+    url.searchParams.set('key', apiKey);
+
+    return {
+      url: url.toString(),
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        generateContentRequest: { model, ...payload }
+      }
+    };
+  },
+
+  embedBatchSize: 100,
+
+  buildEmbedRequest({ baseUrl, apiKey, model, texts, taskType }) {
+    const url = new URL(joinUrl(baseUrl, `${model}:batchEmbedContents`));
+    url.searchParams.set('key', apiKey);
+
+    return {
+      url: url.toString(),
+      headers: { 'Content-Type': 'application/json' },
+      body: {
+        requests: texts.map((text) => ({
+          model,
+          content: { parts: [{ text }] },
+          ...(taskType ? { taskType } : {})
+        }))
+      }
+    };
+  },
+
+  parseEmbeddings(json) {
+    return (json?.embeddings ?? []).map((embedding) => embedding.values);
+  },
+
+  parseCountTokens(json) {
+    return json?.totalTokens ?? null;
+  },
+
+  buildListModelsRequest({ baseUrl, apiKey, pageToken }) {
+    const url = new URL(joinUrl(baseUrl, 'models'));
+    url.searchParams.set('key', apiKey);
+    url.searchParams.set('pageSize', '100');
+
+    if (pageToken) {
+      url.searchParams.set('pageToken', pageToken);
+    }
+
+    return { url: url.toString(), headers: {} };
+  },
+
+  normalizeModelList(json) {
+    const models = (json?.models ?? []).map((model) => {
+      const methods = model.supportedGenerationMethods ?? [];
+
+      return {
+        id: model.name,
+        label: model.displayName ?? model.name,
+        contextWindow: model.inputTokenLimit ?? null,
+        outputTokenLimit: model.outputTokenLimit ?? null,
+        capabilities: {
+          generateContent: methods.includes('generateContent'),
+          countTokens: methods.includes('countTokens'),
+          embedContent: methods.includes('embedContent'),
+          cachedContent: methods.includes('createCachedContent')
+        },
+        defaults: {
+          temperature: model.temperature,
+          topP: model.topP,
+          topK: model.topK
+        }
+      };
+    });
+
+    return { models, nextPageToken: json?.nextPageToken ?? null };
+  },
+
+  buildCreateCacheRequest({ baseUrl, apiKey, model, prefix, ttlSeconds, displayName }) {
+    const url = new URL(joinUrl(baseUrl, 'cachedContents'));
+    url.searchParams.set('key', apiKey);
+
+    return {
+      url: url.toString(),
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: { model, displayName, ttl: `${ttlSeconds}s`, ...prefix }
+    };
+  },
+
+  buildListCachesRequest({ baseUrl, apiKey, pageToken }) {
+    const url = new URL(joinUrl(baseUrl, 'cachedContents'));
+    url.searchParams.set('key', apiKey);
+    url.searchParams.set('pageSize', '100');
+
+    if (pageToken) {
+      url.searchParams.set('pageToken', pageToken);
+    }
+
+    return { url: url.toString(), method: 'GET', headers: {} };
+  },
+
+  buildUpdateCacheRequest({ baseUrl, apiKey, name, ttlSeconds }) {
+    const url = new URL(joinUrl(baseUrl, name));
+    url.searchParams.set('key', apiKey);
+    url.searchParams.set('updateMask', 'ttl');
+
+    return {
+      url: url.toString(),
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: { ttl: `${ttlSeconds}s` }
+    };
+  },
+
+  buildDeleteCacheRequest({ baseUrl, apiKey, name }) {
+    const url = new URL(joinUrl(baseUrl, name));
+    url.searchParams.set('key', apiKey);
+
+    return { url: url.toString(), method: 'DELETE', headers: {} };
+  },
+
+  normalizeCachedContent,
+
+  normalizeCacheList(json) {
+    return {
+      caches: (json?.cachedContents ?? []).map(normalizeCachedContent),
+      nextPageToken: json?.nextPageToken ?? null
+    };
+  },
+
+  normalizeResponse(json) {
+    return json;
+  },
+
+  createStreamDecoder() {
+    return {
+      decode: (data) => [parseJsonFrame(data, 'Gemini')],
+      flush: () => []
+    };
+  },
+
+  mapError({ payload }) {
+    return {
+      message: payload?.error?.message,
+      code: payload?.error?.status ?? payload?.error?.code
+    };
+  }
+};
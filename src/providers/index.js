@@ -0,0 +1,38 @@
+import { geminiProvider } from './gemini.js';
+import { openAiProvider } from './openai.js';
+import { ollamaProvider } from './ollama.js';
+
+export const DEFAULT_PROVIDER_ID = geminiProvider.id;
+
+const REQUIRED_METHODS = ['buildRequest', 'normalizeResponse', 'createStreamDecoder', 'mapError'];
+
+const providers = new Map([geminiProvider, openAiProvider, ollamaProvider].map((provider) => [provider.id, provider]));
+
+export function registerProvider(provider) {
+  const missing = REQUIRED_METHODS.filter((method) => typeof provider?.[method] !== 'function');
+
+  if (!provider?.id || missing.length) {
+    const error = new Error(`Provider definitions require an id and ${REQUIRED_METHODS.join(', ')}.`);
+    error.code = 'INVALID_PROVIDER';
+    throw error;
+  }
+
+  providers.set(provider.id, provider);
+  return provider;
+}
+
+export function getProvider(id = DEFAULT_PROVIDER_ID) {
+  const provider = providers.get(id);
+
+  if (!provider) {
+    const error = new Error(`Unknown provider "${id}".`);
+    error.code = 'UNKNOWN_PROVIDER';
+    throw error;
+  }
+
+  return provider;
+}
+
+export function listProviders() {
+  return Array.from(providers.values());
+}
@@ -0,0 +1,216 @@
+import {
+  parseJsonFrame,
+  unsupportedFeature,
+  partsText,
+  parseToolArguments,
+  candidateFrame,
+  toUsageMetadata,
+  joinUrl
+} from './shared.js';
+
+const FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS'
+};
+
+function toImages(parts) {
+  return parts
+    .filter((part) => part.inlineData)
+    .map(({ inlineData }) => {
+      if (!inlineData.mimeType.startsWith('image/')) {
+        throw unsupportedFeature(`Ollama cannot accept "${inlineData.mimeType}" attachments.`);
+      }
+
+      return inlineData.data;
+    });
+}
+
+function toMessages(payload) {
+  const messages = [];
+  const systemText = partsText(payload.systemInstruction?.parts);
+
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+
+  payload.contents.forEach((entry) => {
+    const functionResponses = entry.parts.filter((part) => part.functionResponse);
+
+    if (functionResponses.length) {
+      functionResponses.forEach(({ functionResponse }) => {
+        messages.push({
+          role: 'tool',
+          tool_name: functionResponse.name,
+          content: JSON.stringify(functionResponse.response ?? {})
+        });
+      });
+      return;
+    }
+
+    const message = {
+      role: entry.role === 'model' ? 'assistant' : 'user',
+      content: partsText(entry.parts)
+    };
+
+    const images = toImages(entry.parts);
+
+    if (images.length) {
+      message.images = images;
+    }
+
+    const functionCalls = entry.parts.filter((part) => part.functionCall);
+
+    if (functionCalls.length) {
+      message.tool_calls = functionCalls.map(({ functionCall }) => ({
+        function: {
+          name: functionCall.name,
+          arguments: functionCall.args ?? {}
+        }
+      }));
+    }
+
+    messages.push(message);
+  });
+
+  return messages;
+}
+
+function toOptions(config = {}) {
+  const options = {};
+
+  if (config.temperature != null) options.temperature = config.temperature;
+  if (config.topP != null) options.top_p = config.topP;
+  if (config.topK != null) options.top_k = config.topK;
+  if (config.maxOutputTokens != null) options.num_predict = config.maxOutputTokens;
+  if (config.stopSequences?.length) options.stop = config.stopSequences;
+
+  return options;
+}
+
+function toFrame(json) {
+  const message = json?.message ?? {};
+
+  return {
+    candidates: [candidateFrame({
+      text: message.content ?? '',
+      functionCalls: (message.tool_calls ?? []).map((toolCall) => ({
+        name: toolCall.function?.name,
+        args: parseToolArguments(toolCall.function?.arguments)
+      })),
+      finishReason: json?.done ? FINISH_REASONS[json.done_reason] ?? 'STOP' : undefined
+    })],
+    usageMetadata: json?.done
+      ? toUsageMetadata({ prompt: json.prompt_eval_count, completion: json.eval_count })
+      : undefined,
+    modelVersion: json?.model
+  };
+}
+
+export const ollamaProvider = {
+  id: 'ollama',
+  label: 'Ollama',
+  defaultBaseUrl: 'http://localhost:11434',
+  defaultModels: {
+    chat: 'llama3.1',
+    knowledge: 'llama3.1',
+    embedding: 'nomic-embed-text'
+  },
+  authStyle: 'none',
+  requiresApiKey: false,
+  streamFormat: 'ndjson',
+  capabilities: {
+    grounding: false,
+    tools: true,
+    attachments: true,
+    contextCaching: false
+  },
+
+  buildRequest({ baseUrl, apiKey, model, payload, stream }) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    // Ollama itself is unauthenticated, but reverse proxies in front of it often expect a bearer token
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const body = {
+      model,
+      messages: toMessages(payload),
+      stream,
+      options: toOptions(payload.generationConfig)
+    };
+
+    // Ollama takes either "json" or a full JSON schema in the top-level format field
+    if (payload.generationConfig?.responseMimeType === 'application/json') {
+      body.format = payload.generationConfig.responseSchema ?? 'json';
+    }
+
+    const declarations = (payload.tools ?? []).flatMap((tool) => tool.functionDeclarations ?? []);
+
+    if (declarations.length) {
+      body.tools = declarations.map((declaration) => ({ type: 'function', function: declaration }));
+    }
+
+    return {
+      url: joinUrl(baseUrl, 'api/chat'),
+      headers,
+      body
+    };
+  },
+
+  embedBatchSize: 64,
+
+  buildEmbedRequest({ baseUrl, apiKey, model, texts }) {
+    return {
+      url: joinUrl(baseUrl, 'api/embed'),
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: { model, input: texts }
+    };
+  },
+
+  parseEmbeddings(json) {
+    return json?.embeddings ?? [];
+  },
+
+  buildListModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: joinUrl(baseUrl, 'api/tags'),
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    };
+  },
+
+  normalizeModelList(json) {
+    const models = (json?.models ?? []).map((model) => ({
+      id: model.name,
+      label: [model.name, model.details?.parameter_size].filter(Boolean).join(' · '),
+      contextWindow: null,
+      outputTokenLimit: null,
+      capabilities: { generateContent: true }
+    }));
+
+    return { models, nextPageToken: null };
+  },
+
+  normalizeResponse(json) {
+    return toFrame(json);
+  },
+
+  createStreamDecoder() {
+    return {
+      decode(line) {
+        const json = parseJsonFrame(line, 'Ollama');
+        return [json.error ? { error: { message: json.error } } : toFrame(json)];
+      },
+      flush: () => []
+    };
+  },
+
+  mapError({ payload }) {
+    return {
+      message: typeof payload?.error === 'string' ? payload.error : payload?.error?.message
+    };
+  }
+};
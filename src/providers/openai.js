@@ -0,0 +1,323 @@
+import {
+  parseJsonFrame,
+  unsupportedFeature,
+  partsText,
+  parseToolArguments,
+  candidateFrame,
+  toUsageMetadata,
+  joinUrl
+} from './shared.js';
+
+const FINISH_REASONS = {
+  stop: 'STOP',
+  length: 'MAX_TOKENS',
+  content_filter: 'SAFETY',
+  tool_calls: 'STOP',
+  function_call: 'STOP'
+};
+
+const ERROR_CODES = {
+  context_length_exceeded: 'CONTEXT_LENGTH_EXCEEDED',
+  insufficient_quota: 'RATE_LIMITED',
+  rate_limit_exceeded: 'RATE_LIMITED',
+  invalid_api_key: 'API_KEY_INVALID',
+  model_not_found: 'MODEL_NOT_FOUND'
+};
+
+const AUDIO_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/mp3': 'mp3',
+  'audio/mpeg': 'mp3'
+};
+
+function toContentPart(part) {
+  if (typeof part.text === 'string') {
+    return { type: 'text', text: part.text };
+  }
+
+  const { mimeType, data } = part.inlineData;
+
+  if (mimeType.startsWith('image/')) {
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+  }
+
+  if (AUDIO_FORMATS[mimeType]) {
+    return { type: 'input_audio', input_audio: { data, format: AUDIO_FORMATS[mimeType] } };
+  }
+
+  throw unsupportedFeature(`OpenAI-compatible endpoints cannot accept "${mimeType}" attachments.`);
+}
+
+function toMessageContent(parts) {
+  const contentParts = parts.filter((part) => typeof part.text === 'string' || part.inlineData);
+
+  if (contentParts.every((part) => typeof part.text === 'string')) {
+    return partsText(contentParts) || null;
+  }
+
+  return contentParts.map(toContentPart);
+}
+
+function toMessages(payload) {
+  const messages = [];
+  const systemText = partsText(payload.systemInstruction?.parts);
+
+  if (systemText) {
+    messages.push({ role: 'system', content: systemText });
+  }
+
+  payload.contents.forEach((entry) => {
+    const functionResponses = entry.parts.filter((part) => part.functionResponse);
+
+    if (functionResponses.length) {
+      functionResponses.forEach(({ functionResponse }) => {
+        messages.push({
+          role: 'tool',
+          tool_call_id: functionResponse.id ?? functionResponse.name,
+          content: JSON.stringify(functionResponse.response ?? {})
+        });
+      });
+      return;
+    }
+
+    const message = {
+      role: entry.role === 'model' ? 'assistant' : 'user',
+      content: toMessageContent(entry.parts)
+    };
+
+    const functionCalls = entry.parts.filter((part) => part.functionCall);
+
+    if (functionCalls.length) {
+      message.tool_calls = functionCalls.map(({ functionCall }) => ({
+        id: functionCall.id ?? functionCall.name,
+        type: 'function',
+        function: {
+          name: functionCall.name,
+          arguments: JSON.stringify(functionCall.args ?? {})
+        }
+      }));
+    }
+
+    messages.push(message);
+  });
+
+  return messages;
+}
+
+function toTools(tools = []) {
+  return tools
+    .flatMap((tool) => tool.functionDeclarations ?? [])
+    .map((declaration) => ({
+      type: 'function',
+      function: {
+        name: declaration.name,
+        description: declaration.description,
+        parameters: declaration.parameters ?? { type: 'object', properties: {} }
+      }
+    }));
+}
+
+function toRequestBody(payload, { model, stream }) {
+  const config = payload.generationConfig ?? {};
+  const body = {
+    model,
+    messages: toMessages(payload),
+    stream
+  };
+
+  if (stream) {
+    body.stream_options = { include_usage: true };
+  }
+
+  if (config.temperature != null) body.temperature = config.temperature;
+  if (config.topP != null) body.top_p = config.topP;
+  if (config.maxOutputTokens != null) body.max_tokens = config.maxOutputTokens;
+  if (config.stopSequences?.length) body.stop = config.stopSequences;
+  if (config.candidateCount != null) body.n = config.candidateCount;
+
+  if (config.responseMimeType === 'application/json') {
+    body.response_format = config.responseSchema
+      ? { type: 'json_schema', json_schema: { name: 'response', schema: config.responseSchema } }
+      : { type: 'json_object' };
+  }
+
+  const tools = toTools(payload.tools);
+
+  if (tools.length) {
+    body.tools = tools;
+  }
+
+  return body;
+}
+
+function toFunctionCall(toolCall) {
+  return {
+    id: toolCall.id,
+    name: toolCall.function?.name,
+    args: parseToolArguments(toolCall.function?.arguments)
+  };
+}
+
+function toUsage(usage) {
+  return toUsageMetadata({
+    prompt: usage?.prompt_tokens,
+    completion: usage?.completion_tokens,
+    total: usage?.total_tokens
+  });
+}
+
+export const openAiProvider = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  defaultModels: {
+    chat: 'gpt-4o-mini',
+    knowledge: 'gpt-4o-mini',
+    embedding: 'text-embedding-3-small'
+  },
+  authStyle: 'bearer',
+  requiresApiKey: false,
+  streamFormat: 'sse',
+  capabilities: {
+    grounding: false,
+    tools: true,
+    attachments: true,
+    contextCaching: false
+  },
+
+  buildRequest({ baseUrl, apiKey, model, payload, stream }) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    return {
+      url: joinUrl(baseUrl, 'chat/completions'),
+      headers,
+      body: toRequestBody(payload, { model, stream })
+    };
+  },
+
+  embedBatchSize: 256,
+
+  buildEmbedRequest({ baseUrl, apiKey, model, texts }) {
+    return {
+      url: joinUrl(baseUrl, 'embeddings'),
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+      },
+      body: { model, input: texts }
+    };
+  },
+
+  parseEmbeddings(json) {
+    return (json?.data ?? [])
+      .slice()
+      .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+      .map((entry) => entry.embedding);
+  },
+
+  buildListModelsRequest({ baseUrl, apiKey }) {
+    return {
+      url: joinUrl(baseUrl, 'models'),
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+    };
+  },
+
+  normalizeModelList(json) {
+    const models = (json?.data ?? []).map((model) => ({
+      id: model.id,
+      label: model.id,
+      contextWindow: model.context_length ?? model.context_window ?? null,
+      outputTokenLimit: null,
+      capabilities: { generateContent: true }
+    }));
+
+    return { models, nextPageToken: null };
+  },
+
+  normalizeResponse(json) {
+    const candidates = (json?.choices ?? []).map((choice) => candidateFrame({
+      text: choice.message?.content ?? '',
+      functionCalls: (choice.message?.tool_calls ?? []).map(toFunctionCall),
+      finishReason: FINISH_REASONS[choice.finish_reason] ?? choice.finish_reason?.toUpperCase()
+    }));
+
+    return {
+      candidates,
+      usageMetadata: toUsage(json?.usage),
+      modelVersion: json?.model
+    };
+  },
+
+  createStreamDecoder() {
+    const pendingCalls = new Map();
+
+    function drainCalls() {
+      const calls = Array.from(pendingCalls.values()).map(toFunctionCall);
+      pendingCalls.clear();
+      return calls;
+    }
+
+    return {
+      decode(data) {
+        if (data.trim() === '[DONE]') {
+          return [];
+        }
+
+        const chunk = parseJsonFrame(data, 'OpenAI-compatible');
+
+        if (chunk.error) {
+          return [{ error: chunk.error }];
+        }
+
+        const frames = [];
+        const choice = chunk.choices?.[0];
+        const delta = choice?.delta ?? {};
+
+        (delta.tool_calls ?? []).forEach((toolCall) => {
+          const index = toolCall.index ?? pendingCalls.size;
+          const pending = pendingCalls.get(index) ?? { id: toolCall.id, function: { name: '', arguments: '' } };
+
+          pending.id = toolCall.id ?? pending.id;
+          pending.function.name += toolCall.function?.name ?? '';
+          pending.function.arguments += toolCall.function?.arguments ?? '';
+          pendingCalls.set(index, pending);
+        });
+
+        if (delta.content || choice?.finish_reason) {
+          frames.push({
+            candidates: [candidateFrame({
+              text: delta.content ?? '',
+              functionCalls: choice?.finish_reason ? drainCalls() : [],
+              finishReason: FINISH_REASONS[choice?.finish_reason] ?? choice?.finish_reason?.toUpperCase()
+            })],
+            modelVersion: chunk.model
+          });
+        }
+
+        if (chunk.usage) {
+          frames.push({ usageMetadata: toUsage(chunk.usage) });
+        }
+
+        return frames;
+      },
+
+      flush() {
+        const calls = drainCalls();
+        return calls.length ? [{ candidates: [candidateFrame({ functionCalls: calls })] }] : [];
+      }
+    };
+  },
+
+  mapError({ payload }) {
+    const error = payload?.error;
+
+    return {
+      message: typeof error === 'string' ? error : error?.message,
+      code: ERROR_CODES[error?.code] ?? ERROR_CODES[error?.type] ?? error?.code?.toString().toUpperCase()
+    };
+  }
+};
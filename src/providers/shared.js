@@ -0,0 +1,73 @@
+import { GeminiApiError } from '../errors.js';
+
+export function parseJsonFrame(data, label) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    throw new GeminiApiError(`Failed to parse ${label} stream frame.`, {
+      code: 'INVALID_RESPONSE',
+      details: { cause: error?.message, data }
+    });
+  }
+}
+
+export function unsupportedFeature(message) {
+  return new GeminiApiError(message, { code: 'UNSUPPORTED_FEATURE' });
+}
+
+export function partsText(parts, separator = '\n\n') {
+  return (parts ?? [])
+    .filter((part) => typeof part?.text === 'string')
+    .map((part) => part.text)
+    .join(separator);
+}
+
+export function parseToolArguments(value) {
+  if (!value) {
+    return {};
+  }
+
+  if (typeof value === 'object') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return { _raw: value };
+  }
+}
+
+export function candidateFrame({ text, functionCalls = [], finishReason }) {
+  const parts = [];
+
+  if (text) {
+    parts.push({ text });
+  }
+
+  functionCalls.forEach((functionCall) => parts.push({ functionCall }));
+
+  const candidate = { content: { role: 'model', parts } };
+
+  if (finishReason) {
+    candidate.finishReason = finishReason;
+  }
+
+  return candidate;
+}
+
+export function toUsageMetadata({ prompt, completion, total }) {
+  if (prompt == null && completion == null) {
+    return undefined;
+  }
+
+  return {
+    promptTokenCount: prompt ?? 0,
+    candidatesTokenCount: completion ?? 0,
+    totalTokenCount: total ?? (prompt ?? 0) + (completion ?? 0)
+  };
+}
+
+export function joinUrl(baseUrl, path) {
+  return `${baseUrl.replace(/\/+$/, '')}/${path.replace(/^\/+/, '')}`;
+}
@@ -0,0 +1,385 @@
+import { validateApiKey } from './storage.js';
+import { decodeBase64Text, encodeBase64Text, estimateBase64Bytes, isTextMimeType } from './attachments.js';
+
+export const REDACTION_MIDDLEWARE_NAME = 'redaction';
+
+const LABEL_PATTERN = /^[A-Z][A-Z0-9_]*$/;
+const PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+const CONTAINS_PLACEHOLDER = /\[[A-Z][A-Z0-9_]*_\d+\]/;
+// a streamed delta can end halfway through a placeholder, so that tail waits for the next delta
+const PARTIAL_PLACEHOLDER_PATTERN = /\[[A-Z0-9_]{0,40}$/;
+
+function countDigits(value) {
+  return value.replace(/\D/g, '').length;
+}
+
+function passesLuhn(value) {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+
+  for (let index = 0; index < digits.length; index += 1) {
+    let digit = Number(digits[digits.length - 1 - index]);
+
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+function isIpv6(value) {
+  try {
+    return new URL(`http://[${value}]/`).hostname.length > 2;
+  } catch (error) {
+    return false;
+  }
+}
+
+// compressed addresses look a lot like code paths such as `a::b` or `add::dec`, so a match also needs
+// two groups and a digit; times such as 10:30:00 are neither compressed nor eight groups long
+function looksLikeIpv6(value) {
+  const groups = value.split(':').filter(Boolean);
+
+  return groups.length >= 2
+    && /\d/.test(value)
+    && (value.includes('::') || groups.length === 8)
+    && isIpv6(value);
+}
+
+// Detectors run in this order, and text already replaced is not matched again. Keys run first so a token is
+// one finding rather than fragments of other detectors; cards and IPs run before phone numbers since they look alike.
+export const REDACTION_DETECTORS = [
+  {
+    id: 'apiKey',
+    label: 'API_KEY',
+    description: 'API keys, tokens, and passwords',
+    patterns: [
+      /(?<![\w-])AIza[\w-]{35}(?![\w-])/g,
+      /(?<![\w-])sk-(?:proj-|ant-)?[\w-]{20,}(?![\w-])/g,
+      /(?<![\w-])gh[pousr]_[A-Za-z0-9]{36,}(?![\w-])/g,
+      /(?<![\w-])(?:AKIA|ASIA)[0-9A-Z]{16}(?![\w-])/g,
+      /(?<![\w-])xox[abprs]-[\w-]{10,}(?![\w-])/g,
+      /(?<![\w-])eyJ[\w-]{8,}\.eyJ[\w-]{8,}\.[\w-]{8,}(?![\w-])/g,
+      /(?<=\bBearer\s+)[\w.~+/=-]{8,}/g,
+      /(?<=\b(?:api[_-]?key|secret|token|password|passwd|pwd)["']?\s*[:=]\s*["']?)[^\s"',;]{6,}/gi
+    ],
+    validate: (value) => !value.startsWith('AIza') || validateApiKey(value, { providerId: 'gemini' }).valid
+  },
+  {
+    id: 'email',
+    label: 'EMAIL',
+    description: 'Email addresses',
+    patterns: [/[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g]
+  },
+  {
+    id: 'creditCard',
+    label: 'CARD',
+    description: 'Credit card numbers',
+    patterns: [/(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g],
+    validate: (value) => passesLuhn(value)
+  },
+  {
+    id: 'ipAddress',
+    label: 'IP',
+    description: 'IP addresses',
+    patterns: [
+      /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g,
+      /(?<![\w:])(?:[A-Fa-f0-9]{0,4}:){2,7}[A-Fa-f0-9]{0,4}(?![\w:])/g
+    ],
+    validate: (value) => !value.includes(':') || looksLikeIpv6(value)
+  },
+  {
+    id: 'phone',
+    label: 'PHONE',
+    description: 'Phone numbers',
+    patterns: [
+      /(?<![\w+])\+\d{7,15}(?!\w)/g,
+      /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,4}\)[\s.-]?|\d{2,4}[\s.-])(?:\d{2,4}[\s.-]){0,3}\d{3,4}(?!\w)/g
+    ],
+    validate: (value) => countDigits(value) >= 7 && countDigits(value) <= 15
+  }
+];
+
+export const DEFAULT_REDACTION_DETECTORS = REDACTION_DETECTORS.map((detector) => detector.id);
+
+function redactionError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_REDACTION_PATTERN';
+  return error;
+}
+
+function toGlobalRegExp(source, flags = '') {
+  return new RegExp(source, flags.includes('g') ? flags : `${flags}g`);
+}
+
+// one pattern per line: a placeholder label, whitespace, then a regular expression, optionally as /source/flags
+export function parseRedactionPatterns(text = '') {
+  return text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line && !line.startsWith('#'))
+    .map(({ line, number }) => {
+      const [, label, expression] = line.match(/^(\S+)\s+(.+)$/) ?? [];
+
+      if (!label || !LABEL_PATTERN.test(label)) {
+        throw redactionError(`Pattern line ${number} should start with a label in capitals, for example "EMPLOYEE_ID E\\d{6}".`);
+      }
+
+      const [, source, flags] = expression.match(/^\/(.+)\/([a-z]*)$/) ?? [null, expression, ''];
+
+      try {
+        toGlobalRegExp(source, flags);
+      } catch (error) {
+        throw redactionError(`Pattern line ${number}: ${error.message}`);
+      }
+
+      return { label, pattern: source, flags };
+    });
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Replaces sensitive values with numbered placeholders such as [EMAIL_1]. The same value always gets the same
+// placeholder within one redactor, so a conversation stays coherent and replies can be restored. Custom
+// patterns and exact `secrets` (for example the key in use) are checked before the built-in detectors.
+export function createRedactor({ detectors = DEFAULT_REDACTION_DETECTORS, customPatterns = [], secrets = [] } = {}) {
+  const rules = [
+    ...secrets.filter((secret) => secret?.length >= 8).map((secret) => ({
+      label: 'SECRET',
+      patterns: [new RegExp(escapeRegExp(secret), 'g')]
+    })),
+    ...customPatterns.map(({ label, pattern, flags }) => ({ label, patterns: [toGlobalRegExp(pattern, flags)] })),
+    ...REDACTION_DETECTORS.filter((detector) => detectors.includes(detector.id))
+  ];
+  const placeholders = new Map();
+  const originals = new Map();
+  const counters = new Map();
+
+  function toPlaceholder(label, value) {
+    if (!placeholders.has(value)) {
+      const count = (counters.get(label) ?? 0) + 1;
+      const placeholder = `[${label}_${count}]`;
+
+      counters.set(label, count);
+      placeholders.set(value, { placeholder, label });
+      originals.set(placeholder, value);
+    }
+
+    return placeholders.get(value).placeholder;
+  }
+
+  function redact(text) {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+
+    return rules.reduce(
+      (current, rule) => rule.patterns.reduce(
+        (inner, pattern) => inner.replace(pattern, (match) => {
+          if (!match || CONTAINS_PLACEHOLDER.test(match) || (rule.validate && !rule.validate(match))) {
+            return match;
+          }
+
+          return toPlaceholder(rule.label, match);
+        }),
+        current
+      ),
+      text
+    );
+  }
+
+  function restore(text) {
+    if (typeof text !== 'string' || !originals.size) {
+      return text;
+    }
+
+    return text.replace(PLACEHOLDER_PATTERN, (match) => originals.get(match) ?? match);
+  }
+
+  return {
+    redact,
+    restore,
+    get size() {
+      return originals.size;
+    },
+    findings() {
+      return Array.from(placeholders, ([value, { placeholder, label }]) => ({ placeholder, label, value }));
+    }
+  };
+}
+
+// returns the data unchanged when nothing matched, so untouched files keep their exact bytes
+function redactTextData(data, redactor) {
+  let text;
+
+  try {
+    text = decodeBase64Text(data);
+  } catch (error) {
+    // not valid base64; the request builder rejects it before anything is sent
+    return data;
+  }
+
+  const redacted = redactor.redact(text);
+  return redacted === text ? data : encodeBase64Text(redacted);
+}
+
+function redactParts(parts, redactor) {
+  if (typeof parts === 'string') {
+    return redactor.redact(parts);
+  }
+
+  if (Array.isArray(parts)) {
+    return parts.map((part) => redactParts(part, redactor));
+  }
+
+  if (parts?.text != null) {
+    return { ...parts, text: redactor.redact(parts.text) };
+  }
+
+  if (parts?.inlineData?.data && isTextMimeType(parts.inlineData.mimeType)) {
+    return { ...parts, inlineData: { ...parts.inlineData, data: redactTextData(parts.inlineData.data, redactor) } };
+  }
+
+  return parts;
+}
+
+// attachments are either inlineData parts or { name, mimeType, data, size } records from attachments.js
+function redactAttachment(attachment, redactor) {
+  if (attachment?.inlineData || !attachment?.data || !isTextMimeType(attachment.mimeType)) {
+    return redactParts(attachment, redactor);
+  }
+
+  const data = redactTextData(attachment.data, redactor);
+  return data === attachment.data ? attachment : { ...attachment, data, size: estimateBase64Bytes(data) };
+}
+
+// images, PDFs and audio are sent as they are
+export function findUnredactedAttachments(attachments = []) {
+  return attachments.filter((attachment) => !isTextMimeType(attachment?.inlineData?.mimeType ?? attachment?.mimeType));
+}
+
+function redactKnowledgeEntry(entry, redactor) {
+  if (typeof entry === 'string') {
+    return redactor.redact(entry);
+  }
+
+  if (!entry || typeof entry !== 'object') {
+    return entry;
+  }
+
+  const redacted = { ...entry };
+
+  ['title', 'snippet', 'content', 'text'].forEach((field) => {
+    if (typeof redacted[field] === 'string') {
+      redacted[field] = redactor.redact(redacted[field]);
+    }
+  });
+
+  return redacted;
+}
+
+// history goes first so earlier turns keep the placeholder numbers they had when they were sent
+export function redactRequestInput(input, redactor) {
+  const redacted = { ...input };
+
+  if (input.systemInstruction != null) {
+    redacted.systemInstruction = redactParts(input.systemInstruction, redactor);
+  }
+
+  if (Array.isArray(input.history)) {
+    redacted.history = input.history.map((entry) => ({
+      ...entry,
+      ...(entry.parts != null ? { parts: redactParts(entry.parts, redactor) } : {}),
+      ...(entry.content != null ? { content: redactParts(entry.content, redactor) } : {}),
+      ...(entry.text != null ? { text: redactor.redact(entry.text) } : {})
+    }));
+  }
+
+  if (input.knowledgeContext != null) {
+    redacted.knowledgeContext = Array.isArray(input.knowledgeContext)
+      ? input.knowledgeContext.map((entry) => redactKnowledgeEntry(entry, redactor))
+      : redactKnowledgeEntry(input.knowledgeContext, redactor);
+  }
+
+  ['prompt', 'query'].forEach((field) => {
+    if (typeof input[field] === 'string') {
+      redacted[field] = redactor.redact(input[field]);
+    }
+  });
+
+  if (Array.isArray(input.attachments)) {
+    redacted.attachments = input.attachments.map((attachment) => redactAttachment(attachment, redactor));
+  }
+
+  // embedContents input
+  if (Array.isArray(input.texts)) {
+    redacted.texts = input.texts.map((text) => redactor.redact(text));
+  }
+
+  return redacted;
+}
+
+function resolveRedactorOptions(options) {
+  const secrets = typeof options.secrets === 'function' ? options.secrets() : options.secrets;
+  return { ...options, secrets: (secrets ?? []).filter(Boolean) };
+}
+
+// shows what would leave the browser without sending anything
+export function previewRedaction(input, options = {}) {
+  const redactor = createRedactor(resolveRedactorOptions(options));
+  const redacted = redactRequestInput(input, redactor);
+
+  return { input: redacted, findings: redactor.findings() };
+}
+
+// Redacts the inputs of every call (token counts and embeddings included) and restores placeholders in streamed
+// deltas and final replies, so only the browser sees the original values. History summaries keep their
+// placeholders because they go back to the model in the next payload. The high `order` runs it after other
+// middleware, so text added by their beforeBuild hooks is redacted too.
+export function createRedactionMiddleware(options = {}) {
+  return {
+    name: REDACTION_MIDDLEWARE_NAME,
+    order: 1000,
+    beforeBuild(input, context) {
+      context.state.redactor = createRedactor(resolveRedactorOptions(options));
+      context.state.pending = '';
+      return redactRequestInput(input, context.state.redactor);
+    },
+    onChunk(delta, context) {
+      const { redactor } = context.state;
+
+      if (!redactor?.size) {
+        return delta;
+      }
+
+      const text = context.state.pending + delta;
+
+      // the reply is over, so a held-back "[" was never the start of a placeholder
+      if (context.done) {
+        context.state.pending = '';
+        return redactor.restore(text);
+      }
+
+      const partial = text.match(PARTIAL_PLACEHOLDER_PATTERN);
+
+      context.state.pending = partial ? partial[0] : '';
+      return redactor.restore(partial ? text.slice(0, partial.index) : text);
+    },
+    afterResponse(result, context) {
+      const { redactor } = context.state;
+      context.state.pending = '';
+
+      if (!redactor?.size || context.operation === 'summary') {
+        return undefined;
+      }
+
+      return { text: redactor.restore(result.text), redactions: redactor.size };
+    }
+  };
+}
@@ -0,0 +1,67 @@
+import { REDACTION_DETECTORS } from './redaction.js';
+
+export function renderRedactionDetectors(container, enabled = []) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  REDACTION_DETECTORS.forEach((detector) => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-field';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = 'detector';
+    input.value = detector.id;
+    input.checked = enabled.includes(detector.id);
+
+    label.appendChild(input);
+    label.appendChild(document.createTextNode(` ${detector.description}`));
+    container.appendChild(label);
+  });
+}
+
+export function populateRedactionForm(form, { enabled, preview, customPatterns }) {
+  if (!form) return;
+
+  form.elements.enabled.checked = Boolean(enabled);
+  form.elements.preview.checked = preview !== false;
+  form.elements.customPatterns.value = customPatterns ?? '';
+}
+
+export function readRedactionForm(form) {
+  return {
+    enabled: form.elements.enabled.checked,
+    preview: form.elements.preview.checked,
+    detectors: Array.from(form.querySelectorAll('[name="detector"]:checked'), (input) => input.value),
+    customPatterns: form.elements.customPatterns.value.trim()
+  };
+}
+
+// originals are shown in full: they never leave the browser, and the user needs them to judge each match
+export function renderRedactionReview({ title, list, outgoing }, { findings, text, unredactedAttachments = 0 }) {
+  if (title) {
+    const unredacted = unredactedAttachments
+      ? ` ${unredactedAttachments} image, PDF, or audio ${unredactedAttachments === 1 ? 'attachment is' : 'attachments are'} sent unchanged.`
+      : '';
+
+    title.textContent = `${findings.length} ${findings.length === 1 ? 'value' : 'values'} will be replaced before sending. Replies show the originals again.${unredacted}`;
+  }
+
+  if (list) {
+    list.replaceChildren();
+
+    findings.forEach(({ placeholder, value }) => {
+      const item = document.createElement('li');
+      const code = document.createElement('code');
+      code.textContent = placeholder;
+      item.appendChild(code);
+      item.appendChild(document.createTextNode(` ← ${value}`));
+      list.appendChild(item);
+    });
+  }
+
+  if (outgoing) {
+    outgoing.textContent = text;
+  }
+}
@@ -1,12 +1,27 @@
-const DEFAULT_HISTORY_LIMIT = 16;
+import { toInlineDataPart, validateInlineDataPart, validateAttachmentTotals } from './attachments.js';
+import {
+  computeHistoryBudget,
+  estimateContentTokens,
+  estimateContentsTokens,
+  estimateTextTokens,
+  fitHistoryToBudget
+} from './tokenBudget.js';
+
+const SUMMARY_PREFIX = 'Summary of the earlier conversation, condensed to fit the context window:';
+const SUMMARY_ACKNOWLEDGEMENT = 'Understood. I will keep that earlier context in mind.';
+const KNOWLEDGE_ACKNOWLEDGEMENT = 'Understood. I will use that reference knowledge when relevant and cite entries by number.';
 
 const ROLE_MAP = {
   user: 'user',
   model: 'model',
   assistant: 'model',
+  tool: 'user',
+  function: 'user',
   system: 'system'
 };
 
+const PART_KEYS = ['text', 'inlineData', 'fileData', 'functionCall', 'functionResponse'];
+
 function normalizeParts(parts) {
   if (!parts) {
     return [];
@@ -23,47 +38,98 @@ function normalizeParts(parts) {
     return [{ text: parts }];
   }
 
-  if (typeof parts === 'object' && 'text' in parts) {
+  if (typeof parts === 'object' && PART_KEYS.some((key) => key in parts)) {
     return [parts];
   }
 
   return [];
 }
 
-function normalizeHistory(history, limit = DEFAULT_HISTORY_LIMIT) {
+function normalizeHistory(history) {
   if (!Array.isArray(history)) {
     return [];
   }
 
-  const mapped = history
+  return history
     .map((entry) => ({
       role: ROLE_MAP[entry.role] ?? 'user',
       parts: normalizeParts(entry.parts ?? entry.content ?? entry.text)
     }))
     .filter((entry) => entry.parts.length > 0 && entry.role !== 'system');
+}
 
-  if (mapped.length <= limit) {
-    return mapped;
+function buildSummaryContents(summary) {
+  if (!summary || !summary.trim()) {
+    return [];
   }
 
-  return mapped.slice(mapped.length - limit);
+  return [
+    { role: 'user', parts: [{ text: `${SUMMARY_PREFIX}\n\n${summary.trim()}` }] },
+    { role: 'model', parts: [{ text: SUMMARY_ACKNOWLEDGEMENT }] }
+  ];
 }
 
-function buildUserPromptParts(prompt, knowledgeContext) {
-  const parts = [];
+export function planChatHistory({
+  prompt,
+  history = [],
+  knowledgeContext = [],
+  attachments = [],
+  systemInstruction,
+  historySummary,
+  tools,
+  model,
+  contextWindow,
+  maxOutputTokens,
+  cachedContent
+} = {}) {
+  // a cached prefix still takes up the context window even though it is not sent again
+  const userParts = buildUserPromptParts(prompt, cachedContent ? [] : knowledgeContext, attachments);
+  const summaryContents = buildSummaryContents(historySummary);
+
+  const fixedTokens = estimateContentTokens({ parts: userParts })
+    + (cachedContent ? estimateTextTokens(formatKnowledgeBlock(knowledgeContext)) : 0)
+    + (systemInstruction ? estimateContentTokens({ parts: normalizeParts(systemInstruction) }) : 0)
+    + estimateContentsTokens(summaryContents)
+    + (tools?.length ? estimateTextTokens(JSON.stringify(tools)) : 0);
+
+  const budget = computeHistoryBudget({ model, contextWindow, maxOutputTokens, fixedTokens });
+  const fitted = fitHistoryToBudget(normalizeHistory(history), budget.budget);
+
+  return {
+    ...budget,
+    history: [...summaryContents, ...fitted.contents],
+    dropped: fitted.dropped,
+    userParts,
+    historyTokens: fitted.tokens,
+    totalTokens: fixedTokens + fitted.tokens
+  };
+}
 
+function formatKnowledgeBlock(knowledgeContext) {
   const knowledge = formatKnowledgeContext(knowledgeContext);
 
+  return knowledge
+    ? `Utilize the following reference knowledge when relevant. Treat it as potentially incomplete and verify with general reasoning. When you rely on an entry, cite it inline by its number, for example [2].\n\n${knowledge}\n\n--- End of knowledge context ---`
+    : '';
+}
+
+function buildUserPromptParts(prompt, knowledgeContext, attachments = []) {
+  const parts = [];
+
+  const knowledge = formatKnowledgeBlock(knowledgeContext);
+
   if (knowledge) {
-    parts.push({
-      text: `Utilize the following reference knowledge when relevant. Treat it as potentially incomplete and verify with general reasoning.\n\n${knowledge}\n\n--- End of knowledge context ---`
-    });
+    parts.push({ text: knowledge });
   }
 
   if (prompt && prompt.trim().length) {
     parts.push({ text: prompt.trim() });
   }
 
+  attachments.forEach((attachment) => {
+    parts.push(attachment?.inlineData ? attachment : toInlineDataPart(attachment));
+  });
+
   return parts;
 }
 
@@ -95,32 +161,56 @@ function formatKnowledgeContext(context) {
   return formatted;
 }
 
+// the count and size limits apply to the new turn only; files from earlier turns passed them when they were sent
+function validateContentParts(contents) {
+  contents.flatMap((entry) => entry.parts).filter((part) => part?.inlineData).forEach(validateInlineDataPart);
+  validateAttachmentTotals(contents.at(-1).parts);
+}
+
 function buildBasePayload({
   prompt,
   history,
   knowledgeContext,
+  attachments,
+  historySummary,
   systemInstruction,
   generationConfig,
   safetySettings,
+  tools,
+  toolConfig,
+  model,
+  contextWindow,
+  cachedContent,
   extras
 }) {
-  const contents = normalizeHistory(history);
-
-  const userParts = buildUserPromptParts(prompt, knowledgeContext);
+  const plan = planChatHistory({
+    prompt,
+    history,
+    knowledgeContext,
+    attachments,
+    systemInstruction,
+    historySummary,
+    tools,
+    model,
+    contextWindow,
+    maxOutputTokens: generationConfig?.maxOutputTokens,
+    cachedContent
+  });
 
-  if (userParts.length === 0) {
-    throw new Error('A non-empty prompt or knowledge context is required to create a request.');
+  if (plan.userParts.length === 0) {
+    throw new Error('A non-empty prompt, knowledge context, or attachment is required to create a request.');
   }
 
-  contents.push({ role: 'user', parts: userParts });
+  const contents = [...plan.history, { role: 'user', parts: plan.userParts }];
+  validateContentParts(contents);
 
   const payload = { contents };
 
-  if (systemInstruction) {
-    payload.systemInstruction = {
-      role: 'system',
-      parts: normalizeParts(systemInstruction)
-    };
+  // Gemini rejects systemInstruction, tools and toolConfig next to cachedContent; they live in the cache
+  if (cachedContent) {
+    payload.cachedContent = cachedContent;
+  } else {
+    applyPrefixFields(payload, { systemInstruction, tools, toolConfig });
   }
 
   if (generationConfig) {
@@ -138,22 +228,79 @@ function buildBasePayload({
   return payload;
 }
 
+function applyPrefixFields(payload, { systemInstruction, tools, toolConfig }) {
+  if (systemInstruction) {
+    payload.systemInstruction = {
+      role: 'system',
+      parts: normalizeParts(systemInstruction)
+    };
+  }
+
+  if (tools?.length) {
+    payload.tools = tools;
+  }
+
+  if (toolConfig) {
+    payload.toolConfig = toolConfig;
+  }
+
+  return payload;
+}
+
+// the part of a chat request that a context cache can hold: the knowledge block (answered by a short
+// acknowledgement so the request's own turns still alternate), the system instruction and the tools
+export function buildCachedPrefix({ knowledgeContext = [], systemInstruction, functionDeclarations = [], toolConfig } = {}) {
+  const knowledge = formatKnowledgeBlock(knowledgeContext);
+
+  if (!knowledge) {
+    return null;
+  }
+
+  return applyPrefixFields(
+    {
+      contents: [
+        { role: 'user', parts: [{ text: knowledge }] },
+        { role: 'model', parts: [{ text: KNOWLEDGE_ACKNOWLEDGEMENT }] }
+      ]
+    },
+    {
+      systemInstruction,
+      tools: functionDeclarations.length ? [{ functionDeclarations }] : [],
+      toolConfig
+    }
+  );
+}
+
 export function buildChatPayload({
   prompt,
   history = [],
   knowledgeContext = [],
+  attachments = [],
+  historySummary,
   systemInstruction,
   generationConfig,
   safetySettings,
+  functionDeclarations = [],
+  toolConfig,
+  model,
+  contextWindow,
+  cachedContent,
   extras
 } = {}) {
   return buildBasePayload({
     prompt,
     history,
     knowledgeContext,
+    attachments,
+    historySummary,
     systemInstruction,
     generationConfig,
     safetySettings,
+    tools: functionDeclarations.length ? [{ functionDeclarations }] : [],
+    toolConfig,
+    model,
+    contextWindow,
+    cachedContent,
     extras
   });
 }
@@ -165,16 +312,15 @@ export function buildKnowledgePayload({
   systemInstruction,
   generationConfig,
   safetySettings,
-  retrievalConfig
+  retrievalConfig,
+  functionDeclarations = [],
+  model,
+  contextWindow
 } = {}) {
-  const extras = {
-    tools: [{ googleSearchRetrieval: {} }]
-  };
+  const tools = [{ googleSearchRetrieval: {} }];
 
-  if (retrievalConfig) {
-    extras.toolConfig = {
-      googleSearchRetrieval: retrievalConfig
-    };
+  if (functionDeclarations.length) {
+    tools.push({ functionDeclarations });
   }
 
   return buildBasePayload({
@@ -184,8 +330,11 @@ export function buildKnowledgePayload({
     systemInstruction,
     generationConfig,
     safetySettings,
-    extras
+    tools,
+    toolConfig: retrievalConfig ? { googleSearchRetrieval: retrievalConfig } : undefined,
+    model,
+    contextWindow
   });
 }
 
-export { formatKnowledgeContext };
+export { formatKnowledgeContext, normalizeHistory };
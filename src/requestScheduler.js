@@ -0,0 +1,290 @@
+import { GeminiApiError } from './errors.js';
+import { abortError } from './streaming.js';
+
+// lower numbers run first; jobs with the same priority keep their submission order
+export const PRIORITIES = {
+  interactive: 0,
+  normal: 1,
+  background: 2
+};
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_CONCURRENCY = 4;
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+
+function createTokenBucket(perMinute) {
+  let available = perMinute;
+  let refilledAt = Date.now();
+
+  function refill(now) {
+    available = Math.min(perMinute, available + ((now - refilledAt) * perMinute) / MINUTE_MS);
+    refilledAt = now;
+  }
+
+  return {
+    // a single request larger than the whole bucket is clamped so it can still run once the bucket is full
+    waitTime(amount, now = Date.now()) {
+      refill(now);
+      const needed = Math.min(amount, perMinute);
+      return available >= needed ? 0 : Math.ceil(((needed - available) * MINUTE_MS) / perMinute);
+    },
+    take(amount) {
+      available -= Math.min(amount, perMinute);
+    }
+  };
+}
+
+function normalizeModelId(model) {
+  return (model ?? '').replace(/^models\//, '');
+}
+
+function circuitOpenError(providerId, until, cause) {
+  return new GeminiApiError(
+    `Requests to ${providerId} are paused after repeated server errors. Try again in ${Math.ceil((until - Date.now()) / 1000)}s.`,
+    { code: 'CIRCUIT_OPEN', details: { providerId, until }, cause }
+  );
+}
+
+// Queues requests so they leave in priority order within per-model requests/tokens-per-minute limits and a
+// global concurrency cap. A per-provider circuit breaker opens after consecutive failed requests, so callers
+// fail fast instead of piling more retries onto a struggling backend.
+export function createRequestScheduler({
+  concurrency = DEFAULT_CONCURRENCY,
+  limits = {},
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  cooldownMs = DEFAULT_COOLDOWN_MS
+} = {}) {
+  const config = { concurrency, limits, failureThreshold, cooldownMs };
+  const buckets = new Map();
+  const circuits = new Map();
+  const pausedUntil = new Map();
+  const listeners = new Set();
+  const queue = [];
+  let running = 0;
+  let sequence = 0;
+  let wakeTimer = null;
+
+  // limits are keyed by model prefix, so "gemini-1.5-pro" also covers "gemini-1.5-pro-latest"
+  function findLimits(model) {
+    const id = normalizeModelId(model);
+    const match = Object.keys(config.limits)
+      .filter((prefix) => id.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? config.limits[match] : null;
+  }
+
+  // pairs each bucket guarding the job's model with how much of it the job consumes
+  function getBuckets(job) {
+    const id = normalizeModelId(job.model);
+    const modelLimits = findLimits(job.model);
+
+    if (!modelLimits) {
+      return [];
+    }
+
+    if (!buckets.has(id)) {
+      buckets.set(id, {
+        requests: modelLimits.rpm ? createTokenBucket(modelLimits.rpm) : null,
+        tokens: modelLimits.tpm ? createTokenBucket(modelLimits.tpm) : null
+      });
+    }
+
+    const entry = buckets.get(id);
+    return [
+      entry.requests && { bucket: entry.requests, amount: 1 },
+      entry.tokens && { bucket: entry.tokens, amount: job.tokens }
+    ].filter(Boolean);
+  }
+
+  function waitTimeFor(job, now) {
+    const paused = (pausedUntil.get(job.providerId) ?? 0) - now;
+
+    return Math.max(
+      paused,
+      0,
+      ...getBuckets(job).map(({ bucket, amount }) => bucket.waitTime(amount, now))
+    );
+  }
+
+  function getState() {
+    const now = Date.now();
+
+    return {
+      running,
+      concurrency: config.concurrency,
+      queued: queue.map((job, index) => ({
+        id: job.id,
+        label: job.label,
+        model: job.model,
+        priority: job.priority,
+        position: index + 1
+      })),
+      circuits: Object.fromEntries(
+        Array.from(circuits.entries()).map(([providerId, circuit]) => [
+          providerId,
+          { failures: circuit.failures, open: circuit.openUntil > now, openUntil: circuit.openUntil || null }
+        ])
+      )
+    };
+  }
+
+  function notify() {
+    const state = getState();
+
+    queue.forEach((job, index) => job.onQueueStatus?.({ state: 'queued', position: index + 1 }));
+    listeners.forEach((listener) => listener(state));
+  }
+
+  function start(job) {
+    running += 1;
+    getBuckets(job).forEach(({ bucket, amount }) => bucket.take(amount));
+    job.signal?.removeEventListener('abort', job.onAbort);
+    job.onQueueStatus?.({ state: 'running', position: 0 });
+
+    Promise.resolve()
+      .then(job.task)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running -= 1;
+        pump();
+      });
+  }
+
+  function pump() {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+
+    const now = Date.now();
+    let nextWake = Infinity;
+
+    // a job held back by its own model's limit does not block jobs for other models behind it
+    for (let index = 0; index < queue.length && running < config.concurrency; ) {
+      const job = queue[index];
+      const wait = waitTimeFor(job, now);
+
+      if (wait > 0) {
+        nextWake = Math.min(nextWake, wait);
+        index += 1;
+        continue;
+      }
+
+      queue.splice(index, 1);
+      start(job);
+    }
+
+    if (queue.length && Number.isFinite(nextWake) && running < config.concurrency) {
+      wakeTimer = setTimeout(pump, nextWake);
+    }
+
+    notify();
+  }
+
+  // `cause` is the error a retrying request last saw, so it is not lost when other requests opened the circuit
+  function assertCircuitClosed(providerId, { cause } = {}) {
+    const circuit = circuits.get(providerId);
+
+    if (circuit && circuit.openUntil > Date.now()) {
+      throw circuitOpenError(providerId, circuit.openUntil, cause);
+    }
+  }
+
+  return {
+    schedule(task, {
+      providerId,
+      model,
+      tokens = 0,
+      priority = 'normal',
+      label = null,
+      signal,
+      onQueueStatus
+    } = {}) {
+      if (signal?.aborted) {
+        return Promise.reject(abortError());
+      }
+
+      return new Promise((resolve, reject) => {
+        assertCircuitClosed(providerId);
+
+        const job = {
+          id: (sequence += 1),
+          providerId,
+          model,
+          tokens,
+          priority,
+          rank: PRIORITIES[priority] ?? PRIORITIES.normal,
+          label,
+          signal,
+          onQueueStatus,
+          task,
+          resolve,
+          reject
+        };
+
+        job.onAbort = () => {
+          const index = queue.indexOf(job);
+          if (index === -1) return;
+
+          queue.splice(index, 1);
+          reject(abortError());
+          pump();
+        };
+
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+
+        const insertAt = queue.findIndex((queued) => queued.rank > job.rank);
+        queue.splice(insertAt === -1 ? queue.length : insertAt, 0, job);
+        pump();
+      });
+    },
+
+    // called once per request with its final status, so one request's own retries count as a single failure;
+    // after the cooldown the circuit is half-open: failures stay at the threshold, so one more 5xx reopens it
+    reportResponse(providerId, status) {
+      const circuit = circuits.get(providerId) ?? { failures: 0, openUntil: 0 };
+
+      if (status >= 500) {
+        circuit.failures += 1;
+
+        if (circuit.failures >= config.failureThreshold) {
+          circuit.openUntil = Date.now() + config.cooldownMs;
+        }
+      } else {
+        circuit.failures = 0;
+        circuit.openUntil = 0;
+      }
+
+      circuits.set(providerId, circuit);
+    },
+
+    assertCircuitClosed,
+
+    // honours Retry-After for every queued request to the same provider, not just the one that saw the 429
+    pause(providerId, duration) {
+      pausedUntil.set(providerId, Math.max(pausedUntil.get(providerId) ?? 0, Date.now() + duration));
+      pump();
+    },
+
+    configure({ concurrency: nextConcurrency, limits: nextLimits, failureThreshold: nextThreshold, cooldownMs: nextCooldown } = {}) {
+      if (nextConcurrency != null) config.concurrency = Math.max(1, nextConcurrency);
+      if (nextThreshold != null) config.failureThreshold = nextThreshold;
+      if (nextCooldown != null) config.cooldownMs = nextCooldown;
+
+      if (nextLimits) {
+        config.limits = nextLimits;
+        buckets.clear();
+      }
+
+      pump();
+      return { ...config };
+    },
+
+    getState,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
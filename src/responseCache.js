@@ -0,0 +1,207 @@
+import { createRecordStore } from './database.js';
+
+export const RESPONSE_CACHE_MODES = ['default', 'no-store', 'force'];
+export const DEFAULT_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_CACHE_MAX_BYTES = 4 * 1024 * 1024;
+
+const encoder = new TextEncoder();
+const responses = createRecordStore('responses');
+
+// insertion order doubles as recency: hits are moved to the end, eviction starts from the front
+const entries = new Map();
+const config = { enabled: false, ttlMs: DEFAULT_CACHE_TTL_MS, maxBytes: DEFAULT_CACHE_MAX_BYTES };
+const stats = { hits: 0, misses: 0 };
+let totalBytes = 0;
+let hydration = null;
+
+function cacheError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// object keys are sorted so payloads built in a different field order still share an entry
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item ?? null)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const fields = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+
+    return `{${fields.join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+// WebCrypto is missing on plain http:// pages, where a pair of FNV-1a hashes is still plenty for cache keys
+function fallbackHash(text) {
+  let first = 0x811c9dc5;
+  let second = 0x01000193;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const code = text.charCodeAt(index);
+    first = Math.imul(first ^ code, 0x01000193);
+    second = Math.imul(second ^ code, 0x811c9dc5);
+  }
+
+  return [first, second].map((hash) => (hash >>> 0).toString(16).padStart(8, '0')).join('');
+}
+
+async function hashText(text) {
+  const subtle = globalThis.crypto?.subtle;
+
+  if (!subtle) {
+    return fallbackHash(text);
+  }
+
+  const digest = await subtle.digest('SHA-256', encoder.encode(text));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isExpired(entry, now = Date.now()) {
+  return now - entry.createdAt > config.ttlMs;
+}
+
+function forget(id) {
+  const entry = entries.get(id);
+  if (!entry) return;
+
+  entries.delete(id);
+  totalBytes -= entry.size;
+  responses.delete(id).catch((error) => console.warn('Failed to evict cached response.', error));
+}
+
+function evictToFit() {
+  for (const id of entries.keys()) {
+    if (totalBytes <= config.maxBytes) break;
+    forget(id);
+  }
+}
+
+function remember(entry) {
+  entries.delete(entry.id);
+  entries.set(entry.id, entry);
+  totalBytes += entry.size;
+}
+
+// persisted entries are loaded once, oldest access first so the in-memory order matches their recency
+function hydrate() {
+  if (!hydration) {
+    hydration = responses.getAll()
+      .then((records) => {
+        records
+          .sort((a, b) => a.accessedAt - b.accessedAt)
+          .forEach((record) => {
+            if (!entries.has(record.id)) remember(record);
+          });
+        evictToFit();
+      })
+      .catch((error) => console.warn('Failed to load cached responses.', error));
+  }
+
+  return hydration;
+}
+
+function assertMode(mode) {
+  if (!RESPONSE_CACHE_MODES.includes(mode)) {
+    throw cacheError(`Unknown cache mode "${mode}". Use ${RESPONSE_CACHE_MODES.join(', ')}.`, 'INVALID_CACHE_MODE');
+  }
+}
+
+// "default" only uses the cache once it has been switched on, "force" uses it regardless and also
+// accepts expired entries, and "no-store" always goes to the network without saving the reply
+export function isCacheActive(mode = 'default') {
+  assertMode(mode);
+  return mode === 'force' || (mode === 'default' && config.enabled);
+}
+
+export function configureResponseCache({ enabled, ttlMs, maxBytes } = {}) {
+  if (enabled != null) config.enabled = Boolean(enabled);
+  if (ttlMs != null) config.ttlMs = Math.max(0, ttlMs);
+
+  if (maxBytes != null) {
+    config.maxBytes = Math.max(0, maxBytes);
+    evictToFit();
+  }
+
+  return { ...config };
+}
+
+export function getResponseCacheConfig() {
+  return { ...config };
+}
+
+export function createCacheKey({ providerId, baseUrl, model, payload }) {
+  return hashText(stableStringify({ providerId, baseUrl, model: (model ?? '').replace(/^models\//, ''), payload }));
+}
+
+export async function readCachedResponse(key, { mode = 'default' } = {}) {
+  if (!isCacheActive(mode)) return null;
+
+  await hydrate();
+
+  const entry = entries.get(key);
+
+  if (!entry || (mode !== 'force' && isExpired(entry))) {
+    stats.misses += 1;
+    return null;
+  }
+
+  stats.hits += 1;
+
+  const touched = { ...entry, accessedAt: Date.now() };
+  totalBytes -= entry.size;
+  remember(touched);
+  responses.put(touched).catch((error) => console.warn('Failed to update cached response.', error));
+
+  return { ...structuredClone(entry.result), cachedAt: new Date(entry.createdAt).toISOString() };
+}
+
+export async function writeCachedResponse(key, result, { mode = 'default', model } = {}) {
+  if (!isCacheActive(mode)) return;
+
+  await hydrate();
+
+  const now = Date.now();
+  const size = encoder.encode(JSON.stringify(result)).length;
+
+  // a reply bigger than the whole cache would only evict everything else and then itself
+  if (size > config.maxBytes) return;
+
+  if (entries.has(key)) {
+    totalBytes -= entries.get(key).size;
+  }
+
+  const entry = { id: key, model, result: structuredClone(result), size, createdAt: now, accessedAt: now };
+  remember(entry);
+  evictToFit();
+
+  await responses.put(entry).catch((error) => console.warn('Failed to persist cached response.', error));
+}
+
+export async function clearResponseCache() {
+  entries.clear();
+  totalBytes = 0;
+  stats.hits = 0;
+  stats.misses = 0;
+  await responses.clear();
+}
+
+export async function getResponseCacheStats() {
+  await hydrate();
+
+  const now = Date.now();
+
+  return {
+    ...stats,
+    entries: entries.size,
+    expired: Array.from(entries.values()).filter((entry) => isExpired(entry, now)).length,
+    bytes: totalBytes,
+    ...config
+  };
+}
@@ -0,0 +1,121 @@
+import { SAFETY_CATEGORIES, SAFETY_THRESHOLDS } from './generationSettings.js';
+
+const NUMERIC_FIELDS = ['temperature', 'topP', 'topK', 'maxOutputTokens'];
+
+function createOption(value, label, selected) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  option.selected = selected;
+  return option;
+}
+
+export function renderSafetyControls(container) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  SAFETY_CATEGORIES.forEach((category) => {
+    const label = document.createElement('label');
+    label.className = 'settings-field';
+    label.textContent = category.label;
+
+    const select = document.createElement('select');
+    select.name = `safety.${category.id}`;
+    SAFETY_THRESHOLDS.forEach((threshold) => {
+      select.appendChild(createOption(threshold.id, threshold.label, threshold.id === ''));
+    });
+
+    label.appendChild(select);
+    container.appendChild(label);
+  });
+}
+
+export function renderModelOptions(select, models, { selectedId, defaultModelId } = {}) {
+  if (!select) return;
+
+  select.replaceChildren();
+  select.appendChild(createOption('', `Provider default (${defaultModelId ?? 'unknown'})`, !selectedId));
+
+  models.forEach((model) => {
+    select.appendChild(createOption(model.id, model.label ?? model.id, model.id === selectedId));
+  });
+
+  if (selectedId && !models.some((model) => model.id === selectedId)) {
+    select.appendChild(createOption(selectedId, `${selectedId} (not in list)`, true));
+  }
+}
+
+export function describeModel(model) {
+  if (!model) {
+    return '';
+  }
+
+  const details = [];
+
+  if (model.contextWindow) {
+    details.push(`${model.contextWindow.toLocaleString()}-token context`);
+  }
+
+  if (model.outputTokenLimit) {
+    details.push(`up to ${model.outputTokenLimit.toLocaleString()} output tokens`);
+  }
+
+  const capabilities = Object.entries(model.capabilities ?? {})
+    .filter(([, supported]) => supported)
+    .map(([name]) => name);
+
+  if (capabilities.length) {
+    details.push(`supports ${capabilities.join(', ')}`);
+  }
+
+  return details.join(' · ');
+}
+
+export function populateSettingsForm(form, conversation) {
+  if (!form) return;
+
+  const config = conversation?.generationConfig ?? {};
+
+  NUMERIC_FIELDS.forEach((field) => {
+    if (form.elements[field]) {
+      form.elements[field].value = config[field] ?? '';
+    }
+  });
+
+  if (form.elements.stopSequences) {
+    form.elements.stopSequences.value = (config.stopSequences ?? []).join('\n');
+  }
+
+  if (form.elements.systemInstruction) {
+    form.elements.systemInstruction.value = conversation?.systemInstruction ?? '';
+  }
+
+  SAFETY_CATEGORIES.forEach((category) => {
+    const select = form.elements[`safety.${category.id}`];
+
+    if (select) {
+      const setting = conversation?.safetySettings?.find((entry) => entry.category === category.id);
+      select.value = setting?.threshold ?? '';
+    }
+  });
+}
+
+export function readSettingsForm(form) {
+  const safety = {};
+
+  SAFETY_CATEGORIES.forEach((category) => {
+    safety[category.id] = form.elements[`safety.${category.id}`]?.value ?? '';
+  });
+
+  return {
+    model: form.elements.model?.value,
+    temperature: form.elements.temperature?.value,
+    topP: form.elements.topP?.value,
+    topK: form.elements.topK?.value,
+    maxOutputTokens: form.elements.maxOutputTokens?.value,
+    stopSequences: form.elements.stopSequences?.value,
+    systemInstruction: form.elements.systemInstruction?.value,
+    safety
+  };
+}
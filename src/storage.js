@@ -1,11 +1,42 @@
 const STORAGE_KEY = 'gemini.apiKey';
+const PROVIDER_STORAGE_KEY = 'sj-assistant.provider';
+const KNOWLEDGE_BASE_STORAGE_KEY = 'sj-assistant.knowledgeBase';
+const VAULT_STORAGE_KEY = 'sj-assistant.vault';
+const USAGE_STORAGE_KEY = 'sj-assistant.usageSettings';
+const RESPONSE_CACHE_STORAGE_KEY = 'sj-assistant.responseCacheSettings';
+const CONTEXT_CACHE_STORAGE_KEY = 'sj-assistant.contextCacheSettings';
+const REDACTION_STORAGE_KEY = 'sj-assistant.redactionSettings';
 let inMemoryKey = null;
+let inMemoryVault = null;
 
-function hasWindowStorage() {
+export function hasWindowStorage() {
   return typeof window !== 'undefined' && typeof window.localStorage !== 'undefined';
 }
 
-export function validateApiKey(candidate) {
+const GENERIC_KEY_RULE = {
+  minLength: 20,
+  pattern: /^[A-Za-z0-9_\-]+$/,
+  reason: 'API key may only include letters, numbers, dashes, or underscores.'
+};
+
+// bearer tokens for self-hosted servers vary too much to check more than length and whitespace
+const BEARER_KEY_RULE = {
+  minLength: 8,
+  pattern: /^[\x21-\x7E]+$/,
+  reason: 'API key may not contain spaces or non-ASCII characters.'
+};
+
+const API_KEY_RULES = {
+  gemini: {
+    minLength: 39,
+    pattern: /^AIza[A-Za-z0-9_\-]{35}$/,
+    reason: 'Gemini API keys start with "AIza" and are 39 letters, numbers, dashes, or underscores long.'
+  },
+  openai: BEARER_KEY_RULE,
+  ollama: BEARER_KEY_RULE
+};
+
+export function validateApiKey(candidate, { providerId } = {}) {
   if (!candidate) {
     return {
       valid: false,
@@ -14,18 +45,19 @@ export function validateApiKey(candidate) {
   }
 
   const trimmed = candidate.trim();
+  const rule = API_KEY_RULES[providerId] ?? GENERIC_KEY_RULE;
 
-  if (trimmed.length < 20) {
+  if (trimmed.length < rule.minLength) {
     return {
       valid: false,
       reason: 'API key appears to be too short.'
     };
   }
 
-  if (!/^[A-Za-z0-9_\-]+$/.test(trimmed)) {
+  if (!rule.pattern.test(trimmed)) {
     return {
       valid: false,
-      reason: 'API key may only include letters, numbers, dashes, or underscores.'
+      reason: rule.reason
     };
   }
 
@@ -35,8 +67,8 @@ export function validateApiKey(candidate) {
   };
 }
 
-export function saveApiKey(candidate) {
-  const validation = validateApiKey(candidate);
+export function saveApiKey(candidate, { providerId } = {}) {
+  const validation = validateApiKey(candidate, { providerId });
 
   if (!validation.valid) {
     const error = new Error(validation.reason);
@@ -91,3 +123,126 @@ export function clearApiKey() {
 export function hasApiKey() {
   return Boolean(loadApiKey());
 }
+
+// every settings pair is JSON in localStorage when there is a window and kept in memory otherwise;
+// an entry that no longer parses is cleared
+function createSettingsStore(storageKey, label) {
+  let inMemory = null;
+
+  return {
+    save(settings) {
+      if (hasWindowStorage()) {
+        window.localStorage.setItem(storageKey, JSON.stringify(settings));
+      } else {
+        inMemory = settings;
+      }
+
+      return settings;
+    },
+    load() {
+      if (!hasWindowStorage()) {
+        return inMemory;
+      }
+
+      const stored = window.localStorage.getItem(storageKey);
+
+      if (!stored) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(stored);
+      } catch (error) {
+        console.warn(`Failed to parse stored ${label}, clearing entry.`, error);
+        window.localStorage.removeItem(storageKey);
+        return null;
+      }
+    }
+  };
+}
+
+const providerSettings = createSettingsStore(PROVIDER_STORAGE_KEY, 'provider settings');
+
+export function saveProviderSettings({ id, baseUrl = null }) {
+  return providerSettings.save({ id, baseUrl: baseUrl?.trim() || null });
+}
+
+export const loadProviderSettings = providerSettings.load;
+
+const knowledgeBaseSettings = createSettingsStore(KNOWLEDGE_BASE_STORAGE_KEY, 'knowledge base settings');
+
+export function saveKnowledgeBaseSettings({ autoRetrieve = true, useEmbeddings = false, topK }) {
+  return knowledgeBaseSettings.save({ autoRetrieve, useEmbeddings, topK });
+}
+
+export const loadKnowledgeBaseSettings = knowledgeBaseSettings.load;
+
+const usageSettings = createSettingsStore(USAGE_STORAGE_KEY, 'usage settings');
+
+export function saveUsageSettings({ prices, budget = null }) {
+  return usageSettings.save({ prices, budget });
+}
+
+export const loadUsageSettings = usageSettings.load;
+
+const responseCacheSettings = createSettingsStore(RESPONSE_CACHE_STORAGE_KEY, 'response cache settings');
+
+export function saveResponseCacheSettings({ enabled = false, ttlHours, maxMegabytes }) {
+  return responseCacheSettings.save({ enabled, ttlHours, maxMegabytes });
+}
+
+export const loadResponseCacheSettings = responseCacheSettings.load;
+
+const contextCacheSettings = createSettingsStore(CONTEXT_CACHE_STORAGE_KEY, 'context cache settings');
+
+export function saveContextCacheSettings({ enabled = false, ttlMinutes }) {
+  return contextCacheSettings.save({ enabled, ttlMinutes });
+}
+
+export const loadContextCacheSettings = contextCacheSettings.load;
+
+const redactionSettings = createSettingsStore(REDACTION_STORAGE_KEY, 'redaction settings');
+
+export function saveRedactionSettings({ enabled = false, preview = true, detectors, customPatterns = '' }) {
+  return redactionSettings.save({ enabled, preview, detectors, customPatterns });
+}
+
+export const loadRedactionSettings = redactionSettings.load;
+
+export function saveVaultRecord(record) {
+  if (hasWindowStorage()) {
+    window.localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify(record));
+  } else {
+    inMemoryVault = record;
+  }
+
+  return record;
+}
+
+export function loadVaultRecord() {
+  if (hasWindowStorage()) {
+    const stored = window.localStorage.getItem(VAULT_STORAGE_KEY);
+
+    if (!stored) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      // the record is only ciphertext, so a corrupt entry is left in place rather than silently dropped
+      console.warn('Failed to parse the stored key vault.', error);
+      return null;
+    }
+  }
+
+  return inMemoryVault;
+}
+
+export function clearVaultRecord() {
+  if (hasWindowStorage()) {
+    window.localStorage.removeItem(VAULT_STORAGE_KEY);
+  }
+
+  inMemoryVault = null;
+}
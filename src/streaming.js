@@ -1,4 +1,8 @@
-function sleep(duration, signal) {
+export function abortError() {
+  return new DOMException('Aborted', 'AbortError');
+}
+
+export function sleep(duration, signal) {
   if (duration <= 0) {
     return Promise.resolve();
   }
@@ -18,13 +22,13 @@ function sleep(duration, signal) {
 
     function onAbort() {
       cleanup();
-      reject(new DOMException('Aborted', 'AbortError'));
+      reject(abortError());
     }
 
     if (signal) {
       if (signal.aborted) {
         cleanup();
-        reject(new DOMException('Aborted', 'AbortError'));
+        reject(abortError());
         return;
       }
 
@@ -56,6 +60,83 @@ export async function streamText(text, { chunkSize = 64, chunkDelay = 45, onChun
   }
 }
 
+function parseEventBlock(block) {
+  const data = [];
+
+  block.split(/\r?\n/).forEach((line) => {
+    if (!line.startsWith('data:')) {
+      return;
+    }
+
+    const value = line.slice(5);
+    data.push(value.startsWith(' ') ? value.slice(1) : value);
+  });
+
+  return data.length ? data.join('\n') : null;
+}
+
+async function* readDelimited(response, delimiter, { signal } = {}) {
+  const body = response?.body;
+
+  if (!body || typeof body.getReader !== 'function') {
+    const text = await response.text();
+    yield* text.split(delimiter);
+    return;
+  }
+
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finished = false;
+
+  try {
+    while (!finished) {
+      if (signal?.aborted) {
+        throw abortError();
+      }
+
+      const { value, done } = await reader.read();
+
+      if (done) {
+        finished = true;
+        buffer += decoder.decode();
+      } else {
+        buffer += decoder.decode(value, { stream: true });
+      }
+
+      const segments = buffer.split(delimiter);
+      buffer = finished ? '' : segments.pop() ?? '';
+
+      for (const segment of segments) {
+        yield segment;
+      }
+    }
+  } finally {
+    if (!finished) {
+      reader.cancel().catch(() => {});
+    }
+    reader.releaseLock?.();
+  }
+}
+
+export async function* readServerSentEvents(response, { signal } = {}) {
+  for await (const block of readDelimited(response, /\r?\n\r?\n/, { signal })) {
+    const data = parseEventBlock(block);
+
+    if (data !== null) {
+      yield data;
+    }
+  }
+}
+
+export async function* readJsonLines(response, { signal } = {}) {
+  for await (const line of readDelimited(response, /\r?\n/, { signal })) {
+    if (line.trim()) {
+      yield line;
+    }
+  }
+}
+
 export async function withLoadingIndicator(callback, { onStart, onComplete, onError } = {}) {
   try {
     onStart?.();
@@ -0,0 +1,139 @@
+import { extractTemplateVariables } from './promptTemplates.js';
+
+function createButton(label, text, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-button';
+  button.textContent = text;
+  button.setAttribute('aria-label', label);
+  button.title = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+export function renderTemplateList(container, templates, { onUse, onEdit, onDelete } = {}) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  if (!templates.length) {
+    const empty = document.createElement('li');
+    empty.className = 'kb-empty';
+    empty.textContent = 'No templates saved yet.';
+    container.appendChild(empty);
+    return;
+  }
+
+  templates.forEach((template) => {
+    const item = document.createElement('li');
+    item.className = 'kb-document';
+
+    const name = document.createElement('span');
+    name.className = 'kb-document-name';
+    name.textContent = `/${template.name}`;
+    name.title = template.description ?? template.body;
+
+    const meta = document.createElement('span');
+    meta.className = 'hint';
+    meta.textContent = template.description ?? extractTemplateVariables(template).map((variable) => `{{${variable}}}`).join(' ');
+
+    item.appendChild(name);
+    item.appendChild(meta);
+    item.appendChild(createButton(`Use /${template.name}`, '▶', () => onUse?.(template)));
+    item.appendChild(createButton(`Edit /${template.name}`, '✎', () => onEdit?.(template)));
+    item.appendChild(createButton(`Delete /${template.name}`, '✕', () => onDelete?.(template)));
+    container.appendChild(item);
+  });
+}
+
+function formatDefaults(defaults = {}) {
+  return Object.entries(defaults).map(([name, value]) => `${name}=${value}`).join('\n');
+}
+
+function parseDefaults(text) {
+  const defaults = {};
+
+  text.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    const separator = trimmed.indexOf('=');
+
+    if (separator < 1) {
+      const error = new Error(`Default line ${index + 1} should read "name=value".`);
+      error.code = 'INVALID_TEMPLATE';
+      throw error;
+    }
+
+    defaults[trimmed.slice(0, separator).trim()] = trimmed.slice(separator + 1).trim();
+  });
+
+  return defaults;
+}
+
+export function populateTemplateForm(form, template = null) {
+  if (!form) return;
+
+  form.elements.id.value = template?.id ?? '';
+  form.elements.name.value = template?.name ?? '';
+  form.elements.description.value = template?.description ?? '';
+  form.elements.body.value = template?.body ?? '';
+  form.elements.defaults.value = formatDefaults(template?.defaults);
+  form.elements.model.value = template?.model ?? '';
+  form.elements.systemInstruction.value = template?.systemInstruction ?? '';
+}
+
+export function readTemplateForm(form) {
+  return {
+    id: form.elements.id.value || undefined,
+    name: form.elements.name.value,
+    description: form.elements.description.value,
+    body: form.elements.body.value,
+    defaults: parseDefaults(form.elements.defaults.value),
+    model: form.elements.model.value,
+    systemInstruction: form.elements.systemInstruction.value
+  };
+}
+
+// long-form defaults get a textarea so multi-line values stay editable
+export function renderTemplateVariables(container, template, values = {}) {
+  if (!container) return;
+
+  container.replaceChildren();
+
+  extractTemplateVariables(template).forEach((variable) => {
+    const label = document.createElement('label');
+    label.className = 'settings-field';
+    label.textContent = variable;
+
+    const value = values[variable] ?? template.defaults?.[variable] ?? '';
+    const input = document.createElement(value.includes('\n') || value.length > 60 ? 'textarea' : 'input');
+    input.name = variable;
+    input.value = value;
+
+    if (input.tagName === 'TEXTAREA') {
+      input.rows = 3;
+    }
+
+    label.appendChild(input);
+    container.appendChild(label);
+  });
+}
+
+export function readTemplateVariables(container) {
+  return Object.fromEntries(
+    Array.from(container?.querySelectorAll('input[name], textarea[name]') ?? [], (field) => [field.name, field.value])
+  );
+}
+
+export function describeTemplateMatches(text, templates) {
+  const match = (text ?? '').match(/^\/([A-Za-z0-9_-]*)$/);
+  if (!match) return '';
+
+  const prefix = match[1].toLowerCase();
+  const matches = templates.filter((template) => template.name.toLowerCase().startsWith(prefix));
+
+  return matches.length
+    ? `Templates: ${matches.map((template) => `/${template.name}`).join(', ')}`
+    : 'No template matches. The message will be sent as typed.';
+}
@@ -0,0 +1,146 @@
+import { estimateBase64Bytes } from './attachments.js';
+
+export const DEFAULT_CONTEXT_WINDOW = 8192;
+export const DEFAULT_OUTPUT_RESERVE = 2048;
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const IMAGE_TOKENS = 258;
+const PDF_PAGE_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 60000;
+const AUDIO_TOKENS_PER_SECOND = 32;
+
+const AUDIO_BYTES_PER_SECOND = {
+  'audio/wav': 176400,
+  'audio/aiff': 176400,
+  'audio/flac': 88200
+};
+
+// ordered so that longer, more specific prefixes win over their shorter siblings
+const MODEL_CONTEXT_WINDOWS = [
+  ['gemini-1.5-pro', 2097152],
+  ['gemini-1.5-flash', 1048576],
+  ['gemini-2', 1048576],
+  ['gemini-1.0-pro', 30720],
+  ['gemini-pro', 30720],
+  ['gpt-4o', 128000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['llama3', 8192]
+];
+
+const contextWindowOverrides = new Map();
+
+function stripModelPrefix(model) {
+  return (model ?? '').replace(/^models\//, '');
+}
+
+export function setContextWindow(model, tokens) {
+  contextWindowOverrides.set(stripModelPrefix(model), tokens);
+}
+
+export function getContextWindow(model) {
+  const name = stripModelPrefix(model);
+
+  if (contextWindowOverrides.has(name)) {
+    return contextWindowOverrides.get(name);
+  }
+
+  const match = MODEL_CONTEXT_WINDOWS.find(([prefix]) => name.startsWith(prefix));
+  return match ? match[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+export function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+function estimateInlineDataTokens({ mimeType = '', data }) {
+  const bytes = estimateBase64Bytes(data);
+
+  if (mimeType.startsWith('image/')) {
+    return IMAGE_TOKENS;
+  }
+
+  if (mimeType === 'application/pdf') {
+    return Math.max(1, Math.round(bytes / PDF_BYTES_PER_PAGE)) * PDF_PAGE_TOKENS;
+  }
+
+  if (mimeType.startsWith('audio/')) {
+    const bytesPerSecond = AUDIO_BYTES_PER_SECOND[mimeType] ?? 16000;
+    return Math.ceil((bytes / bytesPerSecond) * AUDIO_TOKENS_PER_SECOND);
+  }
+
+  return Math.ceil(bytes / CHARS_PER_TOKEN);
+}
+
+export function estimatePartTokens(part) {
+  if (!part) {
+    return 0;
+  }
+
+  if (typeof part === 'string') {
+    return estimateTextTokens(part);
+  }
+
+  if (typeof part.text === 'string') {
+    return estimateTextTokens(part.text);
+  }
+
+  if (part.inlineData) {
+    return estimateInlineDataTokens(part.inlineData);
+  }
+
+  return estimateTextTokens(JSON.stringify(part));
+}
+
+export function estimateContentTokens(content) {
+  if (!content) {
+    return 0;
+  }
+
+  const parts = Array.isArray(content.parts) ? content.parts : [content.parts];
+  return parts.reduce((sum, part) => sum + estimatePartTokens(part), MESSAGE_OVERHEAD_TOKENS);
+}
+
+export function estimateContentsTokens(contents = []) {
+  return contents.reduce((sum, content) => sum + estimateContentTokens(content), 0);
+}
+
+export function computeHistoryBudget({ model, contextWindow, maxOutputTokens, fixedTokens = 0, reservedTokens = 0 }) {
+  const window = contextWindow ?? getContextWindow(model);
+  const outputReserve = maxOutputTokens ?? Math.min(DEFAULT_OUTPUT_RESERVE, Math.floor(window / 4));
+
+  return {
+    contextWindow: window,
+    outputReserve,
+    budget: Math.max(0, window - outputReserve - fixedTokens - reservedTokens)
+  };
+}
+
+export function fitHistoryToBudget(contents, budget) {
+  const kept = [];
+  let tokens = 0;
+
+  for (let index = contents.length - 1; index >= 0; index -= 1) {
+    const cost = estimateContentTokens(contents[index]);
+
+    if (tokens + cost > budget) {
+      break;
+    }
+
+    kept.unshift(contents[index]);
+    tokens += cost;
+  }
+
+  // never open the window on a model turn; Gemini expects the conversation to start with the user
+  while (kept.length && kept[0].role !== 'user') {
+    tokens -= estimateContentTokens(kept.shift());
+  }
+
+  return {
+    contents: kept,
+    dropped: contents.slice(0, contents.length - kept.length),
+    tokens
+  };
+}
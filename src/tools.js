@@ -0,0 +1,155 @@
+const DEFAULT_TOOL_TIMEOUT = 15000;
+const TOOL_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_.-]{0,63}$/;
+
+const registeredTools = new Map();
+
+function invalidTool(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TOOL';
+  return error;
+}
+
+export function validateToolDefinition(tool) {
+  if (!tool || typeof tool !== 'object') {
+    throw invalidTool('Tool definition must be an object.');
+  }
+
+  if (!TOOL_NAME_PATTERN.test(tool.name ?? '')) {
+    throw invalidTool('Tool name must start with a letter or underscore and contain at most 64 letters, numbers, underscores, dots, or dashes.');
+  }
+
+  if (typeof tool.handler !== 'function') {
+    throw invalidTool(`Tool "${tool.name}" requires a handler function.`);
+  }
+
+  if (tool.parameters && tool.parameters.type !== 'object') {
+    throw invalidTool(`Tool "${tool.name}" parameters must be a JSON schema of type "object".`);
+  }
+
+  return tool;
+}
+
+export function registerTool(tool) {
+  validateToolDefinition(tool);
+  registeredTools.set(tool.name, tool);
+  return tool;
+}
+
+export function unregisterTool(name) {
+  return registeredTools.delete(name);
+}
+
+export function getRegisteredTools() {
+  return Array.from(registeredTools.values());
+}
+
+export function resolveTools(tools) {
+  if (!Array.isArray(tools)) {
+    return [];
+  }
+
+  return tools.map((tool) => {
+    if (typeof tool === 'string') {
+      const registered = registeredTools.get(tool);
+
+      if (!registered) {
+        throw invalidTool(`Tool "${tool}" is not registered.`);
+      }
+
+      return registered;
+    }
+
+    return validateToolDefinition(tool);
+  });
+}
+
+export function toFunctionDeclarations(tools) {
+  return tools.map(({ name, description, parameters }) => {
+    const declaration = { name };
+
+    if (description) {
+      declaration.description = description;
+    }
+
+    if (parameters) {
+      declaration.parameters = parameters;
+    }
+
+    return declaration;
+  });
+}
+
+function runWithTimeout(tool, args, { timeout, signal }) {
+  if (signal?.aborted) {
+    return Promise.reject(new DOMException('Aborted', 'AbortError'));
+  }
+
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+
+  const guard = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`Tool "${tool.name}" timed out after ${timeout}ms.`));
+    }, timeout);
+
+    onAbort = () => {
+      controller.abort();
+      reject(new DOMException('Aborted', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+
+  const execution = Promise.resolve().then(() => tool.handler(args, { signal: controller.signal }));
+
+  return Promise.race([execution, guard]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+}
+
+export async function executeToolCall(tools, functionCall, { timeout = DEFAULT_TOOL_TIMEOUT, signal } = {}) {
+  const name = functionCall?.name;
+  const args = functionCall?.args ?? {};
+  const tool = tools.find((candidate) => candidate.name === name);
+  const startedAt = Date.now();
+
+  if (!tool) {
+    return {
+      name,
+      args,
+      response: { error: `Unknown tool "${name}".` },
+      error: `Unknown tool "${name}".`,
+      durationMs: 0
+    };
+  }
+
+  try {
+    const result = await runWithTimeout(tool, args, {
+      timeout: tool.timeout ?? timeout,
+      signal
+    });
+
+    return {
+      name,
+      args,
+      // functionResponse.response must be an object, so wrap primitives and arrays
+      response: result && typeof result === 'object' && !Array.isArray(result) ? result : { result: result ?? null },
+      error: null,
+      durationMs: Date.now() - startedAt
+    };
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+
+    return {
+      name,
+      args,
+      response: { error: error?.message ?? 'Tool execution failed.' },
+      error: error?.message ?? 'Tool execution failed.',
+      durationMs: Date.now() - startedAt
+    };
+  }
+}
@@ -0,0 +1,340 @@
+import { estimateBase64Bytes, formatBytes, validateInlineDataPart } from './attachments.js';
+import { deriveConversationTitle, getActivePath, partsToText } from './conversationStore.js';
+import { sanitizeUrl } from './markdown.js';
+import { normalizeHistory } from './requestBuilder.js';
+
+export const TRANSCRIPT_FORMAT = 'sj-assistant.conversation';
+export const TRANSCRIPT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  jsonl: { extension: 'jsonl', mimeType: 'application/x-ndjson' }
+};
+
+const ENTRY_ROLES = new Set(['user', 'assistant']);
+const CONTENT_ROLES = { user: 'user', model: 'assistant' };
+const PART_KEYS = ['text', 'inlineData', 'fileData', 'functionCall', 'functionResponse'];
+const NODE_FIELDS = ['id', 'parentId', 'childIds', 'activeChildId', 'createdAt', 'role', 'parts', 'attachments', 'sources', 'stopped', 'template'];
+const SETTINGS_FIELDS = ['title', 'model', 'systemInstruction', 'generationConfig', 'safetySettings', 'createdAt'];
+
+function invalidTranscript(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_TRANSCRIPT';
+  return error;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function pick(source, fields) {
+  return Object.fromEntries(fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]]));
+}
+
+// imported source links end up as hrefs, so a URI that is not http(s) or mailto is dropped and the title kept
+function pickImportedNode(node) {
+  const picked = pick(node, NODE_FIELDS);
+
+  if (Array.isArray(picked.sources)) {
+    picked.sources = picked.sources.map((source) => {
+      if (!isPlainObject(source) || source.uri == null) {
+        return source;
+      }
+
+      const { uri, ...rest } = source;
+      const href = sanitizeUrl(String(uri));
+      return href ? { ...rest, uri: href } : rest;
+    });
+  }
+
+  return picked;
+}
+
+export function transcriptFileName(conversation, format) {
+  const slug = (conversation?.title ?? 'chat')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48);
+
+  return `${slug || 'chat'}.${EXPORT_FORMATS[format].extension}`;
+}
+
+export function exportConversationJson(conversation) {
+  const nodes = Object.fromEntries(
+    Object.entries(conversation.nodes ?? {}).map(([id, node]) => [id, pick(node, NODE_FIELDS)])
+  );
+
+  return JSON.stringify(
+    {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exportedAt: new Date().toISOString(),
+      conversation: {
+        ...pick(conversation, SETTINGS_FIELDS),
+        nodes,
+        rootIds: conversation.rootIds ?? [],
+        activeRootId: conversation.activeRootId ?? null
+      }
+    },
+    null,
+    2
+  );
+}
+
+// one row per assistant reply on the active branch, each holding the contents that led up to it
+// and the reply itself, so the file can be used directly as an eval set
+export function exportConversationJsonl(conversation) {
+  const path = getActivePath(conversation);
+  const systemInstruction = conversation.systemInstruction?.trim()
+    ? { role: 'system', parts: [{ text: conversation.systemInstruction.trim() }] }
+    : null;
+
+  return path
+    .map((entry, index) => (entry.role === 'assistant' ? normalizeHistory(path.slice(0, index + 1)) : null))
+    .filter((contents) => contents?.length)
+    .map((contents) => JSON.stringify(systemInstruction ? { systemInstruction, contents } : { contents }))
+    .join('\n');
+}
+
+function describeAttachment(attachment) {
+  const size = typeof attachment.size === 'number' ? `, ${formatBytes(attachment.size)}` : '';
+  return `${attachment.name} (${attachment.mimeType}${size})`;
+}
+
+function formatMarkdownSource(source) {
+  const title = source.uri ? `[${source.title}](${source.uri})` : source.title;
+  const snippet = source.snippet ? ` — ${source.snippet.replace(/\s+/g, ' ').trim()}` : '';
+  return `${source.number}. ${title}${snippet}`;
+}
+
+export function exportConversationMarkdown(conversation) {
+  const lines = [`# ${conversation.title}`, ''];
+
+  if (conversation.model) {
+    lines.push(`- Model: \`${conversation.model}\``);
+  }
+
+  lines.push(`- Exported: ${new Date().toISOString()}`, '');
+
+  if (conversation.systemInstruction?.trim()) {
+    lines.push('> **System instruction**', ...conversation.systemInstruction.trim().split('\n').map((line) => `> ${line}`), '');
+  }
+
+  getActivePath(conversation).forEach((entry) => {
+    lines.push(`## ${entry.role === 'user' ? 'You' : 'Gemini'}${entry.stopped ? ' (stopped)' : ''}`, '');
+    lines.push(partsToText(entry.parts).trim() || '_(empty)_', '');
+
+    if (entry.attachments?.length) {
+      lines.push('Attachments:', ...entry.attachments.map((attachment) => `- ${describeAttachment(attachment)}`), '');
+    }
+
+    if (entry.sources?.length) {
+      lines.push('Sources:', '', ...entry.sources.map(formatMarkdownSource), '');
+    }
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function validateParts(parts, location, { allowStrings = true } = {}) {
+  if (!Array.isArray(parts) || !parts.length) {
+    throw invalidTranscript(`${location} must have a non-empty "parts" array.`);
+  }
+
+  parts.forEach((part, index) => {
+    if (typeof part === 'string' && allowStrings) return;
+
+    if (!isPlainObject(part) || !PART_KEYS.some((key) => key in part)) {
+      throw invalidTranscript(`${location}, part ${index + 1} is not a valid content part.`);
+    }
+
+    if (part.inlineData) {
+      try {
+        validateInlineDataPart(part);
+      } catch (error) {
+        throw invalidTranscript(`${location}, part ${index + 1}: ${error.message}`);
+      }
+    }
+  });
+}
+
+function validateTree({ nodes, rootIds, activeRootId }) {
+  if (!isPlainObject(nodes) || !Array.isArray(rootIds)) {
+    throw invalidTranscript('The conversation must include "nodes" and "rootIds".');
+  }
+
+  const hasNode = (id) => Object.hasOwn(nodes, id);
+
+  Object.entries(nodes).forEach(([id, node]) => {
+    const location = `Message "${id}"`;
+
+    if (!isPlainObject(node) || node.id !== id) {
+      throw invalidTranscript(`${location} is malformed.`);
+    }
+
+    if (!ENTRY_ROLES.has(node.role)) {
+      throw invalidTranscript(`${location} has an unknown role "${node.role}".`);
+    }
+
+    validateParts(node.parts, location);
+
+    if (!Array.isArray(node.childIds) || !node.childIds.every((childId) => nodes[childId]?.parentId === id)) {
+      throw invalidTranscript(`${location} lists children that do not point back to it.`);
+    }
+
+    if (node.activeChildId !== null && !node.childIds.includes(node.activeChildId)) {
+      throw invalidTranscript(`${location} has an active branch that is not one of its children.`);
+    }
+
+    const parentListsNode = node.parentId === null
+      ? rootIds.includes(id)
+      : hasNode(node.parentId) && nodes[node.parentId].childIds.includes(id);
+
+    if (!parentListsNode) {
+      throw invalidTranscript(`${location} is not attached to the conversation tree.`);
+    }
+  });
+
+  if (!rootIds.every(hasNode)) {
+    throw invalidTranscript('The conversation lists root messages that do not exist.');
+  }
+
+  if (activeRootId !== null && !rootIds.includes(activeRootId)) {
+    throw invalidTranscript('The active branch does not start at a root message.');
+  }
+
+  if (!rootIds.length) {
+    throw invalidTranscript('The conversation has no messages.');
+  }
+
+  // parent links can still form a loop that never reaches a root
+  const reachable = new Set();
+  const pending = [...rootIds];
+
+  while (pending.length) {
+    const id = pending.pop();
+    if (reachable.has(id)) continue;
+
+    reachable.add(id);
+    pending.push(...nodes[id].childIds);
+  }
+
+  if (reachable.size !== Object.keys(nodes).length) {
+    throw invalidTranscript('Some messages are not reachable from the start of the conversation.');
+  }
+}
+
+function parseJsonTranscript(data) {
+  if (data?.format !== TRANSCRIPT_FORMAT) {
+    throw invalidTranscript('This JSON file is not an exported conversation.');
+  }
+
+  if (data.version !== TRANSCRIPT_VERSION) {
+    throw invalidTranscript(`Unsupported transcript version ${data.version}; expected ${TRANSCRIPT_VERSION}.`);
+  }
+
+  if (!isPlainObject(data.conversation)) {
+    throw invalidTranscript('The transcript is missing its "conversation" object.');
+  }
+
+  const conversation = data.conversation;
+  const nodes = isPlainObject(conversation.nodes)
+    ? Object.fromEntries(Object.entries(conversation.nodes).map(([id, node]) => [id, isPlainObject(node) ? pickImportedNode(node) : node]))
+    : conversation.nodes;
+  const tree = { nodes, rootIds: conversation.rootIds, activeRootId: conversation.activeRootId ?? null };
+
+  validateTree(tree);
+
+  return { ...pick(conversation, SETTINGS_FIELDS), ...tree };
+}
+
+function toEntry(content, location) {
+  if (!isPlainObject(content) || !Object.hasOwn(CONTENT_ROLES, content.role)) {
+    throw invalidTranscript(`${location} must have a role of "user" or "model".`);
+  }
+
+  validateParts(content.parts, location, { allowStrings: false });
+
+  const inlineParts = content.parts.filter((part) => part.inlineData);
+  const entry = { role: CONTENT_ROLES[content.role], parts: content.parts };
+
+  if (inlineParts.length) {
+    entry.attachments = inlineParts.map((part, index) => ({
+      name: `attachment-${index + 1}`,
+      mimeType: part.inlineData.mimeType,
+      size: estimateBase64Bytes(part.inlineData.data)
+    }));
+  }
+
+  return entry;
+}
+
+function parseJsonlTranscript(text) {
+  let systemInstruction = '';
+
+  const threads = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+    .filter(({ line }) => line)
+    .map(({ line, number }) => {
+      let row;
+
+      try {
+        row = JSON.parse(line);
+      } catch (error) {
+        throw invalidTranscript(`Line ${number} is not valid JSON: ${error.message}`);
+      }
+
+      if (!Array.isArray(row?.contents) || !row.contents.length) {
+        throw invalidTranscript(`Line ${number} must have a non-empty "contents" array.`);
+      }
+
+      if (!systemInstruction && row.systemInstruction) {
+        systemInstruction = partsToText(row.systemInstruction.parts);
+      }
+
+      return row.contents.map((content, index) => toEntry(content, `Line ${number}, content ${index + 1}`));
+    });
+
+  if (!threads.length) {
+    throw invalidTranscript('The JSONL file has no rows.');
+  }
+
+  const firstUserEntry = threads[0].find((entry) => entry.role === 'user');
+
+  return {
+    title: deriveConversationTitle(firstUserEntry?.parts),
+    systemInstruction,
+    threads
+  };
+}
+
+// returns the fields expected by importConversation; JSONL rows become branches of one conversation
+export function parseTranscript(text, { fileName = '' } = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+
+  if (fileName.toLowerCase().endsWith('.jsonl')) {
+    return parseJsonlTranscript(source);
+  }
+
+  let data;
+
+  try {
+    data = JSON.parse(source);
+  } catch (error) {
+    // a .json name does not guarantee a single document, so fall back to JSONL rows
+    if (source.trim().includes('\n')) {
+      return parseJsonlTranscript(source);
+    }
+
+    throw invalidTranscript(`The file is not valid JSON: ${error.message}`);
+  }
+
+  if (Array.isArray(data?.contents)) {
+    return parseJsonlTranscript(source);
+  }
+
+  return parseJsonTranscript(data);
+}
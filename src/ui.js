@@ -2,27 +2,314 @@ import {
   sendMessage,
   searchKnowledge,
   setClientApiKey,
+  setClientProvider,
+  getClientProvider,
+  listProviders,
+  countTokens,
+  configureResponseCache,
+  clearResponseCache,
+  getResponseCacheStats,
+  listContextCaches,
+  refreshContextCache,
+  deleteContextCache,
+  getClientApiKey,
+  registerMiddleware,
+  unregisterMiddleware,
   GeminiApiError
 } from './aiClient.js';
-import { saveApiKey, loadApiKey, clearApiKey, validateApiKey } from './storage.js';
+import {
+  saveApiKey,
+  loadApiKey,
+  clearApiKey,
+  validateApiKey,
+  saveProviderSettings,
+  loadProviderSettings,
+  saveKnowledgeBaseSettings,
+  loadKnowledgeBaseSettings,
+  saveUsageSettings,
+  loadUsageSettings,
+  saveResponseCacheSettings,
+  loadResponseCacheSettings,
+  saveContextCacheSettings,
+  loadContextCacheSettings,
+  saveRedactionSettings,
+  loadRedactionSettings
+} from './storage.js';
+import {
+  listConversations,
+  getConversation,
+  createConversation,
+  updateConversation,
+  renameConversation,
+  deleteConversation,
+  appendConversationEntries,
+  getActiveConversationId,
+  setActiveConversationId,
+  selectBranch,
+  getSiblingIds,
+  importConversation,
+  partsToText
+} from './conversationStore.js';
+import {
+  hasVault,
+  isVaultUnlocked,
+  createVault,
+  unlockVault,
+  lockVault,
+  destroyVault,
+  touchVault,
+  onVaultLock,
+  listVaultProfiles,
+  getActiveVaultProfile,
+  saveVaultProfile,
+  selectVaultProfile,
+  deleteVaultProfile
+} from './keyVault.js';
+import {
+  DEFAULT_PRICES,
+  listUsage,
+  clearUsage,
+  summarizeUsage,
+  checkBudget,
+  describeBudgetStatus,
+  onUsageRecorded
+} from './usageLedger.js';
+import {
+  renderUsageTable,
+  describeUsageTotals,
+  populateUsageSettingsForm,
+  readUsageSettingsForm
+} from './usagePanel.js';
+import {
+  deleteTemplate,
+  exportTemplates,
+  findTemplateByName,
+  getMissingVariables,
+  importTemplates,
+  listTemplates,
+  parseCommandArguments,
+  parseSlashCommand,
+  renderTemplate,
+  saveTemplate
+} from './promptTemplates.js';
+import {
+  describeTemplateMatches,
+  populateTemplateForm,
+  readTemplateForm,
+  readTemplateVariables,
+  renderTemplateList,
+  renderTemplateVariables
+} from './templatePanel.js';
+import { renderConversationList } from './conversationSidebar.js';
+import { renderMessageActions, renderMessageEditor } from './messageActions.js';
+import { planChatHistory } from './requestBuilder.js';
+import { normalizeGenerationSettings, toRequestSettings } from './generationSettings.js';
+import {
+  renderSafetyControls,
+  renderModelOptions,
+  describeModel,
+  populateSettingsForm,
+  readSettingsForm
+} from './settingsPanel.js';
+import { getChatModels, getModelInfo, loadCachedModels, refreshModels } from './modelRegistry.js';
+import { readFileAsAttachment, toInlineDataPart, formatBytes } from './attachments.js';
+import {
+  DEFAULT_TOP_K,
+  importDocument,
+  listDocuments,
+  deleteDocument,
+  embedDocuments,
+  retrieveKnowledge
+} from './knowledgeBase.js';
+import { renderDocumentList } from './knowledgeBasePanel.js';
+import { toCitationSources, renderMessageSources, renderSearchEntryPoint } from './citations.js';
+import { insertCitationMarkers, listGroundingSources } from './grounding.js';
+import { createMarkdownRenderer, renderMarkdown } from './markdown.js';
+import {
+  EXPORT_FORMATS,
+  exportConversationJson,
+  exportConversationJsonl,
+  exportConversationMarkdown,
+  parseTranscript,
+  transcriptFileName
+} from './transcripts.js';
+import {
+  MAX_COMPARISON_VARIANTS,
+  MIN_COMPARISON_VARIANTS,
+  exportComparisonJson,
+  exportComparisonMarkdown,
+  pickComparisonWinner,
+  resolveComparisonVariants,
+  runComparison,
+  setComparisonVote
+} from './comparison.js';
+import { exportBatchResults, parseBatchDataset, parseBatchResults, runBatch, summarizeBatch } from './batchRunner.js';
+import { describeBatchProgress, renderBatchSummary } from './batchPanel.js';
+import { renderContextCacheList } from './contextCachePanel.js';
+import {
+  DEFAULT_REDACTION_DETECTORS,
+  REDACTION_MIDDLEWARE_NAME,
+  createRedactionMiddleware,
+  findUnredactedAttachments,
+  parseRedactionPatterns,
+  previewRedaction
+} from './redaction.js';
+import {
+  populateRedactionForm,
+  readRedactionForm,
+  renderRedactionDetectors,
+  renderRedactionReview
+} from './redactionPanel.js';
+import { abortError } from './streaming.js';
+import {
+  readCompareVariants,
+  renderCompareVariants,
+  renderComparisonColumns,
+  renderComparisonResult
+} from './comparePanel.js';
+
+let activeConversation = null;
+let pendingAttachments = [];
+let tokenCountTimer = null;
+let tokenCountController = null;
+let knowledgeController = null;
+let usageRefreshTimer = null;
+let savedTemplates = [];
+let pendingTemplate = null;
+let compareVariants = Array.from({ length: MIN_COMPARISON_VARIANTS }, () => ({}));
+let activeComparison = null;
+let batchDataset = null;
+let batchItems = null;
+let batchResults = [];
+let batchController = null;
+let redactionSettings = { enabled: false, preview: true, detectors: DEFAULT_REDACTION_DETECTORS, customPatterns: '' };
+
+// one AbortController per conversation with a request in flight; a second send is blocked until it settles
+const inFlightChats = new Map();
+// scheduler queue position per conversation, so switching conversations shows the right indicator
+const chatQueuePositions = new Map();
 
-const conversationHistory = [];
+const TOKEN_COUNT_DEBOUNCE_MS = 1000;
+const USAGE_REFRESH_DEBOUNCE_MS = 500;
 
 const elements = {
   keyForm: document.getElementById('api-key-form'),
   keyInput: document.getElementById('api-key-input'),
   keyClear: document.getElementById('api-key-clear'),
   keyStatus: document.getElementById('api-key-status'),
+  keyNameField: document.getElementById('api-key-name-field'),
+  keyName: document.getElementById('api-key-name'),
+  vaultPanel: document.getElementById('vault-panel'),
+  vaultCreateForm: document.getElementById('vault-create-form'),
+  vaultCreatePassphrase: document.getElementById('vault-create-passphrase'),
+  vaultCreateConfirm: document.getElementById('vault-create-confirm'),
+  vaultUnlockForm: document.getElementById('vault-unlock-form'),
+  vaultUnlockPassphrase: document.getElementById('vault-unlock-passphrase'),
+  vaultDestroy: document.getElementById('vault-destroy'),
+  vaultProfiles: document.getElementById('vault-profiles'),
+  vaultProfileSelect: document.getElementById('vault-profile-select'),
+  vaultProfileDelete: document.getElementById('vault-profile-delete'),
+  vaultLock: document.getElementById('vault-lock'),
+  vaultStatus: document.getElementById('vault-status'),
+  providerSelect: document.getElementById('provider-select'),
+  providerBaseUrl: document.getElementById('provider-base-url'),
   chatForm: document.getElementById('chat-form'),
+  chatSend: document.getElementById('chat-send'),
+  chatStop: document.getElementById('chat-stop'),
+  chatRegenerate: document.getElementById('chat-regenerate'),
   chatInput: document.getElementById('chat-input'),
   chatKnowledge: document.getElementById('chat-knowledge'),
+  redactionForm: document.getElementById('redaction-form'),
+  redactionDetectors: document.getElementById('redaction-detectors'),
+  redactionStatus: document.getElementById('redaction-status'),
+  redactionReview: document.getElementById('redaction-review'),
+  redactionReviewTitle: document.getElementById('redaction-review-title'),
+  redactionFindings: document.getElementById('redaction-findings'),
+  redactionOutgoing: document.getElementById('redaction-outgoing'),
+  redactionConfirm: document.getElementById('redaction-confirm'),
+  redactionCancel: document.getElementById('redaction-cancel'),
+  chatSystem: document.getElementById('chat-system'),
+  settingsForm: document.getElementById('chat-settings-form'),
+  settingsModel: document.getElementById('settings-model'),
+  settingsRefreshModels: document.getElementById('settings-refresh-models'),
+  settingsModelInfo: document.getElementById('settings-model-info'),
+  settingsSafety: document.getElementById('settings-safety'),
+  settingsStatus: document.getElementById('settings-status'),
+  chatDropzone: document.getElementById('chat-dropzone'),
+  chatAttachmentInput: document.getElementById('chat-attachments'),
+  chatAttachmentList: document.getElementById('chat-attachment-list'),
+  chatAttachmentStatus: document.getElementById('chat-attachment-status'),
   chatOutput: document.getElementById('chat-output'),
   chatLoading: document.getElementById('chat-loading'),
+  chatTokenMeter: document.getElementById('chat-token-meter'),
   knowledgeForm: document.getElementById('knowledge-form'),
+  knowledgeSubmit: document.getElementById('knowledge-submit'),
+  knowledgeStop: document.getElementById('knowledge-stop'),
   knowledgeQuery: document.getElementById('knowledge-query'),
   knowledgeContext: document.getElementById('knowledge-context'),
   knowledgeOutput: document.getElementById('knowledge-output'),
-  knowledgeLoading: document.getElementById('knowledge-loading')
+  knowledgeLoading: document.getElementById('knowledge-loading'),
+  kbFiles: document.getElementById('kb-files'),
+  kbDocuments: document.getElementById('kb-documents'),
+  kbAuto: document.getElementById('kb-auto'),
+  kbEmbeddings: document.getElementById('kb-embeddings'),
+  kbTopK: document.getElementById('kb-top-k'),
+  kbEmbed: document.getElementById('kb-embed'),
+  kbStatus: document.getElementById('kb-status'),
+  conversationNew: document.getElementById('conversation-new'),
+  conversationList: document.getElementById('conversation-list'),
+  conversationExportFormat: document.getElementById('conversation-export-format'),
+  conversationExport: document.getElementById('conversation-export'),
+  conversationImport: document.getElementById('conversation-import'),
+  conversationTransferStatus: document.getElementById('conversation-transfer-status'),
+  usageTotals: document.getElementById('usage-totals'),
+  usageByDay: document.getElementById('usage-by-day'),
+  usageByModel: document.getElementById('usage-by-model'),
+  usageSettingsForm: document.getElementById('usage-settings-form'),
+  usageClear: document.getElementById('usage-clear'),
+  usageStatus: document.getElementById('usage-status'),
+  cacheSettings: document.querySelector('.cache-settings'),
+  cacheEnabled: document.getElementById('cache-enabled'),
+  cacheTtl: document.getElementById('cache-ttl'),
+  cacheSize: document.getElementById('cache-size'),
+  cacheStats: document.getElementById('cache-stats'),
+  cacheClear: document.getElementById('cache-clear'),
+  contextCacheSettings: document.querySelector('.context-cache-settings'),
+  contextCacheEnabled: document.getElementById('context-cache-enabled'),
+  contextCacheTtl: document.getElementById('context-cache-ttl'),
+  contextCacheList: document.getElementById('context-cache-list'),
+  contextCacheRefresh: document.getElementById('context-cache-refresh'),
+  templatePanel: document.getElementById('template-panel'),
+  templateList: document.getElementById('template-list'),
+  templateForm: document.getElementById('template-form'),
+  templateNew: document.getElementById('template-new'),
+  templateExport: document.getElementById('template-export'),
+  templateImport: document.getElementById('template-import'),
+  templateStatus: document.getElementById('template-status'),
+  templateRunForm: document.getElementById('template-run-form'),
+  templateRunTitle: document.getElementById('template-run-title'),
+  templateRunFields: document.getElementById('template-run-fields'),
+  templateRunCancel: document.getElementById('template-run-cancel'),
+  chatCommandHint: document.getElementById('chat-command-hint'),
+  comparePanel: document.getElementById('compare-panel'),
+  compareVariants: document.getElementById('compare-variants'),
+  compareRun: document.getElementById('compare-run'),
+  compareAdd: document.getElementById('compare-add'),
+  compareReport: document.getElementById('compare-report'),
+  compareReportFormat: document.getElementById('compare-report-format'),
+  compareStatus: document.getElementById('compare-status'),
+  compareOutput: document.getElementById('compare-output'),
+  batchFile: document.getElementById('batch-file'),
+  batchModel: document.getElementById('batch-model'),
+  batchConcurrency: document.getElementById('batch-concurrency'),
+  batchPromptField: document.getElementById('batch-prompt-field'),
+  batchResume: document.getElementById('batch-resume'),
+  batchRun: document.getElementById('batch-run'),
+  batchStop: document.getElementById('batch-stop'),
+  batchDownload: document.getElementById('batch-download'),
+  batchProgress: document.getElementById('batch-progress'),
+  batchStatus: document.getElementById('batch-status'),
+  batchSummary: document.getElementById('batch-summary')
 };
 
 function setStatus(element, message, type = 'neutral') {
@@ -30,193 +317,1865 @@ function setStatus(element, message, type = 'neutral') {
   element.textContent = message;
   element.classList.remove('error', 'success');
 
-  if (type === 'error') {
-    element.classList.add('error');
-  } else if (type === 'success') {
-    element.classList.add('success');
-  }
+  if (type === 'error') {
+    element.classList.add('error');
+  } else if (type === 'success') {
+    element.classList.add('success');
+  }
+}
+
+function showLoading(element, visible) {
+  if (!element) return;
+  element.classList.toggle('hidden', !visible);
+}
+
+function maskKeyInput(value) {
+  if (!elements.keyInput) return;
+  if (!value) {
+    elements.keyInput.value = '';
+    elements.keyInput.dataset.masked = 'false';
+    return;
+  }
+
+  elements.keyInput.value = '••••••••••';
+  elements.keyInput.dataset.masked = 'true';
+}
+
+function ensureKeyInputReady() {
+  if (!elements.keyInput) return;
+  if (elements.keyInput.dataset.masked === 'true') {
+    elements.keyInput.value = '';
+    elements.keyInput.dataset.masked = 'false';
+  }
+}
+
+elements.keyInput?.addEventListener('focus', ensureKeyInputReady);
+
+elements.keyInput?.addEventListener('keydown', (event) => {
+  if (event.key === 'Enter') {
+    ensureKeyInputReady();
+  }
+});
+
+const MESSAGE_TITLES = {
+  user: 'You',
+  tool: 'Tool call'
+};
+
+function appendMessage(container, role, text, { before } = {}) {
+  if (!container) return null;
+
+  const message = document.createElement('article');
+  message.className = `message ${role}`;
+
+  const title = document.createElement('div');
+  title.className = 'message-title';
+  title.textContent = MESSAGE_TITLES[role] ?? 'Gemini';
+
+  const body = document.createElement('div');
+  body.className = 'message-body';
+
+  if (role === 'assistant' && text) {
+    renderMarkdown(body, text);
+  } else {
+    body.textContent = text ?? '';
+  }
+
+  message.appendChild(title);
+  message.appendChild(body);
+
+  if (before?.parentElement === container) {
+    container.insertBefore(message, before);
+  } else {
+    container.appendChild(message);
+  }
+
+  container.scrollTop = container.scrollHeight;
+
+  return body;
+}
+
+function createStreamingRenderer(body) {
+  const renderer = createMarkdownRenderer(body);
+  let streamed = '';
+
+  return {
+    onChunk(chunk) {
+      streamed += chunk;
+      renderer.update(streamed);
+    },
+    text() {
+      return streamed;
+    },
+    finish(text) {
+      renderer.flush(text ?? streamed);
+    },
+    cancel() {
+      renderer.cancel();
+    }
+  };
+}
+
+function appendMessageAttachments(body, attachments) {
+  const message = body?.parentElement;
+  if (!message || !attachments?.length) return;
+
+  const list = document.createElement('div');
+  list.className = 'message-attachments';
+
+  attachments.forEach((attachment) => {
+    if (attachment.data && attachment.mimeType.startsWith('image/')) {
+      const image = document.createElement('img');
+      image.src = `data:${attachment.mimeType};base64,${attachment.data}`;
+      image.alt = attachment.name;
+      image.title = attachment.name;
+      list.appendChild(image);
+      return;
+    }
+
+    const label = document.createElement('span');
+    label.textContent = `📎 ${attachment.name} (${formatBytes(attachment.size)})`;
+    list.appendChild(label);
+  });
+
+  message.appendChild(list);
+}
+
+function getEntryAttachments(entry) {
+  const inlineParts = (entry.parts ?? []).filter((part) => part?.inlineData);
+
+  return (entry.attachments ?? []).map((attachment, index) => ({
+    ...attachment,
+    data: inlineParts[index]?.inlineData.data
+  }));
+}
+
+function renderConversationHistory(conversation, path = conversation?.history ?? []) {
+  if (!elements.chatOutput) return;
+
+  elements.chatOutput.replaceChildren();
+
+  path.forEach((entry) => {
+    const body = appendMessage(elements.chatOutput, entry.role === 'user' ? 'user' : 'assistant', partsToText(entry.parts));
+    appendMessageAttachments(body, getEntryAttachments(entry));
+    renderMessageSources(body, entry.sources);
+
+    if (entry.stopped) {
+      markMessageStopped(body);
+    }
+
+    renderEntryActions(conversation, body, entry);
+  });
+}
+
+function renderEntryActions(conversation, body, entry) {
+  const siblingIds = getSiblingIds(conversation, entry.id);
+
+  renderMessageActions(body, {
+    siblingIndex: siblingIds.indexOf(entry.id),
+    siblingCount: siblingIds.length,
+    onSelectSibling: (index) => handleBranchSelect(siblingIds[index]),
+    onEdit: entry.role === 'user' ? () => handleMessageEdit(body, entry) : null,
+    onRegenerate: entry.role === 'user' ? null : () => handleMessageRegenerate(entry)
+  });
+}
+
+function renderPendingAttachments() {
+  const container = elements.chatAttachmentList;
+  if (!container) return;
+
+  container.replaceChildren();
+
+  pendingAttachments.forEach((attachment) => {
+    const item = document.createElement('li');
+    item.className = 'attachment-chip';
+    item.textContent = `${attachment.name} · ${formatBytes(attachment.size)}`;
+
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'icon-button';
+    remove.textContent = '✕';
+    remove.setAttribute('aria-label', `Remove ${attachment.name}`);
+    remove.addEventListener('click', () => {
+      pendingAttachments = pendingAttachments.filter((candidate) => candidate.id !== attachment.id);
+      renderPendingAttachments();
+    });
+
+    item.appendChild(remove);
+    container.appendChild(item);
+  });
+
+  updateTokenMeter();
+}
+
+async function addAttachmentFiles(files) {
+  const errors = [];
+
+  for (const file of files) {
+    try {
+      pendingAttachments.push(await readFileAsAttachment(file));
+    } catch (error) {
+      errors.push(formatError(error));
+    }
+  }
+
+  renderPendingAttachments();
+  setStatus(elements.chatAttachmentStatus, errors.join(' '), errors.length ? 'error' : 'neutral');
+}
+
+function handleAttachmentPick(event) {
+  addAttachmentFiles(Array.from(event.target.files ?? []));
+  event.target.value = '';
+}
+
+function handleAttachmentPaste(event) {
+  const files = Array.from(event.clipboardData?.files ?? []);
+  if (!files.length) return;
+
+  event.preventDefault();
+  addAttachmentFiles(files);
+}
+
+function handleAttachmentDrag(event) {
+  event.preventDefault();
+  elements.chatDropzone?.classList.toggle('dragging', event.type === 'dragover');
+}
+
+function handleAttachmentDrop(event) {
+  event.preventDefault();
+  elements.chatDropzone?.classList.remove('dragging');
+  addAttachmentFiles(Array.from(event.dataTransfer?.files ?? []));
+}
+
+function readKnowledgeBaseOptions() {
+  const topK = Number.parseInt(elements.kbTopK?.value, 10);
+
+  return {
+    autoRetrieve: elements.kbAuto?.checked ?? false,
+    useEmbeddings: elements.kbEmbeddings?.checked ?? false,
+    topK: Number.isInteger(topK) && topK > 0 ? topK : DEFAULT_TOP_K
+  };
+}
+
+function handleKnowledgeBaseOptionsChange() {
+  saveKnowledgeBaseSettings(readKnowledgeBaseOptions());
+}
+
+async function refreshDocumentList() {
+  const documents = await listDocuments();
+
+  renderDocumentList(elements.kbDocuments, documents, {
+    onDelete: handleDocumentDelete
+  });
+
+  return documents;
+}
+
+async function handleDocumentImport(event) {
+  const files = Array.from(event.target.files ?? []);
+  event.target.value = '';
+
+  if (!files.length) return;
+
+  const errors = [];
+  let imported = 0;
+
+  for (const file of files) {
+    try {
+      await importDocument(file);
+      imported += 1;
+    } catch (error) {
+      errors.push(formatError(error));
+    }
+  }
+
+  await refreshDocumentList();
+
+  if (errors.length) {
+    setStatus(elements.kbStatus, errors.join(' '), 'error');
+  } else {
+    setStatus(elements.kbStatus, `Imported ${imported} document${imported === 1 ? '' : 's'}.`, 'success');
+  }
+}
+
+async function handleDocumentDelete(record) {
+  if (!window.confirm(`Remove "${record.name}" from the knowledge base?`)) {
+    return;
+  }
+
+  await deleteDocument(record.id);
+  await refreshDocumentList();
+  setStatus(elements.kbStatus, `Removed ${record.name}.`);
+}
+
+async function handleEmbedDocuments() {
+  const model = getProviderDefaults()?.defaultModels.embedding;
+
+  elements.kbEmbed?.setAttribute('disabled', 'true');
+  setStatus(elements.kbStatus, 'Building embeddings…');
+
+  try {
+    const embedded = await embedDocuments({
+      model,
+      onProgress: ({ completed, total }) => {
+        setStatus(elements.kbStatus, `Building embeddings… ${completed}/${total}`);
+      }
+    });
+
+    await refreshDocumentList();
+    setStatus(
+      elements.kbStatus,
+      embedded ? `Embedded ${embedded} document${embedded === 1 ? '' : 's'} with ${model}.` : 'All documents already have embeddings.',
+      'success'
+    );
+  } catch (error) {
+    setStatus(elements.kbStatus, formatError(error), 'error');
+  } finally {
+    elements.kbEmbed?.removeAttribute('disabled');
+  }
+}
+
+async function retrievePromptKnowledge(query) {
+  const { autoRetrieve, useEmbeddings, topK } = readKnowledgeBaseOptions();
+
+  if (!autoRetrieve) {
+    return [];
+  }
+
+  try {
+    return await retrieveKnowledge(query, { topK, useEmbeddings });
+  } catch (error) {
+    if (!useEmbeddings) {
+      throw error;
+    }
+
+    // a failed query embedding should not cost the user their lexical matches
+    console.warn('Embedding lookup failed, falling back to keyword ranking.', error);
+    setStatus(elements.kbStatus, `Embedding lookup failed (${formatError(error)}); used keyword ranking instead.`, 'error');
+    return retrieveKnowledge(query, { topK });
+  }
+}
+
+function initialiseKnowledgeBase() {
+  const settings = loadKnowledgeBaseSettings();
+
+  if (settings) {
+    if (elements.kbAuto) elements.kbAuto.checked = settings.autoRetrieve !== false;
+    if (elements.kbEmbeddings) elements.kbEmbeddings.checked = Boolean(settings.useEmbeddings);
+    if (elements.kbTopK && settings.topK) elements.kbTopK.value = settings.topK;
+  }
+
+  refreshDocumentList().catch((error) => {
+    console.error('Failed to load knowledge base documents:', error);
+  });
+}
+
+async function refreshConversationList() {
+  const conversations = await listConversations();
+
+  renderConversationList(elements.conversationList, conversations, {
+    activeId: activeConversation?.id,
+    onSelect: (conversation) => switchConversation(conversation.id),
+    onRename: handleConversationRename,
+    onDelete: handleConversationDelete
+  });
+
+  return conversations;
+}
+
+async function switchConversation(id) {
+  const conversation = (await getConversation(id)) ?? (await createConversation());
+
+  activeConversation = conversation;
+  setActiveConversationId(conversation.id);
+
+  populateSettingsForm(elements.settingsForm, conversation);
+  renderSettingsModels();
+  setStatus(elements.settingsStatus, '');
+
+  renderConversationHistory(conversation);
+  updateChatControls();
+  updateTokenMeter();
+  await refreshConversationList();
+}
+
+async function handleConversationCreate() {
+  try {
+    const conversation = await createConversation();
+    await switchConversation(conversation.id);
+    elements.chatInput?.focus();
+  } catch (error) {
+    window.alert(formatError(error));
+  }
+}
+
+async function handleConversationRename(conversation) {
+  const title = window.prompt('Rename chat', conversation.title);
+
+  if (title === null) {
+    return;
+  }
+
+  try {
+    const renamed = await renameConversation(conversation.id, title);
+
+    if (activeConversation?.id === renamed.id) {
+      activeConversation = renamed;
+    }
+
+    await refreshConversationList();
+  } catch (error) {
+    window.alert(formatError(error));
+  }
+}
+
+async function handleConversationDelete(conversation) {
+  if (!window.confirm(`Delete "${conversation.title}"? This cannot be undone.`)) {
+    return;
+  }
+
+  try {
+    await deleteConversation(conversation.id);
+
+    if (activeConversation?.id === conversation.id) {
+      const [next] = await listConversations();
+      await switchConversation(next?.id ?? (await createConversation()).id);
+    } else {
+      await refreshConversationList();
+    }
+  } catch (error) {
+    window.alert(formatError(error));
+  }
+}
+
+function getUsageSettings() {
+  const settings = loadUsageSettings();
+  return { prices: settings?.prices ?? DEFAULT_PRICES, budget: settings?.budget ?? null };
+}
+
+async function refreshUsageDashboard() {
+  const { prices } = getUsageSettings();
+  const summary = summarizeUsage(await listUsage(), { prices });
+
+  if (elements.usageTotals) {
+    elements.usageTotals.textContent = describeUsageTotals(summary.totals);
+  }
+
+  renderUsageTable(elements.usageByDay, summary.byDay, { labelKey: 'day', labelHeading: 'Day' });
+  renderUsageTable(elements.usageByModel, summary.byModel, { labelKey: 'model', labelHeading: 'Model' });
+}
+
+// a tool loop records several requests in quick succession, so redraw once they settle
+function scheduleUsageRefresh() {
+  clearTimeout(usageRefreshTimer);
+  usageRefreshTimer = setTimeout(() => {
+    refreshUsageDashboard().catch((error) => console.error('Failed to refresh usage dashboard:', error));
+  }, USAGE_REFRESH_DEBOUNCE_MS);
+}
+
+async function handleUsageSettingsSubmit(event) {
+  event.preventDefault();
+
+  try {
+    saveUsageSettings(readUsageSettingsForm(elements.usageSettingsForm));
+    await refreshUsageDashboard();
+    setStatus(elements.usageStatus, 'Usage settings saved.', 'success');
+  } catch (error) {
+    setStatus(elements.usageStatus, formatError(error), 'error');
+  }
+}
+
+async function handleUsageClear() {
+  if (!window.confirm('Clear the usage ledger? Totals and budget progress start again from zero.')) {
+    return;
+  }
+
+  await clearUsage();
+  await refreshUsageDashboard();
+  setStatus(elements.usageStatus, 'Usage ledger cleared.');
+}
+
+function initialiseUsageDashboard() {
+  populateUsageSettingsForm(elements.usageSettingsForm, getUsageSettings());
+  onUsageRecorded(scheduleUsageRefresh);
+  refreshUsageDashboard().catch((error) => {
+    console.error('Failed to load usage ledger:', error);
+  });
+}
+
+function readResponseCacheOptions() {
+  const ttlHours = Number.parseFloat(elements.cacheTtl?.value);
+  const maxMegabytes = Number.parseFloat(elements.cacheSize?.value);
+
+  return {
+    enabled: elements.cacheEnabled?.checked ?? false,
+    ttlHours: Number.isFinite(ttlHours) && ttlHours >= 0 ? ttlHours : 24,
+    maxMegabytes: Number.isFinite(maxMegabytes) && maxMegabytes >= 0 ? maxMegabytes : 4
+  };
+}
+
+function applyResponseCacheSettings({ enabled, ttlHours, maxMegabytes }) {
+  configureResponseCache({
+    enabled,
+    ttlMs: ttlHours * 60 * 60 * 1000,
+    maxBytes: maxMegabytes * 1024 * 1024
+  });
+}
+
+async function refreshResponseCacheStats() {
+  if (!elements.cacheStats) return;
+
+  const stats = await getResponseCacheStats();
+  elements.cacheStats.textContent = `${stats.entries.toLocaleString()} cached replies (${formatBytes(stats.bytes)}) · `
+    + `${stats.hits.toLocaleString()} hits, ${stats.misses.toLocaleString()} misses this session`;
+}
+
+function handleResponseCacheChange() {
+  const settings = readResponseCacheOptions();
+
+  saveResponseCacheSettings(settings);
+  applyResponseCacheSettings(settings);
+  refreshResponseCacheStats().catch((error) => console.error('Failed to read response cache:', error));
+}
+
+async function handleResponseCacheClear() {
+  await clearResponseCache();
+  await refreshResponseCacheStats();
+  setStatus(elements.usageStatus, 'Response cache cleared.');
+}
+
+function initialiseResponseCache() {
+  const settings = loadResponseCacheSettings();
+
+  if (settings) {
+    if (elements.cacheEnabled) elements.cacheEnabled.checked = Boolean(settings.enabled);
+    if (elements.cacheTtl && settings.ttlHours != null) elements.cacheTtl.value = settings.ttlHours;
+    if (elements.cacheSize && settings.maxMegabytes != null) elements.cacheSize.value = settings.maxMegabytes;
+  }
+
+  applyResponseCacheSettings(readResponseCacheOptions());
+}
+
+function readContextCacheOptions() {
+  const ttlMinutes = Number.parseFloat(elements.contextCacheTtl?.value);
+
+  return {
+    enabled: elements.contextCacheEnabled?.checked ?? false,
+    ttlMinutes: Number.isFinite(ttlMinutes) && ttlMinutes >= 1 ? ttlMinutes : 60
+  };
+}
+
+// only providers with server-side caches get the "auto" mode; the rest always send knowledge inline
+function toContextCacheOptions() {
+  const { enabled, ttlMinutes } = readContextCacheOptions();
+
+  if (!enabled || !getProviderDefaults()?.capabilities?.contextCaching) {
+    return {};
+  }
+
+  return { contextCache: 'auto', contextCacheTtlSeconds: Math.round(ttlMinutes * 60) };
+}
+
+function handleContextCacheChange() {
+  saveContextCacheSettings(readContextCacheOptions());
+}
+
+async function refreshContextCacheList() {
+  if (!elements.contextCacheList) return;
+
+  if (!getProviderDefaults()?.capabilities?.contextCaching) {
+    renderContextCacheList(elements.contextCacheList, [], {
+      emptyText: `${getProviderDefaults()?.label ?? 'This provider'} does not support context caching.`
+    });
+    return;
+  }
+
+  const caches = await listContextCaches();
+
+  renderContextCacheList(elements.contextCacheList, caches, {
+    onExtend: (cache) => {
+      refreshContextCache(cache.name, { ttlSeconds: Math.round(readContextCacheOptions().ttlMinutes * 60) })
+        .then(() => refreshContextCacheList())
+        .then(() => setStatus(elements.usageStatus, `Extended ${cache.name}.`, 'success'))
+        .catch((error) => setStatus(elements.usageStatus, formatError(error), 'error'));
+    },
+    onDelete: (cache) => {
+      if (!window.confirm(`Delete ${cache.name}? Requests that reuse it will send their knowledge context inline again.`)) {
+        return;
+      }
+
+      deleteContextCache(cache.name)
+        .then(() => refreshContextCacheList())
+        .then(() => setStatus(elements.usageStatus, `Deleted ${cache.name}.`))
+        .catch((error) => setStatus(elements.usageStatus, formatError(error), 'error'));
+    }
+  });
+}
+
+function toRedactorOptions(settings) {
+  return {
+    detectors: settings.detectors ?? DEFAULT_REDACTION_DETECTORS,
+    customPatterns: parseRedactionPatterns(settings.customPatterns),
+    // the key in use is redacted wherever it gets pasted, whatever its format
+    secrets: () => [getClientApiKey()]
+  };
+}
+
+// registered globally, so knowledge search, comparisons and batch runs are redacted as well as chat
+function applyRedactionSettings(settings) {
+  const options = toRedactorOptions(settings);
+
+  redactionSettings = settings;
+
+  if (settings.enabled) {
+    registerMiddleware(createRedactionMiddleware(options));
+  } else {
+    unregisterMiddleware(REDACTION_MIDDLEWARE_NAME);
+  }
+}
+
+function handleRedactionSubmit(event) {
+  event.preventDefault();
+  if (!elements.redactionForm) return;
+
+  try {
+    const settings = readRedactionForm(elements.redactionForm);
+
+    applyRedactionSettings(settings);
+    saveRedactionSettings(settings);
+    setStatus(elements.redactionStatus, settings.enabled ? 'Redaction is on for every request.' : 'Redaction is off.', 'success');
+  } catch (error) {
+    setStatus(elements.redactionStatus, formatError(error), 'error');
+  }
+}
+
+function initialiseRedaction() {
+  const settings = { ...redactionSettings, ...loadRedactionSettings() };
+
+  renderRedactionDetectors(elements.redactionDetectors, settings.detectors);
+  populateRedactionForm(elements.redactionForm, settings);
+
+  try {
+    applyRedactionSettings(settings);
+  } catch (error) {
+    console.warn('Ignoring stored redaction settings.', error);
+  }
+}
+
+function describeOutgoing({ prompt, knowledgeContext = [] }) {
+  const knowledge = knowledgeContext.map((entry) => (typeof entry === 'string'
+    ? entry
+    : [entry.title, entry.snippet ?? entry.content ?? entry.text].filter(Boolean).join(' – ')));
+
+  return [prompt, ...(knowledge.length ? ['', 'Knowledge context:', ...knowledge] : [])].join('\n');
+}
+
+// resolves true to send; the review only appears when something would actually be replaced
+function reviewRedactions(input, signal) {
+  if (!redactionSettings.enabled || !redactionSettings.preview || !elements.redactionReview) {
+    return Promise.resolve(true);
+  }
+
+  const preview = previewRedaction(input, toRedactorOptions(redactionSettings));
+
+  if (!preview.findings.length) {
+    return Promise.resolve(true);
+  }
+
+  renderRedactionReview(
+    { title: elements.redactionReviewTitle, list: elements.redactionFindings, outgoing: elements.redactionOutgoing },
+    {
+      findings: preview.findings,
+      text: describeOutgoing(preview.input),
+      unredactedAttachments: findUnredactedAttachments(input.attachments).length
+    }
+  );
+  elements.redactionReview.classList.remove('hidden');
+  elements.redactionConfirm?.focus();
+
+  return new Promise((resolve) => {
+    const onConfirm = () => finish(true);
+    const onCancel = () => finish(false);
+
+    function finish(send) {
+      elements.redactionReview.classList.add('hidden');
+      elements.redactionConfirm?.removeEventListener('click', onConfirm);
+      elements.redactionCancel?.removeEventListener('click', onCancel);
+      signal?.removeEventListener('abort', onCancel);
+      resolve(send);
+    }
+
+    elements.redactionConfirm?.addEventListener('click', onConfirm);
+    elements.redactionCancel?.addEventListener('click', onCancel);
+    signal?.addEventListener('abort', onCancel);
+  });
+}
+
+function initialiseContextCache() {
+  const settings = loadContextCacheSettings();
+
+  if (settings) {
+    if (elements.contextCacheEnabled) elements.contextCacheEnabled.checked = Boolean(settings.enabled);
+    if (elements.contextCacheTtl && settings.ttlMinutes != null) elements.contextCacheTtl.value = settings.ttlMinutes;
+  }
+}
+
+// sendMessage enforces the hard limit itself; this only asks before crossing the soft one
+async function confirmWithinBudget({ prompt, history }) {
+  let status;
+
+  try {
+    const plan = planChatHistory({ prompt, history, model: getActiveModel() });
+    status = await checkBudget({ model: getActiveModel(), pendingTokens: plan.totalTokens });
+  } catch (error) {
+    console.warn('Budget check unavailable.', error);
+    return true;
+  }
+
+  if (status.level === 'hard') {
+    window.alert(describeBudgetStatus(status));
+    return false;
+  }
+
+  return status.level !== 'soft' || window.confirm(`${describeBudgetStatus(status)} Send anyway?`);
+}
+
+// marks the conversation busy before the budget check awaits, so pressing Enter again while it runs
+// cannot send the same turn twice; the turn's own controller replaces this one when it starts
+async function reserveChatTurn(conversation, { prompt, history }) {
+  if (isChatBusy(conversation.id)) {
+    return false;
+  }
+
+  inFlightChats.set(conversation.id, new AbortController());
+
+  if (await confirmWithinBudget({ prompt, history })) {
+    return true;
+  }
+
+  inFlightChats.delete(conversation.id);
+  return false;
+}
+
+const TRANSCRIPT_EXPORTERS = {
+  markdown: exportConversationMarkdown,
+  json: exportConversationJson,
+  jsonl: exportConversationJsonl
+};
+
+function downloadTextFile(fileName, text, mimeType) {
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+async function handleConversationExport() {
+  const format = elements.conversationExportFormat?.value || 'markdown';
+  const conversation = activeConversation && (await getConversation(activeConversation.id));
+
+  if (!conversation?.history.length) {
+    setStatus(elements.conversationTransferStatus, 'This chat has no messages to export yet.', 'error');
+    return;
+  }
+
+  downloadTextFile(
+    transcriptFileName(conversation, format),
+    TRANSCRIPT_EXPORTERS[format](conversation),
+    EXPORT_FORMATS[format].mimeType
+  );
+  setStatus(elements.conversationTransferStatus, `Exported "${conversation.title}".`, 'success');
+}
+
+async function handleConversationImport(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
+
+  if (!file) return;
+
+  try {
+    const imported = await importConversation(parseTranscript(await file.text(), { fileName: file.name }));
+    await switchConversation(imported.id);
+    setStatus(elements.conversationTransferStatus, `Imported "${imported.title}".`, 'success');
+  } catch (error) {
+    setStatus(elements.conversationTransferStatus, `${file.name}: ${formatError(error)}`, 'error');
+  }
+}
+
+function getProviderDefaults() {
+  const { id } = getClientProvider();
+  return listProviders().find((candidate) => candidate.id === id) ?? null;
+}
+
+function renderSettingsModels() {
+  const provider = getProviderDefaults();
+  if (!provider) return;
+
+  const selectedId = activeConversation?.model ?? '';
+
+  renderModelOptions(elements.settingsModel, getChatModels(provider.id), {
+    selectedId,
+    defaultModelId: provider.defaultModels.chat
+  });
+
+  updateModelInfo();
+  renderCompareVariantControls();
+  renderModelOptions(elements.batchModel, getChatModels(provider.id), {
+    selectedId: elements.batchModel?.value,
+    defaultModelId: provider.defaultModels.chat
+  });
+}
+
+function updateModelInfo() {
+  const provider = getProviderDefaults();
+  if (!provider || !elements.settingsModelInfo) return;
+
+  const modelId = elements.settingsModel?.value || provider.defaultModels.chat;
+  elements.settingsModelInfo.textContent = describeModel(getModelInfo(provider.id, modelId));
+}
+
+async function loadModelsForProvider({ force = false } = {}) {
+  const provider = getProviderDefaults();
+  if (!provider) return;
+
+  try {
+    if (force) {
+      await refreshModels({ providerId: provider.id, force });
+      setStatus(elements.settingsStatus, `Loaded ${getChatModels(provider.id).length} models from ${provider.label}.`, 'success');
+    } else {
+      await loadCachedModels(provider.id);
+    }
+  } catch (error) {
+    setStatus(elements.settingsStatus, formatError(error), 'error');
+  }
+
+  renderSettingsModels();
+  updateTokenMeter();
+}
+
+async function handleSettingsSubmit(event) {
+  event.preventDefault();
+  if (!activeConversation || !elements.settingsForm) return;
+
+  try {
+    const settings = normalizeGenerationSettings(readSettingsForm(elements.settingsForm));
+    activeConversation = await updateConversation(activeConversation.id, settings);
+    setStatus(elements.settingsStatus, 'Settings saved for this chat.', 'success');
+    updateTokenMeter();
+  } catch (error) {
+    setStatus(elements.settingsStatus, formatError(error), 'error');
+  }
+}
+
+async function initialiseConversations() {
+  const conversations = await listConversations();
+  const storedId = getActiveConversationId();
+  const initial = conversations.find((conversation) => conversation.id === storedId) ?? conversations[0];
+
+  await switchConversation(initial?.id ?? (await createConversation()).id);
+}
+
+function formatToolCall(event) {
+  const signature = `${event.name}(${JSON.stringify(event.args ?? {})})`;
+
+  if (event.status === 'running') {
+    return `${signature} …`;
+  }
+
+  if (event.status === 'error') {
+    return `${signature} failed: ${event.error}`;
+  }
+
+  return `${signature} → ${JSON.stringify(event.response)} (${event.durationMs} ms)`;
+}
+
+function createToolCallRenderer(container, assistantBody) {
+  let pendingBody = null;
+
+  return (event) => {
+    if (event.status === 'running') {
+      pendingBody = appendMessage(container, 'tool', formatToolCall(event), {
+        before: assistantBody?.parentElement
+      });
+      return;
+    }
+
+    if (pendingBody) {
+      pendingBody.textContent = formatToolCall(event);
+      pendingBody = null;
+    }
+  };
+}
+
+function getActiveModel() {
+  return activeConversation?.model ?? getProviderDefaults()?.defaultModels.chat;
+}
+
+function getChatDraft() {
+  return {
+    prompt: elements.chatInput?.value ?? '',
+    knowledgeContext: parseKnowledgeContext(elements.chatKnowledge?.value),
+    attachments: pendingAttachments,
+    history: activeConversation?.history ?? [],
+    systemInstruction: elements.chatSystem?.value.trim() || undefined,
+    model: getActiveModel(),
+    maxOutputTokens: activeConversation?.generationConfig?.maxOutputTokens
+  };
+}
+
+function renderTokenMeter({ totalTokens, contextWindow, droppedTurns, estimated }) {
+  const meter = elements.chatTokenMeter;
+  if (!meter) return;
+
+  let text = `${estimated ? '≈ ' : ''}${totalTokens.toLocaleString()} / ${contextWindow.toLocaleString()} tokens`;
+
+  if (droppedTurns) {
+    text += ` · ${droppedTurns} older message${droppedTurns === 1 ? '' : 's'} will be trimmed`;
+  }
+
+  meter.textContent = text;
+  meter.classList.toggle('warning', totalTokens > contextWindow * 0.9);
+}
+
+function updateTokenMeter() {
+  const draft = getChatDraft();
+  let plan;
+
+  try {
+    plan = planChatHistory(draft);
+  } catch (error) {
+    return;
+  }
+
+  const meterState = {
+    totalTokens: plan.totalTokens,
+    contextWindow: plan.contextWindow,
+    droppedTurns: plan.dropped.length,
+    estimated: true
+  };
+
+  renderTokenMeter(meterState);
+
+  clearTimeout(tokenCountTimer);
+  tokenCountController?.abort();
+
+  if (!draft.prompt.trim() && !draft.history.length) {
+    return;
+  }
+
+  tokenCountTimer = setTimeout(async () => {
+    tokenCountController = new AbortController();
+
+    try {
+      const { totalTokens, estimated } = await countTokens({ ...draft, signal: tokenCountController.signal });
+
+      if (!estimated) {
+        renderTokenMeter({ ...meterState, totalTokens, estimated });
+      }
+    } catch (error) {
+      if (error?.name !== 'AbortError') {
+        console.debug('Token count unavailable, keeping the local estimate.', error);
+      }
+    }
+  }, TOKEN_COUNT_DEBOUNCE_MS);
+}
+
+function parseKnowledgeContext(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(/\n\s*\n/g)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+async function collectKnowledgeContext(message) {
+  return [...parseKnowledgeContext(elements.chatKnowledge?.value), ...(await retrievePromptKnowledge(message))];
+}
+
+function findLastUserTurn(history = []) {
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    if (history[index].role === 'user') {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+function toUserEntry({ role, parts, attachments, template }) {
+  return { role, parts, ...(attachments?.length ? { attachments } : {}), ...(template ? { template } : {}) };
+}
+
+// a turn sent from a template keeps its model and system instruction overrides, so regenerating it matches
+function toTurnSettings(conversation, userEntry) {
+  const settings = toRequestSettings(conversation);
+  const template = userEntry.template;
+
+  return {
+    ...settings,
+    model: template?.model ?? settings.model,
+    systemInstruction: template?.systemInstruction ?? settings.systemInstruction
+  };
+}
+
+function isChatBusy(conversationId = activeConversation?.id) {
+  return inFlightChats.has(conversationId);
+}
+
+function updateChatControls() {
+  const busy = isChatBusy();
+  const canRegenerate = !busy && findLastUserTurn(activeConversation?.history) !== -1;
+
+  elements.chatSend?.toggleAttribute('disabled', busy);
+  elements.compareRun?.toggleAttribute('disabled', busy);
+  elements.chatStop?.classList.toggle('hidden', !busy);
+  elements.chatRegenerate?.toggleAttribute('disabled', !canRegenerate);
+  showLoading(elements.chatLoading, busy);
+
+  if (elements.chatLoading) {
+    const position = chatQueuePositions.get(activeConversation?.id);
+    elements.chatLoading.textContent = position ? `Queued, position ${position}…` : 'Generating response…';
+  }
+}
+
+function addMessageFlag(body, className, label) {
+  const message = body?.parentElement;
+  if (!message || message.classList.contains(className)) return;
+
+  const flag = document.createElement('span');
+  flag.className = 'message-flag';
+  flag.textContent = label;
+
+  message.classList.add(className);
+  message.querySelector('.message-title')?.appendChild(flag);
+}
+
+function markMessageStopped(body) {
+  addMessageFlag(body, 'stopped', 'Stopped');
+}
+
+// parentId is where the new entries hang in the conversation tree; when newUserEntry is false the
+// user turn already exists there and only a fresh reply is added beneath it
+async function runChatTurn(conversation, { userEntry, userBody, history, parentId, newUserEntry = true }) {
+  const controller = new AbortController();
+  const message = partsToText(userEntry.parts);
+  const assistantBody = appendMessage(elements.chatOutput, 'assistant', '');
+  const stream = createStreamingRenderer(assistantBody);
+  let sources = [];
+
+  inFlightChats.set(conversation.id, controller);
+  updateChatControls();
+  setStatus(elements.keyStatus, '');
+
+  async function saveTurn(assistantEntry) {
+    const entries = newUserEntry ? [userEntry, assistantEntry] : [assistantEntry];
+    const updated = await appendConversationEntries(conversation.id, entries, { parentId });
+
+    if (activeConversation?.id === updated.id) {
+      activeConversation = updated;
+
+      // the user switched away and back mid-request, so this reply is not on screen yet
+      if (!assistantBody?.isConnected) {
+        renderConversationHistory(updated);
+      } else {
+        renderEntryActions(updated, assistantBody, updated.history.at(-1));
+
+        if (newUserEntry && userBody) {
+          renderEntryActions(updated, userBody, updated.history.at(-2));
+        }
+      }
+    }
+
+    await refreshConversationList();
+  }
+
+  try {
+    const knowledgeContext = await collectKnowledgeContext(message);
+    const settings = toTurnSettings(conversation, userEntry);
+    sources = toCitationSources(knowledgeContext);
+
+    const attachments = userEntry.parts.filter((part) => part?.inlineData);
+
+    // declining the review is handled like a stop before any reply arrived, so the prompt goes back to the input
+    if (!(await reviewRedactions({ prompt: message, history, knowledgeContext, attachments, systemInstruction: settings.systemInstruction }, controller.signal))) {
+      throw abortError();
+    }
+
+    const response = await sendMessage({
+      prompt: message,
+      knowledgeContext,
+      attachments,
+      history,
+      ...settings,
+      ...toContextCacheOptions(),
+      onToolCall: createToolCallRenderer(elements.chatOutput, assistantBody),
+      onQueueStatus: ({ state, position }) => {
+        if (state === 'queued') {
+          chatQueuePositions.set(conversation.id, position);
+        } else {
+          chatQueuePositions.delete(conversation.id);
+        }
+
+        updateChatControls();
+      },
+      onChunk: stream.onChunk,
+      signal: controller.signal
+    });
+
+    const replyText = response.text ?? '';
+
+    stream.finish(replyText);
+
+    if (assistantBody && !replyText) {
+      assistantBody.textContent = '[No response received]';
+    }
+
+    renderMessageSources(assistantBody, sources);
+
+    if (response.cached) {
+      addMessageFlag(assistantBody, 'cached', 'Cached');
+    }
+
+    if (response.contextCache) {
+      addMessageFlag(assistantBody, 'context-cached', 'Cached prefix');
+    }
+
+    await saveTurn({ role: 'assistant', parts: [replyText], ...(sources.length ? { sources } : {}) });
+
+    console.groupCollapsed('Gemini Chat Response');
+    console.log('Prompt', message);
+    console.log('Response', response);
+    console.groupEnd();
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      const partial = stream.text().trim();
+
+      if (partial) {
+        stream.finish(partial);
+        renderMessageSources(assistantBody, sources);
+        markMessageStopped(assistantBody);
+        await saveTurn({ role: 'assistant', parts: [partial], stopped: true, ...(sources.length ? { sources } : {}) });
+        return;
+      }
+
+      // nothing worth keeping arrived, so leave the stored thread untouched and hand the prompt back
+      stream.cancel();
+
+      if (activeConversation?.id === conversation.id) {
+        renderConversationHistory(activeConversation);
+      }
+
+      if (elements.chatInput && !elements.chatInput.value && newUserEntry && parentId === (conversation.history.at(-1)?.id ?? null)) {
+        elements.chatInput.value = message;
+      }
+
+      return;
+    }
+
+    const errorMessage = formatError(error);
+    stream.cancel();
+    if (assistantBody) {
+      assistantBody.textContent = `⚠️ ${errorMessage}`;
+    }
+
+    console.error('Gemini chat request failed:', error);
+  } finally {
+    inFlightChats.delete(conversation.id);
+    chatQueuePositions.delete(conversation.id);
+    updateChatControls();
+    updateTokenMeter();
+  }
+}
+
+async function handleChatSubmit(event) {
+  event.preventDefault();
+
+  const message = elements.chatInput?.value?.trim();
+  if (!message) {
+    return;
+  }
+
+  // an unknown /command is sent as typed, since messages may legitimately start with a slash
+  const command = parseSlashCommand(message);
+  const template = command && (await findTemplateByName(command.name));
+
+  if (template) {
+    if (elements.chatInput) {
+      elements.chatInput.value = '';
+    }
+
+    updateCommandHint();
+    await useTemplate(template, parseCommandArguments(template, command.args));
+    return;
+  }
+
+  await submitChatMessage(message);
+}
+
+// clears the message box and hands back the attachments that were waiting to be sent with it
+function takeChatInput() {
+  const attachments = pendingAttachments;
+
+  pendingAttachments = [];
+  renderPendingAttachments();
+  setStatus(elements.chatAttachmentStatus, '');
+
+  if (elements.chatInput) {
+    elements.chatInput.value = '';
+  }
+
+  return attachments;
+}
+
+function createUserEntry(message, attachments, template) {
+  return toUserEntry({
+    role: 'user',
+    parts: [message, ...attachments.map(toInlineDataPart)],
+    attachments: attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })),
+    template
+  });
+}
+
+async function submitChatMessage(message, { template } = {}) {
+  const conversation = activeConversation ?? (await createConversation());
+
+  if (!(await reserveChatTurn(conversation, { prompt: message, history: conversation.history }))) {
+    return false;
+  }
+
+  const attachments = takeChatInput();
+  const userBody = appendMessage(elements.chatOutput, 'user', message);
+  appendMessageAttachments(userBody, attachments);
+
+  await runChatTurn(conversation, {
+    userBody,
+    userEntry: createUserEntry(message, attachments, template),
+    history: conversation.history,
+    parentId: conversation.history.at(-1)?.id ?? null
+  });
+
+  return true;
+}
+
+function closeTemplateRunForm() {
+  pendingTemplate = null;
+  elements.templateRunForm?.classList.add('hidden');
+  elements.templateRunFields?.replaceChildren();
+}
+
+function openTemplateRunForm(template, values) {
+  pendingTemplate = template;
+  renderTemplateVariables(elements.templateRunFields, template, values);
+
+  if (elements.templateRunTitle) {
+    elements.templateRunTitle.textContent = `/${template.name}${template.description ? ` · ${template.description}` : ''}`;
+  }
+
+  elements.templateRunForm?.classList.remove('hidden');
+  elements.templateRunFields?.querySelector('input, textarea')?.focus();
+}
+
+async function sendTemplate(template, values) {
+  const rendered = renderTemplate(template, values);
+  const overrides = {
+    name: template.name,
+    ...(rendered.model ? { model: rendered.model } : {}),
+    ...(rendered.systemInstruction ? { systemInstruction: rendered.systemInstruction } : {})
+  };
+
+  return submitChatMessage(rendered.prompt, { template: overrides });
+}
+
+// variables without a value or default open the form; otherwise the template is sent straight away
+async function useTemplate(template, values = {}) {
+  if (getMissingVariables(template, values).length) {
+    openTemplateRunForm(template, values);
+    return;
+  }
+
+  closeTemplateRunForm();
+  await sendTemplate(template, values);
+}
+
+async function handleTemplateRunSubmit(event) {
+  event.preventDefault();
+  if (!pendingTemplate) return;
+
+  const template = pendingTemplate;
+  const values = readTemplateVariables(elements.templateRunFields);
+
+  try {
+    renderTemplate(template, values);
+  } catch (error) {
+    setStatus(elements.templateStatus, formatError(error), 'error');
+    return;
+  }
+
+  closeTemplateRunForm();
+  setStatus(elements.templateStatus, '');
+  await sendTemplate(template, values);
+}
+
+function updateCommandHint() {
+  if (elements.chatCommandHint) {
+    elements.chatCommandHint.textContent = describeTemplateMatches(elements.chatInput?.value, savedTemplates);
+  }
+}
+
+async function refreshTemplateList() {
+  savedTemplates = await listTemplates();
+
+  renderTemplateList(elements.templateList, savedTemplates, {
+    onUse: (template) => useTemplate(template).catch((error) => setStatus(elements.templateStatus, formatError(error), 'error')),
+    onEdit: (template) => {
+      populateTemplateForm(elements.templateForm, template);
+      elements.templateForm?.elements.name.focus();
+    },
+    onDelete: handleTemplateDelete
+  });
+}
+
+async function handleTemplateSubmit(event) {
+  event.preventDefault();
+
+  try {
+    const saved = await saveTemplate(readTemplateForm(elements.templateForm));
+    populateTemplateForm(elements.templateForm, saved);
+    await refreshTemplateList();
+    setStatus(elements.templateStatus, `Saved /${saved.name}.`, 'success');
+  } catch (error) {
+    setStatus(elements.templateStatus, formatError(error), 'error');
+  }
+}
+
+async function handleTemplateDelete(template) {
+  if (!window.confirm(`Delete the /${template.name} template?`)) {
+    return;
+  }
+
+  await deleteTemplate(template.id);
+
+  if (elements.templateForm?.elements.id.value === template.id) {
+    populateTemplateForm(elements.templateForm, null);
+  }
+
+  await refreshTemplateList();
+  setStatus(elements.templateStatus, `Deleted /${template.name}.`);
+}
+
+function handleTemplateExport() {
+  if (!savedTemplates.length) {
+    setStatus(elements.templateStatus, 'There are no templates to export yet.', 'error');
+    return;
+  }
+
+  downloadTextFile('sj-assistant-templates.json', exportTemplates(savedTemplates), 'application/json');
+  setStatus(elements.templateStatus, `Exported ${savedTemplates.length} templates.`, 'success');
+}
+
+async function handleTemplateImport(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
+
+  if (!file) return;
+
+  try {
+    const { created, updated } = await importTemplates(await file.text());
+    await refreshTemplateList();
+    setStatus(elements.templateStatus, `Imported ${created} new and ${updated} updated templates.`, 'success');
+  } catch (error) {
+    setStatus(elements.templateStatus, `${file.name}: ${formatError(error)}`, 'error');
+  }
+}
+
+async function regenerateFromUserTurn(conversation, index) {
+  const userNode = conversation.history[index];
+
+  if (!(await reserveChatTurn(conversation, { prompt: partsToText(userNode.parts), history: conversation.history.slice(0, index) }))) {
+    return;
+  }
+
+  renderConversationHistory(conversation, conversation.history.slice(0, index + 1));
+
+  await runChatTurn(conversation, {
+    userEntry: toUserEntry(userNode),
+    history: conversation.history.slice(0, index),
+    parentId: userNode.id,
+    newUserEntry: false
+  });
+}
+
+async function handleChatRegenerate() {
+  const conversation = activeConversation;
+  if (!conversation || isChatBusy(conversation.id)) return;
+
+  const index = findLastUserTurn(conversation.history);
+  if (index === -1) return;
+
+  await regenerateFromUserTurn(conversation, index);
+}
+
+async function handleMessageRegenerate(entry) {
+  const conversation = activeConversation;
+  if (!conversation || isChatBusy(conversation.id)) return;
+
+  const index = conversation.history.findIndex((node) => node.id === entry.parentId);
+  if (index === -1 || conversation.history[index].role !== 'user') return;
+
+  await regenerateFromUserTurn(conversation, index);
+}
+
+function handleMessageEdit(body, entry) {
+  if (isChatBusy()) return;
+
+  renderMessageEditor(body, partsToText(entry.parts), {
+    onSave: async (text) => {
+      const conversation = activeConversation;
+      if (!conversation || isChatBusy(conversation.id)) return;
+
+      const index = conversation.history.findIndex((node) => node.id === entry.id);
+      if (index === -1) return;
+
+      if (!(await reserveChatTurn(conversation, { prompt: text, history: conversation.history.slice(0, index) }))) {
+        return;
+      }
+
+      const userEntry = toUserEntry({
+        ...entry,
+        parts: [text, ...entry.parts.filter((part) => part?.inlineData)]
+      });
+
+      renderConversationHistory(conversation, conversation.history.slice(0, index));
+      const userBody = appendMessage(elements.chatOutput, 'user', text);
+      appendMessageAttachments(userBody, getEntryAttachments(userEntry));
+
+      await runChatTurn(conversation, {
+        userEntry,
+        userBody,
+        history: conversation.history.slice(0, index),
+        parentId: entry.parentId
+      });
+    }
+  });
+}
+
+async function handleBranchSelect(nodeId) {
+  const conversation = activeConversation;
+  if (!conversation || !nodeId || isChatBusy(conversation.id)) return;
+
+  try {
+    activeConversation = await selectBranch(conversation.id, nodeId);
+    renderConversationHistory(activeConversation);
+    updateChatControls();
+    updateTokenMeter();
+  } catch (error) {
+    console.error('Failed to switch branch:', error);
+  }
+}
+
+function handleChatStop() {
+  inFlightChats.get(activeConversation?.id)?.abort();
+}
+
+function renderCompareVariantControls() {
+  const provider = getProviderDefaults();
+
+  // new variants start from the chat's own model; an empty select means the provider default
+  renderCompareVariants(
+    elements.compareVariants,
+    compareVariants.map((variant) => ({ ...variant, model: variant.model ?? activeConversation?.model ?? '' })),
+    {
+      models: provider ? getChatModels(provider.id) : [],
+      defaultModelId: provider?.defaultModels.chat,
+      onRemove: (index) => {
+        compareVariants = readCompareVariants(elements.compareVariants).filter((_, position) => position !== index);
+        renderCompareVariantControls();
+      }
+    }
+  );
+
+  elements.compareAdd?.toggleAttribute('disabled', compareVariants.length >= MAX_COMPARISON_VARIANTS);
+}
+
+function handleCompareAdd() {
+  compareVariants = [...readCompareVariants(elements.compareVariants), {}].slice(0, MAX_COMPARISON_VARIANTS);
+  renderCompareVariantControls();
 }
 
-function showLoading(element, visible) {
-  if (!element) return;
-  element.classList.toggle('hidden', !visible);
+function renderActiveComparison() {
+  const comparison = activeComparison;
+  if (!comparison) return;
+
+  comparison.results.forEach((result, index) => {
+    renderComparisonResult(comparison.columns[index], result, {
+      vote: comparison.votes[index],
+      winner: comparison.winnerIndex === index,
+      decided: comparison.winnerIndex !== null,
+      onVote: (vote) => {
+        setComparisonVote(comparison, index, vote);
+        renderActiveComparison();
+      },
+      onPick: () => {
+        handleComparePick(comparison, index).catch((error) => setStatus(elements.compareStatus, formatError(error), 'error'));
+      }
+    });
+  });
 }
 
-function maskKeyInput(value) {
-  if (!elements.keyInput) return;
-  if (!value) {
-    elements.keyInput.value = '';
-    elements.keyInput.dataset.masked = 'false';
+// every variant gets the same prompt, history, knowledge and attachments; only model and settings differ
+async function handleCompareRun() {
+  const message = elements.chatInput?.value?.trim();
+
+  if (!message) {
+    setStatus(elements.compareStatus, 'Type a message above to compare replies for it.', 'error');
     return;
   }
 
-  elements.keyInput.value = '••••••••••';
-  elements.keyInput.dataset.masked = 'true';
-}
+  const conversation = activeConversation ?? (await createConversation());
+  let variants;
 
-function ensureKeyInputReady() {
-  if (!elements.keyInput) return;
-  if (elements.keyInput.dataset.masked === 'true') {
-    elements.keyInput.value = '';
-    elements.keyInput.dataset.masked = 'false';
+  try {
+    variants = resolveComparisonVariants(readCompareVariants(elements.compareVariants), {
+      ...toRequestSettings(conversation),
+      model: getProviderDefaults()?.defaultModels.chat
+    });
+  } catch (error) {
+    setStatus(elements.compareStatus, formatError(error), 'error');
+    return;
+  }
+
+  if (!(await reserveChatTurn(conversation, { prompt: message, history: conversation.history }))) {
+    return;
+  }
+
+  const controller = new AbortController();
+  const attachments = takeChatInput();
+  const userEntry = createUserEntry(message, attachments);
+  const columns = renderComparisonColumns(elements.compareOutput, variants);
+  const streams = columns.map(({ body }) => createStreamingRenderer(body));
+
+  activeComparison = null;
+  elements.compareReport?.setAttribute('disabled', '');
+  inFlightChats.set(conversation.id, controller);
+  updateChatControls();
+  setStatus(elements.compareStatus, `Comparing ${variants.length} variants…`);
+
+  try {
+    const knowledgeContext = await collectKnowledgeContext(message);
+    const comparison = await runComparison({
+      prompt: message,
+      variants,
+      history: conversation.history,
+      knowledgeContext,
+      attachments: userEntry.parts.filter((part) => part?.inlineData),
+      onChunk: (index, chunk) => streams[index].onChunk(chunk),
+      signal: controller.signal
+    });
+
+    comparison.results.forEach((result, index) => {
+      const { body } = columns[index];
+
+      if (result.status === 'error') {
+        streams[index].cancel();
+        body.textContent = `⚠️ ${formatError(result.error)}`;
+        return;
+      }
+
+      streams[index].finish(result.text);
+
+      if (!result.text) {
+        body.textContent = '[No response received]';
+      }
+    });
+
+    activeComparison = Object.assign(comparison, {
+      conversationId: conversation.id,
+      parentId: conversation.history.at(-1)?.id ?? null,
+      userEntry,
+      sources: toCitationSources(knowledgeContext),
+      columns
+    });
+    renderActiveComparison();
+    elements.compareReport?.removeAttribute('disabled');
+    setStatus(elements.compareStatus, 'Vote on the replies, then pick the one that should continue the chat.');
+  } catch (error) {
+    streams.forEach((stream) => stream.cancel());
+
+    if (elements.chatInput && !elements.chatInput.value) {
+      elements.chatInput.value = message;
+    }
+
+    setStatus(elements.compareStatus, formatError(error), 'error');
+  } finally {
+    inFlightChats.delete(conversation.id);
+    updateChatControls();
+    updateTokenMeter();
   }
 }
 
-elements.keyInput?.addEventListener('focus', ensureKeyInputReady);
+// the winning reply joins the thread under the same parent the comparison was run against
+async function handleComparePick(comparison, index) {
+  const result = pickComparisonWinner(comparison, index);
+  const { sources } = comparison;
+  let updated;
 
-elements.keyInput?.addEventListener('keydown', (event) => {
-  if (event.key === 'Enter') {
-    ensureKeyInputReady();
+  try {
+    updated = await appendConversationEntries(
+      comparison.conversationId,
+      [
+        comparison.userEntry,
+        {
+          role: 'assistant',
+          parts: [result.text],
+          ...(result.status === 'stopped' ? { stopped: true } : {}),
+          ...(sources.length ? { sources } : {})
+        }
+      ],
+      { parentId: comparison.parentId }
+    );
+  } catch (error) {
+    comparison.winnerIndex = null;
+    throw error;
   }
-});
 
-function appendMessage(container, role, text) {
-  if (!container) return null;
+  if (activeConversation?.id === updated.id) {
+    activeConversation = updated;
+    renderConversationHistory(updated);
+    updateChatControls();
+  }
 
-  const message = document.createElement('article');
-  message.className = `message ${role}`;
+  renderActiveComparison();
+  setStatus(elements.compareStatus, `Continued the chat with ${comparison.variants[index].label}.`, 'success');
+  await refreshConversationList();
+}
 
-  const title = document.createElement('div');
-  title.className = 'message-title';
-  title.textContent = role === 'user' ? 'You' : 'Gemini';
+const COMPARISON_EXPORTERS = {
+  markdown: exportComparisonMarkdown,
+  json: exportComparisonJson
+};
 
-  const body = document.createElement('p');
-  body.className = 'message-body';
-  body.textContent = text ?? '';
+function handleCompareReport() {
+  if (!activeComparison) return;
 
-  message.appendChild(title);
-  message.appendChild(body);
-  container.appendChild(message);
+  const format = elements.compareReportFormat?.value in COMPARISON_EXPORTERS ? elements.compareReportFormat.value : 'markdown';
 
-  container.scrollTop = container.scrollHeight;
+  downloadTextFile(
+    `sj-assistant-comparison-${activeComparison.createdAt.replace(/[:.]/g, '-')}.${EXPORT_FORMATS[format].extension}`,
+    COMPARISON_EXPORTERS[format](activeComparison),
+    EXPORT_FORMATS[format].mimeType
+  );
+}
 
-  return body;
+function countBatchRemaining() {
+  const finished = new Set(batchResults.filter((result) => result.status === 'ok').map((result) => result.id));
+  return (batchItems ?? []).filter((item) => !finished.has(item.id)).length;
 }
 
-function parseKnowledgeContext(value) {
-  if (!value) {
-    return [];
+function updateBatchControls() {
+  const running = Boolean(batchController);
+  const remaining = countBatchRemaining();
+
+  elements.batchRun?.toggleAttribute('disabled', running || !remaining);
+  elements.batchStop?.classList.toggle('hidden', !running);
+  elements.batchDownload?.toggleAttribute('disabled', running || !batchResults.length);
+  elements.batchFile?.toggleAttribute('disabled', running);
+  elements.batchResume?.toggleAttribute('disabled', running || !batchItems);
+
+  if (elements.batchRun) {
+    elements.batchRun.textContent = batchResults.length && remaining ? `Resume batch (${remaining} left)` : 'Run batch';
   }
+}
 
-  return value
-    .split(/\n\s*\n/g)
-    .map((entry) => entry.trim())
-    .filter(Boolean);
+function showBatchProgress(progress) {
+  if (elements.batchProgress) {
+    elements.batchProgress.max = progress.total;
+    elements.batchProgress.value = progress.done;
+  }
+
+  setStatus(elements.batchStatus, describeBatchProgress(progress));
 }
 
-async function handleChatSubmit(event) {
-  event.preventDefault();
+function loadBatchDataset() {
+  batchItems = null;
+  batchResults = [];
+  elements.batchSummary?.replaceChildren();
+  elements.batchProgress?.classList.add('hidden');
 
-  const message = elements.chatInput?.value?.trim();
-  if (!message) {
-    return;
+  if (batchDataset) {
+    try {
+      batchItems = parseBatchDataset(batchDataset.text, { promptField: elements.batchPromptField?.value.trim() || 'prompt' });
+      setStatus(elements.batchStatus, `Loaded ${batchItems.length} prompt${batchItems.length === 1 ? '' : 's'} from ${batchDataset.name}.`, 'success');
+    } catch (error) {
+      setStatus(elements.batchStatus, `${batchDataset.name}: ${formatError(error)}`, 'error');
+    }
   }
 
-  const knowledgeContext = parseKnowledgeContext(elements.chatKnowledge?.value);
+  updateBatchControls();
+}
 
-  appendMessage(elements.chatOutput, 'user', message);
-  const assistantBody = appendMessage(elements.chatOutput, 'assistant', '');
+async function handleBatchFile(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
 
-  showLoading(elements.chatLoading, true);
-  setStatus(elements.keyStatus, '');
+  if (!file) return;
+
+  batchDataset = { name: file.name, text: await file.text() };
+  loadBatchDataset();
+}
+
+// results are matched to the loaded dataset by id, so only items without a successful result run again
+async function handleBatchResume(event) {
+  const [file] = event.target.files ?? [];
+  event.target.value = '';
+
+  if (!file || !batchItems) return;
 
   try {
-    const response = await sendMessage({
-      prompt: message,
-      knowledgeContext,
-      history: conversationHistory,
-      onChunk: (chunk) => {
-        if (assistantBody) {
-          assistantBody.textContent += chunk;
-        }
-      },
-      streamOptions: {
-        chunkSize: 48,
-        chunkDelay: 35
-      }
-    });
+    const ids = new Set(batchItems.map((item) => item.id));
+    batchResults = parseBatchResults(await file.text()).filter((result) => ids.has(result.id));
+    renderBatchSummary(elements.batchSummary, summarizeBatch(batchItems, batchResults));
+    setStatus(elements.batchStatus, `Loaded ${batchResults.length} earlier result${batchResults.length === 1 ? '' : 's'}; ${countBatchRemaining()} left to run.`, 'success');
+  } catch (error) {
+    setStatus(elements.batchStatus, `${file.name}: ${formatError(error)}`, 'error');
+  }
 
-    const replyText = response.text ?? '';
+  updateBatchControls();
+}
 
-    if (assistantBody && !replyText) {
-      assistantBody.textContent = '[No response received]';
-    }
+async function handleBatchRun() {
+  if (!batchItems || batchController) return;
 
-    conversationHistory.push({ role: 'user', parts: [message] });
-    conversationHistory.push({ role: 'assistant', parts: [replyText] });
+  const controller = new AbortController();
+  batchController = controller;
+  elements.batchProgress?.classList.remove('hidden');
+  updateBatchControls();
 
-    console.groupCollapsed('Gemini Chat Response');
-    console.log('Prompt', message);
-    console.log('Response', response);
-    console.groupEnd();
-  } catch (error) {
-    const errorMessage = formatError(error);
-    if (assistantBody) {
-      assistantBody.textContent = `⚠️ ${errorMessage}`;
-    }
+  try {
+    const run = await runBatch(batchItems, {
+      previous: batchResults,
+      concurrency: Number(elements.batchConcurrency?.value) || undefined,
+      model: elements.batchModel?.value || undefined,
+      onProgress: showBatchProgress,
+      signal: controller.signal
+    });
+    const summary = summarizeBatch(batchItems, run.results);
 
-    console.error('Gemini chat request failed:', error);
-  } finally {
-    showLoading(elements.chatLoading, false);
-    if (elements.chatInput) {
-      elements.chatInput.value = '';
+    batchResults = run.results;
+    renderBatchSummary(elements.batchSummary, summary);
+
+    if (run.stoppedBy === 'aborted') {
+      setStatus(elements.batchStatus, `Stopped with ${run.remaining} left to run. Run the batch again to resume.`);
+    } else if (run.stoppedBy) {
+      const fatal = run.results.find((result) => result.error?.code === run.stoppedBy);
+      setStatus(elements.batchStatus, `Stopped early: ${fatal?.error.message ?? run.stoppedBy}`, 'error');
+    } else {
+      setStatus(
+        elements.batchStatus,
+        `Finished ${summary.total} items${summary.errors ? ` with ${summary.errors} error${summary.errors === 1 ? '' : 's'}; run again to retry` : ''}.`,
+        summary.errors ? 'error' : 'success'
+      );
     }
+  } catch (error) {
+    setStatus(elements.batchStatus, formatError(error), 'error');
+  } finally {
+    batchController = null;
+    updateBatchControls();
   }
 }
 
+function handleBatchDownload() {
+  if (!batchResults.length) return;
+
+  const baseName = batchDataset?.name.replace(/\.[^.]+$/, '') || 'sj-assistant-batch';
+  downloadTextFile(`${baseName}-results.jsonl`, exportBatchResults(batchResults), EXPORT_FORMATS.jsonl.mimeType);
+}
+
 async function handleKnowledgeSubmit(event) {
   event.preventDefault();
 
   const query = elements.knowledgeQuery?.value?.trim();
-  if (!query) {
+  if (!query || knowledgeController) {
     return;
   }
 
   const knowledgeContext = parseKnowledgeContext(elements.knowledgeContext?.value);
+  const controller = new AbortController();
 
   appendMessage(elements.knowledgeOutput, 'user', query);
   const outputBody = appendMessage(elements.knowledgeOutput, 'assistant', '');
+  const stream = createStreamingRenderer(outputBody);
+
+  knowledgeController = controller;
+  updateKnowledgeControls();
 
-  showLoading(elements.knowledgeLoading, true);
+  if (elements.knowledgeQuery) {
+    elements.knowledgeQuery.value = '';
+  }
 
   try {
     const response = await searchKnowledge({
       query,
       knowledgeContext,
-      history: conversationHistory,
-      onChunk: (chunk) => {
-        if (outputBody) {
-          outputBody.textContent += chunk;
-        }
-      },
-      streamOptions: {
-        chunkSize: 54,
-        chunkDelay: 40
-      }
+      history: activeConversation?.history ?? [],
+      onChunk: stream.onChunk,
+      signal: controller.signal
     });
 
+    stream.finish(
+      response.grounding ? insertCitationMarkers(response.text, response.grounding.supports) : response.text
+    );
+
+    if (response.cached) {
+      addMessageFlag(outputBody, 'cached', 'Cached');
+    }
+
     if (!response.text && outputBody) {
       outputBody.textContent = '[No knowledge results received]';
     }
 
+    if (response.grounding && outputBody && response.text) {
+      renderMessageSources(outputBody, listGroundingSources(response.grounding));
+      renderSearchEntryPoint(outputBody, response.grounding.searchEntryPoint);
+    }
+
     console.groupCollapsed('Gemini Knowledge Response');
     console.log('Query', query);
     console.log('Response', response);
     console.groupEnd();
   } catch (error) {
+    if (error?.name === 'AbortError') {
+      stream.finish();
+      markMessageStopped(outputBody);
+      return;
+    }
+
     const errorMessage = formatError(error);
+    stream.cancel();
     if (outputBody) {
       outputBody.textContent = `⚠️ ${errorMessage}`;
     }
     console.error('Gemini knowledge request failed:', error);
   } finally {
-    showLoading(elements.knowledgeLoading, false);
-    if (elements.knowledgeQuery) {
-      elements.knowledgeQuery.value = '';
-    }
+    knowledgeController = null;
+    updateKnowledgeControls();
   }
 }
 
+function updateKnowledgeControls() {
+  const busy = Boolean(knowledgeController);
+
+  elements.knowledgeSubmit?.toggleAttribute('disabled', busy);
+  elements.knowledgeStop?.classList.toggle('hidden', !busy);
+  showLoading(elements.knowledgeLoading, busy);
+}
+
 function formatError(error) {
   if (!error) {
     return 'Unknown error occurred.';
@@ -235,27 +2194,46 @@ function formatError(error) {
       return 'The request was blocked by Gemini safety filters.';
     }
 
+    if (error.code === 'TOOL_LOOP_LIMIT') {
+      return 'Gemini kept calling tools without producing an answer. Please rephrase and try again.';
+    }
+
     return error.message;
   }
 
   return error.message ?? 'Unexpected error occurred.';
 }
 
-function handleKeySubmit(event) {
+async function handleKeySubmit(event) {
   event.preventDefault();
   if (!elements.keyInput) return;
 
+  const providerId = getClientProvider().id;
   const value = elements.keyInput.dataset.masked === 'true' ? '' : elements.keyInput.value;
   const trimmed = value?.trim();
-  const validation = validateApiKey(trimmed);
+  const validation = validateApiKey(trimmed, { providerId });
 
   if (!validation.valid) {
     setStatus(elements.keyStatus, validation.reason, 'error');
     return;
   }
 
+  if (hasVault() && !isVaultUnlocked()) {
+    elements.vaultPanel?.setAttribute('open', '');
+    setStatus(elements.keyStatus, 'Unlock the key vault to save keys.', 'error');
+    return;
+  }
+
   try {
-    const saved = saveApiKey(validation.value);
+    if (isVaultUnlocked()) {
+      const profile = await saveVaultProfile({ name: elements.keyName?.value || 'Default', providerId, key: validation.value });
+      applyVaultProfile(getActiveVaultProfile());
+      renderVaultPanel();
+      setStatus(elements.keyStatus, `API key saved to the vault as "${profile.name}".`, 'success');
+      return;
+    }
+
+    const saved = saveApiKey(validation.value, { providerId });
     setClientApiKey(saved);
     maskKeyInput(saved);
     setStatus(elements.keyStatus, 'API key saved locally.', 'success');
@@ -265,28 +2243,319 @@ function handleKeySubmit(event) {
 }
 
 function handleKeyClear() {
+  if (isVaultUnlocked()) {
+    handleVaultProfileDelete();
+    return;
+  }
+
   clearApiKey();
   setClientApiKey(null);
   maskKeyInput('');
   setStatus(elements.keyStatus, 'Cleared stored API key.');
 }
 
+function getProviderLabel(id) {
+  return listProviders().find((provider) => provider.id === id)?.label ?? id;
+}
+
+function renderVaultPanel() {
+  const exists = hasVault();
+  const unlocked = isVaultUnlocked();
+
+  elements.vaultCreateForm?.classList.toggle('hidden', exists);
+  elements.vaultUnlockForm?.classList.toggle('hidden', !exists || unlocked);
+  elements.vaultProfiles?.classList.toggle('hidden', !unlocked);
+  elements.keyNameField?.classList.toggle('hidden', !unlocked);
+
+  if (!unlocked || !elements.vaultProfileSelect) return;
+
+  const profiles = listVaultProfiles();
+  const active = getActiveVaultProfile();
+
+  elements.vaultProfileSelect.replaceChildren();
+
+  profiles.forEach((profile) => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = `${profile.name} · ${getProviderLabel(profile.providerId)}`;
+    option.selected = profile.id === active?.id;
+    elements.vaultProfileSelect.appendChild(option);
+  });
+
+  if (!profiles.length) {
+    const option = document.createElement('option');
+    option.textContent = 'No saved keys yet';
+    option.disabled = true;
+    option.selected = true;
+    elements.vaultProfileSelect.appendChild(option);
+  }
+
+  elements.vaultProfileDelete?.toggleAttribute('disabled', !active);
+}
+
+// switching keys also switches to the provider the key was saved for
+function applyVaultProfile(profile) {
+  setClientApiKey(profile?.key ?? null);
+  maskKeyInput(profile?.key ?? '');
+
+  if (elements.keyName) {
+    elements.keyName.value = profile?.name ?? '';
+  }
+
+  if (profile && elements.providerSelect && profile.providerId !== getClientProvider().id) {
+    elements.providerSelect.value = profile.providerId;
+    handleProviderChange();
+  }
+}
+
+async function handleVaultCreate(event) {
+  event.preventDefault();
+
+  const passphrase = elements.vaultCreatePassphrase?.value ?? '';
+
+  if (passphrase !== elements.vaultCreateConfirm?.value) {
+    setStatus(elements.vaultStatus, 'The passphrases do not match.', 'error');
+    return;
+  }
+
+  const plaintextKey = loadApiKey();
+  const profiles = plaintextKey ? [{ name: 'Default', providerId: getClientProvider().id, key: plaintextKey }] : [];
+
+  try {
+    await createVault(passphrase, { profiles });
+    // the key now lives only in the vault, so the plaintext copy goes
+    clearApiKey();
+    elements.vaultCreateForm?.reset();
+    applyVaultProfile(getActiveVaultProfile());
+    renderVaultPanel();
+    setStatus(
+      elements.vaultStatus,
+      plaintextKey ? 'Vault created and your saved key moved into it.' : 'Vault created. Keys you save are now encrypted.',
+      'success'
+    );
+  } catch (error) {
+    setStatus(elements.vaultStatus, formatError(error), 'error');
+  }
+}
+
+async function handleVaultUnlock(event) {
+  event.preventDefault();
+
+  try {
+    await unlockVault(elements.vaultUnlockPassphrase?.value ?? '');
+    elements.vaultUnlockForm?.reset();
+    applyVaultProfile(getActiveVaultProfile());
+    renderVaultPanel();
+    setStatus(elements.vaultStatus, 'Vault unlocked.', 'success');
+    setStatus(elements.keyStatus, getActiveVaultProfile() ? 'Using a key from the vault.' : 'Save a key to store it in the vault.', 'success');
+  } catch (error) {
+    setStatus(elements.vaultStatus, formatError(error), 'error');
+  }
+}
+
+function handleVaultDestroy() {
+  if (!window.confirm('Delete the vault and every key in it? This cannot be undone.')) {
+    return;
+  }
+
+  destroyVault();
+  renderVaultPanel();
+  setStatus(elements.vaultStatus, 'Vault deleted.');
+}
+
+async function handleVaultProfileChange() {
+  try {
+    applyVaultProfile(await selectVaultProfile(elements.vaultProfileSelect.value));
+    renderVaultPanel();
+  } catch (error) {
+    setStatus(elements.vaultStatus, formatError(error), 'error');
+  }
+}
+
+async function handleVaultProfileDelete() {
+  const active = getActiveVaultProfile();
+
+  if (!active || !window.confirm(`Delete the key "${active.name}" from the vault?`)) {
+    return;
+  }
+
+  try {
+    await deleteVaultProfile(active.id);
+    applyVaultProfile(getActiveVaultProfile());
+    renderVaultPanel();
+    setStatus(elements.vaultStatus, `Deleted "${active.name}".`);
+  } catch (error) {
+    setStatus(elements.vaultStatus, formatError(error), 'error');
+  }
+}
+
+function handleVaultLocked({ reason }) {
+  setClientApiKey(null);
+  maskKeyInput('');
+  renderVaultPanel();
+  setStatus(elements.vaultStatus, reason === 'idle' ? 'Vault locked after a period of inactivity.' : 'Vault locked.');
+  setStatus(elements.keyStatus, 'Unlock the key vault to use your saved keys.');
+}
+
+function renderProviderOptions(selectedId) {
+  if (!elements.providerSelect) return;
+
+  elements.providerSelect.replaceChildren();
+
+  listProviders().forEach((provider) => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.label;
+    option.selected = provider.id === selectedId;
+    elements.providerSelect.appendChild(option);
+  });
+}
+
+function updateBaseUrlPlaceholder() {
+  const provider = listProviders().find((candidate) => candidate.id === elements.providerSelect?.value);
+
+  if (elements.providerBaseUrl && provider) {
+    elements.providerBaseUrl.placeholder = provider.defaultBaseUrl;
+  }
+}
+
+function handleProviderChange() {
+  const id = elements.providerSelect?.value;
+  if (!id) return;
+
+  try {
+    const settings = saveProviderSettings({ id, baseUrl: elements.providerBaseUrl?.value });
+    setClientProvider(settings);
+    updateBaseUrlPlaceholder();
+    loadModelsForProvider();
+    setStatus(elements.keyStatus, `Requests will be sent to ${elements.providerSelect.selectedOptions[0]?.textContent ?? id}.`, 'success');
+  } catch (error) {
+    setStatus(elements.keyStatus, formatError(error), 'error');
+  }
+}
+
+function initialiseProvider() {
+  const settings = loadProviderSettings();
+
+  try {
+    setClientProvider(settings ?? {});
+  } catch (error) {
+    console.warn('Ignoring stored provider settings.', error);
+  }
+
+  renderProviderOptions(settings?.id);
+
+  if (elements.providerBaseUrl) {
+    elements.providerBaseUrl.value = settings?.baseUrl ?? '';
+  }
+
+  updateBaseUrlPlaceholder();
+}
+
 function initialiseFromStorage() {
+  renderVaultPanel();
+
+  if (hasVault()) {
+    elements.vaultPanel?.setAttribute('open', '');
+    setStatus(elements.keyStatus, 'Your keys are in the encrypted vault. Unlock it to begin.');
+    return;
+  }
+
   const storedKey = loadApiKey();
   if (storedKey) {
     setClientApiKey(storedKey);
     maskKeyInput(storedKey);
     setStatus(elements.keyStatus, 'Stored API key loaded from localStorage.', 'success');
   } else {
-    setStatus(elements.keyStatus, 'Enter your Google Generative AI key to begin.');
+    setStatus(elements.keyStatus, 'Enter your API key to begin (local providers may not need one).');
   }
 }
 
 function wireEvents() {
   elements.keyForm?.addEventListener('submit', handleKeySubmit);
   elements.keyClear?.addEventListener('click', handleKeyClear);
+  elements.vaultCreateForm?.addEventListener('submit', handleVaultCreate);
+  elements.vaultUnlockForm?.addEventListener('submit', handleVaultUnlock);
+  elements.vaultDestroy?.addEventListener('click', handleVaultDestroy);
+  elements.vaultProfileSelect?.addEventListener('change', handleVaultProfileChange);
+  elements.vaultProfileDelete?.addEventListener('click', handleVaultProfileDelete);
+  elements.vaultLock?.addEventListener('click', () => lockVault());
+  onVaultLock(handleVaultLocked);
+  // any interaction with the page counts as activity for the idle auto-lock
+  ['pointerdown', 'keydown'].forEach((type) => document.addEventListener(type, touchVault, { passive: true }));
+  elements.providerSelect?.addEventListener('change', handleProviderChange);
+  elements.providerBaseUrl?.addEventListener('change', handleProviderChange);
   elements.chatForm?.addEventListener('submit', handleChatSubmit);
+  elements.chatStop?.addEventListener('click', handleChatStop);
+  elements.chatRegenerate?.addEventListener('click', handleChatRegenerate);
   elements.knowledgeForm?.addEventListener('submit', handleKnowledgeSubmit);
+  elements.knowledgeStop?.addEventListener('click', () => knowledgeController?.abort());
+  elements.conversationNew?.addEventListener('click', handleConversationCreate);
+  elements.conversationExport?.addEventListener('click', handleConversationExport);
+  elements.conversationImport?.addEventListener('change', handleConversationImport);
+  elements.usageSettingsForm?.addEventListener('submit', handleUsageSettingsSubmit);
+  elements.usageClear?.addEventListener('click', handleUsageClear);
+  elements.cacheEnabled?.addEventListener('change', handleResponseCacheChange);
+  elements.cacheTtl?.addEventListener('change', handleResponseCacheChange);
+  elements.cacheSize?.addEventListener('change', handleResponseCacheChange);
+  elements.cacheClear?.addEventListener('click', () => {
+    handleResponseCacheClear().catch((error) => setStatus(elements.usageStatus, formatError(error), 'error'));
+  });
+  elements.cacheSettings?.addEventListener('toggle', () => {
+    if (elements.cacheSettings.open) {
+      refreshResponseCacheStats().catch((error) => console.error('Failed to read response cache:', error));
+    }
+  });
+  elements.redactionForm?.addEventListener('submit', handleRedactionSubmit);
+  elements.contextCacheEnabled?.addEventListener('change', handleContextCacheChange);
+  elements.contextCacheTtl?.addEventListener('change', handleContextCacheChange);
+  elements.contextCacheRefresh?.addEventListener('click', () => {
+    refreshContextCacheList().catch((error) => setStatus(elements.usageStatus, formatError(error), 'error'));
+  });
+  elements.contextCacheSettings?.addEventListener('toggle', () => {
+    if (elements.contextCacheSettings.open) {
+      refreshContextCacheList().catch((error) => setStatus(elements.usageStatus, formatError(error), 'error'));
+    }
+  });
+  elements.settingsForm?.addEventListener('submit', handleSettingsSubmit);
+  elements.settingsModel?.addEventListener('change', updateModelInfo);
+  elements.settingsRefreshModels?.addEventListener('click', () => loadModelsForProvider({ force: true }));
+  elements.chatAttachmentInput?.addEventListener('change', handleAttachmentPick);
+  elements.kbFiles?.addEventListener('change', handleDocumentImport);
+  elements.kbEmbed?.addEventListener('click', handleEmbedDocuments);
+  elements.kbAuto?.addEventListener('change', handleKnowledgeBaseOptionsChange);
+  elements.kbEmbeddings?.addEventListener('change', handleKnowledgeBaseOptionsChange);
+  elements.kbTopK?.addEventListener('change', handleKnowledgeBaseOptionsChange);
+  elements.chatInput?.addEventListener('input', updateTokenMeter);
+  elements.chatInput?.addEventListener('input', updateCommandHint);
+  elements.templateForm?.addEventListener('submit', handleTemplateSubmit);
+  elements.templateNew?.addEventListener('click', () => populateTemplateForm(elements.templateForm, null));
+  elements.templateExport?.addEventListener('click', handleTemplateExport);
+  elements.templateImport?.addEventListener('change', handleTemplateImport);
+  elements.templateRunForm?.addEventListener('submit', handleTemplateRunSubmit);
+  elements.templateRunCancel?.addEventListener('click', closeTemplateRunForm);
+  elements.compareRun?.addEventListener('click', () => {
+    handleCompareRun().catch((error) => setStatus(elements.compareStatus, formatError(error), 'error'));
+  });
+  elements.compareAdd?.addEventListener('click', handleCompareAdd);
+  elements.compareReport?.addEventListener('click', handleCompareReport);
+  elements.compareVariants?.addEventListener('change', () => {
+    compareVariants = readCompareVariants(elements.compareVariants);
+  });
+  elements.batchFile?.addEventListener('change', (event) => {
+    handleBatchFile(event).catch((error) => setStatus(elements.batchStatus, formatError(error), 'error'));
+  });
+  elements.batchPromptField?.addEventListener('change', loadBatchDataset);
+  elements.batchResume?.addEventListener('change', handleBatchResume);
+  elements.batchRun?.addEventListener('click', handleBatchRun);
+  elements.batchStop?.addEventListener('click', () => batchController?.abort());
+  elements.batchDownload?.addEventListener('click', handleBatchDownload);
+  elements.chatKnowledge?.addEventListener('input', updateTokenMeter);
+  elements.chatSystem?.addEventListener('input', updateTokenMeter);
+  elements.chatInput?.addEventListener('paste', handleAttachmentPaste);
+  elements.chatForm?.addEventListener('dragover', handleAttachmentDrag);
+  elements.chatForm?.addEventListener('dragleave', handleAttachmentDrag);
+  elements.chatForm?.addEventListener('drop', handleAttachmentDrop);
 }
 
 function guardFetchAvailability() {
@@ -294,8 +2563,15 @@ function guardFetchAvailability() {
     setStatus(elements.keyStatus, 'Fetch API is unavailable in this environment.', 'error');
     const disabledControls = [
       elements.keyInput,
+      elements.providerSelect,
+      elements.providerBaseUrl,
       elements.chatInput,
       elements.chatKnowledge,
+      elements.chatSystem,
+      elements.chatAttachmentInput,
+      elements.kbFiles,
+      elements.batchFile,
+      elements.conversationImport,
       elements.knowledgeQuery,
       elements.knowledgeContext
     ];
@@ -313,8 +2589,22 @@ function guardFetchAvailability() {
 
 function init() {
   guardFetchAvailability();
+  initialiseProvider();
   initialiseFromStorage();
+  renderSafetyControls(elements.settingsSafety);
   wireEvents();
+  loadModelsForProvider();
+  initialiseKnowledgeBase();
+  initialiseUsageDashboard();
+  initialiseResponseCache();
+  initialiseContextCache();
+  initialiseRedaction();
+  refreshTemplateList().catch((error) => {
+    console.error('Failed to load prompt templates:', error);
+  });
+  initialiseConversations().catch((error) => {
+    console.error('Failed to load saved conversations:', error);
+  });
 }
 
 init();
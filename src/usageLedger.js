@@ -0,0 +1,169 @@
+import { createRecordStore, generateId } from './database.js';
+import { loadUsageSettings } from './storage.js';
+
+// USD per million tokens; matched against model ids by longest prefix, and editable from the dashboard
+export const DEFAULT_PRICES = {
+  'gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini-1.0-pro': { input: 0.5, output: 1.5 },
+  'gemini-pro': { input: 0.5, output: 1.5 },
+  'text-embedding': { input: 0, output: 0 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 }
+};
+
+const RETENTION_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const entries = createRecordStore('usage');
+const listeners = new Set();
+
+function toDayKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function periodStart(period, now) {
+  return period === 'month'
+    ? new Date(now.getFullYear(), now.getMonth(), 1)
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate());
+}
+
+function emptyTotals() {
+  return { requests: 0, errors: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0, cost: 0, latencyMs: 0 };
+}
+
+function addToTotals(totals, entry, prices) {
+  totals.requests += 1;
+  totals.errors += entry.outcome === 'OK' ? 0 : 1;
+  totals.promptTokens += entry.promptTokens ?? 0;
+  totals.candidatesTokens += entry.candidatesTokens ?? 0;
+  totals.totalTokens += entry.totalTokens ?? 0;
+  totals.cost += estimateCost(entry, prices);
+  totals.latencyMs += entry.latencyMs ?? 0;
+  return totals;
+}
+
+export function findPrice(model, prices = DEFAULT_PRICES) {
+  const id = (model ?? '').replace(/^models\//, '');
+  const match = Object.keys(prices)
+    .filter((prefix) => id.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match ? prices[match] : null;
+}
+
+export function estimateCost({ model, promptTokens = 0, candidatesTokens = 0 }, prices = DEFAULT_PRICES) {
+  const price = findPrice(model, prices);
+  if (!price) return 0;
+
+  return (promptTokens * (price.input ?? 0) + candidatesTokens * (price.output ?? 0)) / 1e6;
+}
+
+export function onUsageRecorded(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export async function recordUsage(entry) {
+  const record = await entries.put({
+    id: generateId('use-'),
+    timestamp: new Date().toISOString(),
+    ...entry
+  });
+
+  listeners.forEach((listener) => listener(record));
+  return record;
+}
+
+// entries past the retention window are dropped whenever the ledger is read
+export async function listUsage() {
+  const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS).toISOString();
+  const all = await entries.getAll();
+  const expired = all.filter((entry) => entry.timestamp < cutoff);
+
+  await Promise.all(expired.map((entry) => entries.delete(entry.id)));
+
+  return all
+    .filter((entry) => entry.timestamp >= cutoff)
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+export function clearUsage() {
+  return entries.clear();
+}
+
+export function summarizeUsage(list, { prices = DEFAULT_PRICES } = {}) {
+  const byDay = new Map();
+  const byModel = new Map();
+  const totals = emptyTotals();
+
+  list.forEach((entry) => {
+    const day = toDayKey(new Date(entry.timestamp));
+    const model = entry.model ?? 'unknown';
+
+    if (!byDay.has(day)) byDay.set(day, { day, ...emptyTotals() });
+    if (!byModel.has(model)) byModel.set(model, { model, ...emptyTotals() });
+
+    addToTotals(byDay.get(day), entry, prices);
+    addToTotals(byModel.get(model), entry, prices);
+    addToTotals(totals, entry, prices);
+  });
+
+  return {
+    totals,
+    byDay: Array.from(byDay.values()).sort((a, b) => b.day.localeCompare(a.day)),
+    byModel: Array.from(byModel.values()).sort((a, b) => b.totalTokens - a.totalTokens)
+  };
+}
+
+// pending tokens are the estimated prompt of the request about to be sent, so a hard limit
+// blocks the request that would cross it rather than the one after
+export function getBudgetStatus(list, budget, { prices = DEFAULT_PRICES, model, pendingTokens = 0, now = new Date() } = {}) {
+  if (!budget || (!budget.softLimit && !budget.hardLimit)) {
+    return { level: 'ok', used: 0, projected: 0, budget: null };
+  }
+
+  const start = periodStart(budget.period, now).toISOString();
+  const current = summarizeUsage(list.filter((entry) => entry.timestamp >= start), { prices }).totals;
+  const used = budget.metric === 'cost' ? current.cost : current.totalTokens;
+  const pending = budget.metric === 'cost'
+    ? estimateCost({ model, promptTokens: pendingTokens }, prices)
+    : pendingTokens;
+  const projected = used + pending;
+
+  let level = 'ok';
+
+  if (budget.hardLimit && projected >= budget.hardLimit) {
+    level = 'hard';
+  } else if (budget.softLimit && projected >= budget.softLimit) {
+    level = 'soft';
+  }
+
+  return { level, used, projected, budget };
+}
+
+export function describeBudgetStatus({ level, projected, budget }) {
+  if (level === 'ok') return '';
+
+  const limit = level === 'hard' ? budget.hardLimit : budget.softLimit;
+  const format = (value) => (budget.metric === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value).toLocaleString()} tokens`);
+  const period = budget.period === 'month' ? 'this month' : 'today';
+
+  return `${level === 'hard' ? 'Hard' : 'Soft'} usage limit reached: ${format(projected)} of ${format(limit)} ${period}.`;
+}
+
+export async function checkBudget({ model, pendingTokens = 0 } = {}) {
+  const settings = loadUsageSettings();
+  if (!settings?.budget) {
+    return { level: 'ok', used: 0, projected: 0, budget: null };
+  }
+
+  return getBudgetStatus(await listUsage(), settings.budget, {
+    prices: settings.prices ?? DEFAULT_PRICES,
+    model,
+    pendingTokens
+  });
+}
@@ -0,0 +1,118 @@
+const COLUMNS = [
+  { key: 'requests', label: 'Requests', format: (value) => value.toLocaleString() },
+  { key: 'errors', label: 'Errors', format: (value) => value.toLocaleString() },
+  { key: 'promptTokens', label: 'Prompt', format: (value) => value.toLocaleString() },
+  { key: 'candidatesTokens', label: 'Output', format: (value) => value.toLocaleString() },
+  { key: 'totalTokens', label: 'Total tokens', format: (value) => value.toLocaleString() },
+  { key: 'cost', label: 'Est. cost', format: formatCost }
+];
+
+function formatCost(value) {
+  return value > 0 && value < 0.01 ? '< $0.01' : `$${value.toFixed(2)}`;
+}
+
+function createCell(tag, text) {
+  const cell = document.createElement(tag);
+  cell.textContent = text;
+  return cell;
+}
+
+export function renderUsageTable(table, rows, { labelKey, labelHeading, emptyText = 'No requests recorded yet.' } = {}) {
+  if (!table) return;
+
+  table.replaceChildren();
+
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  headRow.appendChild(createCell('th', labelHeading));
+  COLUMNS.forEach((column) => headRow.appendChild(createCell('th', column.label)));
+  head.appendChild(headRow);
+
+  const body = document.createElement('tbody');
+
+  if (!rows.length) {
+    const row = document.createElement('tr');
+    const cell = createCell('td', emptyText);
+    cell.colSpan = COLUMNS.length + 1;
+    row.appendChild(cell);
+    body.appendChild(row);
+  }
+
+  rows.forEach((entry) => {
+    const row = document.createElement('tr');
+    row.appendChild(createCell('th', entry[labelKey]));
+    COLUMNS.forEach((column) => row.appendChild(createCell('td', column.format(entry[column.key]))));
+    body.appendChild(row);
+  });
+
+  table.appendChild(head);
+  table.appendChild(body);
+}
+
+export function describeUsageTotals(totals) {
+  if (!totals.requests) {
+    return 'No requests recorded yet.';
+  }
+
+  const averageLatency = Math.round(totals.latencyMs / totals.requests);
+
+  return `${totals.requests.toLocaleString()} requests · ${totals.totalTokens.toLocaleString()} tokens · `
+    + `${formatCost(totals.cost)} estimated · ${averageLatency.toLocaleString()} ms average latency`
+    + (totals.errors ? ` · ${totals.errors.toLocaleString()} failed` : '');
+}
+
+export function formatPriceTable(prices) {
+  return Object.entries(prices)
+    .map(([model, price]) => `${model} ${price.input} ${price.output}`)
+    .join('\n');
+}
+
+export function parsePriceTable(text) {
+  const prices = {};
+
+  text.split('\n').forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith('#')) return;
+
+    const [model, input, output, ...rest] = trimmed.split(/[\s,]+/);
+    const values = [Number(input), Number(output)];
+
+    if (rest.length || values.some((value) => !Number.isFinite(value) || value < 0)) {
+      const error = new Error(`Price line ${index + 1} should read "model input output", for example "gemini-1.5-pro 1.25 5".`);
+      error.code = 'INVALID_PRICE_TABLE';
+      throw error;
+    }
+
+    prices[model] = { input: values[0], output: values[1] };
+  });
+
+  return prices;
+}
+
+export function populateUsageSettingsForm(form, { prices, budget } = {}) {
+  if (!form) return;
+
+  if (form.elements.prices) {
+    form.elements.prices.value = formatPriceTable(prices ?? {});
+  }
+
+  ['period', 'metric', 'softLimit', 'hardLimit'].forEach((field) => {
+    if (form.elements[field] && budget?.[field] != null) {
+      form.elements[field].value = budget[field];
+    }
+  });
+}
+
+export function readUsageSettingsForm(form) {
+  const toLimit = (value) => (value === '' || value == null ? null : Number(value));
+
+  return {
+    prices: parsePriceTable(form.elements.prices?.value ?? ''),
+    budget: {
+      period: form.elements.period?.value || 'day',
+      metric: form.elements.metric?.value || 'tokens',
+      softLimit: toLimit(form.elements.softLimit?.value),
+      hardLimit: toLimit(form.elements.hardLimit?.value)
+    }
+  };
+}
@@ -0,0 +1,300 @@
+import { after, afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import {
+  assertSafety,
+  configureScheduler,
+  extractCandidatePayload,
+  fetchWithRetry,
+  getBackoffDelay,
+  getSchedulerState,
+  sendMessage
+} from '../src/aiClient.js';
+import { estimateTextTokens } from '../src/tokenBudget.js';
+import { onUsageRecorded } from '../src/usageLedger.js';
+
+const originalFetch = globalThis.fetch;
+
+async function loadFixture(name) {
+  return JSON.parse(await readFile(new URL(`../mock/fixtures/${name}.json`, import.meta.url), 'utf8'));
+}
+
+function toResponse(spec) {
+  const body = spec.text ?? JSON.stringify(spec.body ?? {});
+  return new Response(body, { status: spec.status ?? 200, headers: spec.headers ?? {} });
+}
+
+// replays the fixture's responses in order and repeats the last one, like the mock server does
+function replayFixture(fixture) {
+  const calls = [];
+
+  globalThis.fetch = async (url, options) => {
+    const spec = fixture.responses[Math.min(calls.length, fixture.responses.length - 1)];
+    calls.push({ url, options });
+    return toResponse(spec);
+  };
+
+  return calls;
+}
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+});
+
+describe('getBackoffDelay', () => {
+  test('waits at least the Retry-After seconds', async () => {
+    const { responses } = await loadFixture('rate-limit');
+    assert.equal(getBackoffDelay(0, 500, responses[0].headers['Retry-After']), 2000);
+  });
+
+  test('never waits less than the base delay', () => {
+    assert.equal(getBackoffDelay(0, 500, '0'), 500);
+  });
+
+  test('accepts an HTTP date', () => {
+    const delay = getBackoffDelay(0, 500, new Date(Date.now() + 10000).toUTCString());
+    assert.ok(delay > 8000 && delay <= 10000, `unexpected delay ${delay}`);
+  });
+
+  test('keeps exponential delays between half and all of the ceiling', () => {
+    for (let attempt = 0; attempt < 4; attempt += 1) {
+      const ceiling = 500 * 2 ** attempt;
+      const delay = getBackoffDelay(attempt, 500);
+      assert.ok(delay >= ceiling / 2 && delay <= ceiling, `attempt ${attempt} waited ${delay}`);
+    }
+  });
+
+  test('caps the delay at 30 seconds', () => {
+    assert.ok(getBackoffDelay(20, 500) <= 30000);
+  });
+});
+
+describe('fetchWithRetry', () => {
+  test('returns a successful response without retrying', async () => {
+    const calls = replayFixture(await loadFixture('success'));
+    const stats = {};
+    const response = await fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1, stats });
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 1);
+    assert.equal(stats.retries, undefined);
+  });
+
+  test('retries a 429 and then succeeds', async () => {
+    const fixture = await loadFixture('rate-limit');
+    // the fixture asks for two seconds; zero keeps the test fast and falls back to the base delay
+    fixture.responses[0].headers['Retry-After'] = '0';
+    const calls = replayFixture(fixture);
+    const stats = {};
+    const response = await fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1, stats });
+
+    assert.equal(response.status, 200);
+    assert.equal(calls.length, 2);
+    assert.equal(stats.retries, 1);
+  });
+
+  test('throws the upstream error once retries are exhausted', async () => {
+    const calls = replayFixture(await loadFixture('server-error'));
+
+    await assert.rejects(
+      fetchWithRetry('https://example.test/generate', {}, { retries: 2, baseDelay: 1 }),
+      (error) => error.status === 503 && /overloaded/.test(error.message)
+    );
+    assert.equal(calls.length, 3);
+  });
+
+  test('does not retry a client error', async () => {
+    const calls = replayFixture({
+      responses: [{ status: 400, body: { error: { code: 400, message: 'Invalid argument.', status: 'INVALID_ARGUMENT' } } }]
+    });
+
+    await assert.rejects(
+      fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 }),
+      (error) => error.status === 400
+    );
+    assert.equal(calls.length, 1);
+  });
+
+  test('maps 401 and 403 to API_KEY_INVALID', async () => {
+    replayFixture({ responses: [{ status: 403, body: { error: { code: 403, message: 'Forbidden.' } } }] });
+
+    await assert.rejects(
+      fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 }),
+      (error) => error.code === 'API_KEY_INVALID'
+    );
+  });
+
+  test('retries network errors', async () => {
+    let attempts = 0;
+    globalThis.fetch = async () => {
+      attempts += 1;
+      if (attempts === 1) throw new TypeError('Failed to fetch');
+      return toResponse({ status: 200, body: {} });
+    };
+
+    const response = await fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 });
+    assert.equal(response.status, 200);
+    assert.equal(attempts, 2);
+  });
+
+  test('stops when the signal aborts', async () => {
+    replayFixture(await loadFixture('server-error'));
+    const controller = new AbortController();
+    const pending = fetchWithRetry('https://example.test/generate', { signal: controller.signal }, { baseDelay: 10000 });
+    setTimeout(() => controller.abort(), 10);
+
+    await assert.rejects(pending, (error) => error.name === 'AbortError');
+  });
+
+  test('hands back a malformed body for the caller to parse', async () => {
+    replayFixture(await loadFixture('malformed'));
+    const response = await fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 });
+
+    await assert.rejects(response.json(), SyntaxError);
+  });
+});
+
+describe('circuit breaker', () => {
+  // lets the last test's cooldown run out and closes the circuit again for the suites that follow
+  after(async () => {
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await resetCircuit();
+    globalThis.fetch = originalFetch;
+    configureScheduler({ failureThreshold: 5, cooldownMs: 30000 });
+  });
+
+  async function resetCircuit() {
+    replayFixture(await loadFixture('success'));
+    await fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 });
+  }
+
+  test('counts a request and its retries as one failure', async () => {
+    await resetCircuit();
+    replayFixture(await loadFixture('server-error'));
+
+    // more attempts than the default threshold of five
+    await assert.rejects(
+      fetchWithRetry('https://example.test/generate', {}, { retries: 6, baseDelay: 1 }),
+      (error) => error.status === 503
+    );
+    assert.equal(getSchedulerState().circuits.gemini.failures, 1);
+  });
+
+  test('opens after consecutive failed requests', async () => {
+    await resetCircuit();
+    globalThis.fetch = originalFetch;
+    configureScheduler({ failureThreshold: 2, cooldownMs: 50 });
+    replayFixture(await loadFixture('server-error'));
+
+    for (let request = 0; request < 2; request += 1) {
+      await assert.rejects(fetchWithRetry('https://example.test/generate', {}, { retries: 1, baseDelay: 1 }), (error) => error.status === 503);
+    }
+
+    await assert.rejects(fetchWithRetry('https://example.test/generate', {}, { baseDelay: 1 }), (error) => error.code === 'CIRCUIT_OPEN');
+  });
+});
+
+describe('extractCandidatePayload', () => {
+  test('reads the text of the success fixture', async () => {
+    const { responses } = await loadFixture('success');
+    const { text, candidate, functionCalls } = extractCandidatePayload(responses[0].body);
+
+    assert.equal(text, 'Hello from the mock Gemini server. This reply came from **success.json**.');
+    assert.equal(candidate.finishReason, 'STOP');
+    assert.deepEqual(functionCalls, []);
+  });
+
+  test('keeps whitespace of stream frames when trim is off', async () => {
+    const { responses } = await loadFixture('stream');
+    const text = responses[0].events.map((event) => extractCandidatePayload(event, { trim: false }).text).join('');
+
+    assert.equal(text, 'Streaming from the **mock** server, one frame at a time.');
+  });
+
+  test('returns an empty result when there are no candidates', async () => {
+    const { responses } = await loadFixture('safety');
+    assert.deepEqual(extractCandidatePayload(responses[0].body), { text: '', candidate: null, functionCalls: [] });
+  });
+
+  test('prefers a candidate that was not blocked', () => {
+    const { text } = extractCandidatePayload({
+      candidates: [
+        { content: { parts: [{ text: 'blocked' }] }, finishReason: 'SAFETY' },
+        { content: { parts: [{ text: 'allowed' }] }, finishReason: 'STOP' }
+      ]
+    });
+
+    assert.equal(text, 'allowed');
+  });
+
+  test('collects function calls', () => {
+    const { functionCalls } = extractCandidatePayload({
+      candidates: [{ content: { parts: [{ functionCall: { name: 'lookup', args: { id: 1 } } }] } }]
+    });
+
+    assert.deepEqual(functionCalls, [{ name: 'lookup', args: { id: 1 } }]);
+  });
+});
+
+describe('assertSafety', () => {
+  test('throws SAFETY_BLOCKED for the safety fixture', async () => {
+    const { responses } = await loadFixture('safety');
+
+    assert.throws(
+      () => assertSafety(responses[0].body, null),
+      (error) => error.code === 'SAFETY_BLOCKED' && error.details.blockReason === 'SAFETY'
+    );
+  });
+
+  test('throws when the chosen candidate finished for safety', () => {
+    const candidate = { content: { parts: [{ text: '' }] }, finishReason: 'SAFETY' };
+    assert.throws(() => assertSafety({ candidates: [candidate] }, candidate), (error) => error.code === 'SAFETY_BLOCKED');
+  });
+
+  test('passes the success fixture and an unspecified block reason', async () => {
+    const { responses } = await loadFixture('success');
+    const [candidate] = responses[0].body.candidates;
+
+    assert.doesNotThrow(() => assertSafety(responses[0].body, candidate));
+    assert.doesNotThrow(() => assertSafety({ promptFeedback: { blockReason: 'BLOCK_REASON_UNSPECIFIED' } }, candidate));
+  });
+});
+
+describe('usage tracking', () => {
+  test('estimates the output of a stopped stream from the text that arrived', async () => {
+    const streamed = 'The first half of a long answer';
+    const controller = new AbortController();
+    const frame = { candidates: [{ content: { role: 'model', parts: [{ text: streamed }] } }] };
+
+    globalThis.fetch = async (url, { signal }) => new Response(new ReadableStream({
+      start(stream) {
+        stream.enqueue(new TextEncoder().encode(`data: ${JSON.stringify(frame)}\n\n`));
+        signal.addEventListener('abort', () => stream.error(signal.reason));
+      }
+    }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+
+    const recorded = new Promise((resolve) => {
+      const stop = onUsageRecorded((entry) => {
+        stop();
+        resolve(entry);
+      });
+    });
+
+    await assert.rejects(
+      sendMessage({
+        apiKey: `AIza${'k'.repeat(35)}`,
+        prompt: 'Write a long answer.',
+        tools: [],
+        enforceBudget: false,
+        signal: controller.signal,
+        onChunk: () => controller.abort()
+      }),
+      (error) => error.name === 'AbortError'
+    );
+
+    const entry = await recorded;
+    assert.equal(entry.outcome, 'ABORTED');
+    assert.equal(entry.candidatesTokens, estimateTextTokens(streamed));
+    assert.ok(entry.candidatesTokens > 0);
+  });
+});
@@ -0,0 +1,77 @@
+import { before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const LEGACY_ID = 'conv-legacy';
+const values = new Map([
+  ['sj-assistant.conversations', JSON.stringify({
+    [LEGACY_ID]: {
+      id: LEGACY_ID,
+      title: 'Saved before branching',
+      autoTitle: false,
+      model: null,
+      systemInstruction: '',
+      history: [
+        { role: 'user', parts: ['first question'] },
+        { role: 'model', parts: ['first answer'] }
+      ],
+      createdAt: '2024-01-01T00:00:00.000Z',
+      updatedAt: '2024-01-02T00:00:00.000Z'
+    }
+  })]
+]);
+
+let store;
+
+// the record store picks its backend when the module loads, so localStorage has to exist before the import
+before(async () => {
+  globalThis.window = {
+    localStorage: {
+      getItem: (key) => values.get(key) ?? null,
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: (key) => values.delete(key)
+    }
+  };
+  store = await import('../src/conversationStore.js');
+});
+
+function readStoredRecord() {
+  return JSON.parse(values.get('sj-assistant.conversations'))[LEGACY_ID];
+}
+
+describe('legacy flat-history conversations', () => {
+  test('migrate to the same tree on every read', async () => {
+    const first = await store.getConversation(LEGACY_ID);
+    const second = await store.getConversation(LEGACY_ID);
+
+    assert.deepEqual(first.history.map((entry) => entry.parts), [['first question'], ['first answer']]);
+    assert.deepEqual(second.history.map((entry) => entry.id), first.history.map((entry) => entry.id));
+    assert.deepEqual(second, first);
+  });
+
+  test('accept a new turn after the last message from an earlier read', async () => {
+    const { history } = await store.getConversation(LEGACY_ID);
+    const updated = await store.appendConversationEntries(
+      LEGACY_ID,
+      [{ role: 'user', parts: ['follow-up'] }, { role: 'model', parts: ['follow-up answer'] }],
+      { parentId: history.at(-1).id }
+    );
+
+    assert.deepEqual(updated.history.map((entry) => entry.parts[0]), ['first question', 'first answer', 'follow-up', 'follow-up answer']);
+    assert.ok(readStoredRecord().nodes, 'the migrated tree is saved with the append');
+    assert.equal(readStoredRecord().history, undefined);
+  });
+
+  test('keep the migrated ids once saved, so branching off an old message works', async () => {
+    const { history } = await store.getConversation(LEGACY_ID);
+    const [question, answer] = history;
+    const regenerated = await store.appendConversationEntries(LEGACY_ID, [{ role: 'model', parts: ['another answer'] }], {
+      parentId: question.id
+    });
+
+    assert.deepEqual(regenerated.history.map((entry) => entry.parts[0]), ['first question', 'another answer']);
+    assert.equal(store.getSiblingIds(regenerated, answer.id).length, 2);
+
+    const restored = await store.selectBranch(LEGACY_ID, answer.id);
+    assert.equal(restored.history.length, 4);
+  });
+});
@@ -0,0 +1,161 @@
+import { afterEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countTokens, embedContents, registerMiddleware, sendMessage, unregisterMiddleware } from '../src/aiClient.js';
+import { decodeBase64Text, encodeBase64Text } from '../src/attachments.js';
+import {
+  REDACTION_MIDDLEWARE_NAME,
+  createRedactionMiddleware,
+  createRedactor,
+  findUnredactedAttachments,
+  previewRedaction
+} from '../src/redaction.js';
+
+const API_KEY = `AIza${'k'.repeat(35)}`;
+const EMAIL = 'ada@example.com';
+const originalFetch = globalThis.fetch;
+
+function captureRequests(respond) {
+  const bodies = [];
+
+  globalThis.fetch = async (url, options) => {
+    bodies.push(options.body);
+    return new Response(JSON.stringify(respond(url)), { status: 200, headers: { 'Content-Type': 'application/json' } });
+  };
+
+  return bodies;
+}
+
+function replyWith(text) {
+  return { candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }] };
+}
+
+function sseResponse(deltas) {
+  const frames = deltas.map((text) => `data: ${JSON.stringify({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] })}\n\n`);
+  return new Response(frames.join(''), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+}
+
+afterEach(() => {
+  globalThis.fetch = originalFetch;
+  unregisterMiddleware(REDACTION_MIDDLEWARE_NAME);
+});
+
+describe('ipAddress detector', () => {
+  test('ignores code paths that look like compressed IPv6', () => {
+    const redactor = createRedactor({ detectors: ['ipAddress'] });
+    const text = 'Call a::b, then add::dec, std::vector, and ::1 at 10:30:00.';
+
+    assert.equal(redactor.redact(text), text);
+  });
+
+  test('still finds real IPv6 addresses', () => {
+    const redactor = createRedactor({ detectors: ['ipAddress'] });
+
+    assert.equal(redactor.redact('hosts fe80::1 and 2001:db8:85a3:0:0:8a2e:370:7334'), 'hosts [IP_1] and [IP_2]');
+  });
+});
+
+describe('attachments', () => {
+  test('redacts text inlineData and leaves other files alone', () => {
+    const image = { inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } };
+    const csv = { inlineData: { mimeType: 'text/csv', data: encodeBase64Text(`name,email\nAda,${EMAIL}\n`) } };
+    const json = { name: 'contact.json', mimeType: 'application/json', size: 28, data: encodeBase64Text(`{"email":"${EMAIL}"}`) };
+    const { input, findings } = previewRedaction({ prompt: 'see files', attachments: [image, csv, json] });
+
+    assert.deepEqual(input.attachments[0], image);
+    assert.equal(decodeBase64Text(input.attachments[1].inlineData.data), 'name,email\nAda,[EMAIL_1]\n');
+    assert.equal(decodeBase64Text(input.attachments[2].data), '{"email":"[EMAIL_1]"}');
+    assert.equal(input.attachments[2].size, '{"email":"[EMAIL_1]"}'.length);
+    assert.deepEqual(findings.map(({ value }) => value), [EMAIL]);
+    assert.deepEqual(findUnredactedAttachments([image, csv, json]), [image]);
+  });
+
+  test('redacts text files in earlier turns', () => {
+    const history = [{ role: 'user', parts: [{ inlineData: { mimeType: 'text/markdown', data: encodeBase64Text(`# Notes\n${EMAIL}`) } }] }];
+    const { input } = previewRedaction({ prompt: 'hi', history });
+
+    assert.equal(decodeBase64Text(input.history[0].parts[0].inlineData.data), '# Notes\n[EMAIL_1]');
+  });
+});
+
+describe('registered redaction middleware', () => {
+  test('covers token counts', async () => {
+    registerMiddleware(createRedactionMiddleware());
+    const bodies = captureRequests(() => ({ totalTokens: 12 }));
+    const attachment = { inlineData: { mimeType: 'text/plain', data: encodeBase64Text(`reach me at ${EMAIL}`) } };
+
+    await countTokens({ apiKey: API_KEY, prompt: `mail ${EMAIL}`, attachments: [attachment], systemInstruction: `cc ${EMAIL}` });
+
+    assert.equal(bodies.length, 1);
+    assert.ok(!bodies[0].includes(EMAIL));
+    assert.ok(!bodies[0].includes(attachment.inlineData.data));
+  });
+
+  test('covers embeddings', async () => {
+    registerMiddleware(createRedactionMiddleware());
+    const bodies = captureRequests(() => ({ embeddings: [{ values: [1] }, { values: [2] }] }));
+
+    const vectors = await embedContents({ apiKey: API_KEY, texts: [`owner: ${EMAIL}`, 'nothing here'] });
+
+    assert.equal(vectors.length, 2);
+    assert.ok(!bodies.join('').includes(EMAIL));
+    assert.ok(bodies.join('').includes('[EMAIL_1]'));
+  });
+
+  test('releases a trailing partial placeholder when the stream ends', async () => {
+    registerMiddleware(createRedactionMiddleware());
+    globalThis.fetch = async () => sseResponse(['Wrote to [EMAIL_1]', ' and kept [EMAIL', '_1] then [']);
+    const deltas = [];
+
+    const result = await sendMessage({ apiKey: API_KEY, prompt: `write to ${EMAIL}`, tools: [], onChunk: (delta) => deltas.push(delta) });
+
+    assert.equal(deltas.join(''), `Wrote to ${EMAIL} and kept ${EMAIL} then [`);
+    assert.equal(result.text, `Wrote to ${EMAIL} and kept ${EMAIL} then [`);
+  });
+
+  test('sends the placeholder, not the original, back in a schema repair turn', async () => {
+    registerMiddleware(createRedactionMiddleware());
+    const replies = [replyWith('{"contact": "[EMAIL_1]"'), replyWith('{"contact": "[EMAIL_1]"}')];
+    const bodies = captureRequests(() => replies.shift());
+
+    const result = await sendMessage({
+      apiKey: API_KEY,
+      prompt: `Who is ${EMAIL}?`,
+      responseSchema: { type: 'object', properties: { contact: { type: 'string' } }, required: ['contact'] },
+      enforceBudget: false
+    });
+
+    assert.equal(bodies.length, 2);
+    assert.ok(!bodies[1].includes(EMAIL));
+    assert.equal(result.schemaRepairs, 1);
+    assert.deepEqual(result.parsed, { contact: EMAIL });
+  });
+
+  test('keeps placeholders in a history summary that goes into the next payload', async () => {
+    registerMiddleware(createRedactionMiddleware());
+    const replies = [replyWith('The user shared [EMAIL_1].'), replyWith('Noted, [EMAIL_1].')];
+    const bodies = captureRequests(() => replies.shift());
+    const filler = 'lorem ipsum '.repeat(200);
+    const history = [
+      { role: 'user', parts: [`My address is ${EMAIL}. ${filler}`] },
+      { role: 'model', parts: [`Thanks. ${filler}`] },
+      { role: 'user', parts: ['and again'] },
+      { role: 'model', parts: ['sure'] }
+    ];
+
+    const result = await sendMessage({
+      apiKey: API_KEY,
+      prompt: 'What was my address?',
+      history,
+      historyStrategy: 'summarize',
+      contextWindow: 600,
+      tools: [],
+      enforceBudget: false
+    });
+
+    assert.equal(result.historyBudget.summarized, true);
+    assert.equal(bodies.length, 2);
+    assert.ok(!bodies.join('').includes(EMAIL));
+    assert.ok(bodies[1].includes('The user shared [EMAIL_1].'));
+    assert.equal(result.text, `Noted, ${EMAIL}.`);
+  });
+});
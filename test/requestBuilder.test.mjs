@@ -0,0 +1,77 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_ATTACHMENTS } from '../src/attachments.js';
+import { buildChatPayload, normalizeHistory } from '../src/requestBuilder.js';
+
+describe('normalizeHistory', () => {
+  test('maps roles to Gemini roles', () => {
+    const history = normalizeHistory([
+      { role: 'user', parts: ['hi'] },
+      { role: 'assistant', parts: ['hello'] },
+      { role: 'tool', parts: [{ functionResponse: { name: 'lookup', response: {} } }] },
+      { role: 'unknown', parts: ['?'] }
+    ]);
+
+    assert.deepEqual(history.map((entry) => entry.role), ['user', 'model', 'user', 'user']);
+  });
+
+  test('accepts parts, content, or text', () => {
+    const history = normalizeHistory([
+      { role: 'user', parts: 'from parts' },
+      { role: 'model', content: [{ text: 'from content' }] },
+      { role: 'user', text: 'from text' }
+    ]);
+
+    assert.deepEqual(history, [
+      { role: 'user', parts: [{ text: 'from parts' }] },
+      { role: 'model', parts: [{ text: 'from content' }] },
+      { role: 'user', parts: [{ text: 'from text' }] }
+    ]);
+  });
+
+  test('keeps non-text parts as they are', () => {
+    const inlineData = { mimeType: 'image/png', data: 'aGk=' };
+    const [entry] = normalizeHistory([{ role: 'user', parts: [{ inlineData }, 'caption'] }]);
+
+    assert.deepEqual(entry.parts, [{ inlineData }, { text: 'caption' }]);
+  });
+
+  test('drops system turns and empty entries', () => {
+    const history = normalizeHistory([
+      { role: 'system', parts: ['be brief'] },
+      { role: 'user', parts: [] },
+      { role: 'user', parts: [null] },
+      { role: 'model' },
+      { role: 'user', parts: { unrelated: true } },
+      { role: 'user', parts: ['kept'] }
+    ]);
+
+    assert.deepEqual(history, [{ role: 'user', parts: [{ text: 'kept' }] }]);
+  });
+
+  test('returns an empty list for anything but an array', () => {
+    assert.deepEqual(normalizeHistory(undefined), []);
+    assert.deepEqual(normalizeHistory({ role: 'user', parts: ['hi'] }), []);
+  });
+});
+
+describe('buildChatPayload attachments', () => {
+  const image = () => ({ inlineData: { mimeType: 'image/png', data: 'iVBORw0KGgo=' } });
+
+  test('limits the new turn only, so a long chat with many files keeps working', () => {
+    const history = Array.from({ length: MAX_ATTACHMENTS + 2 }, (_, index) => [
+      { role: 'user', parts: [`file ${index}`, image()] },
+      { role: 'model', parts: [`read file ${index}`] }
+    ]).flat();
+
+    const payload = buildChatPayload({ prompt: 'one more', history, attachments: [image()] });
+
+    assert.equal(payload.contents.flatMap((entry) => entry.parts).filter((part) => part.inlineData).length, MAX_ATTACHMENTS + 3);
+  });
+
+  test('rejects a new turn with too many attachments', () => {
+    const attachments = Array.from({ length: MAX_ATTACHMENTS + 1 }, image);
+
+    assert.throws(() => buildChatPayload({ prompt: 'all of these', attachments }), (error) => error.code === 'INVALID_ATTACHMENT');
+  });
+});
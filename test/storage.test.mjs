@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  clearApiKey,
+  hasWindowStorage,
+  loadApiKey,
+  loadProviderSettings,
+  loadUsageSettings,
+  loadVaultRecord,
+  saveApiKey,
+  saveProviderSettings,
+  saveUsageSettings,
+  validateApiKey
+} from '../src/storage.js';
+
+const GEMINI_KEY = `AIza${'x'.repeat(35)}`;
+
+function createLocalStorage(entries = {}) {
+  const values = new Map(Object.entries(entries));
+
+  return {
+    values,
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+}
+
+function withWindow(localStorage) {
+  globalThis.window = { localStorage };
+  return localStorage;
+}
+
+const originalWarn = console.warn;
+let warnings;
+
+beforeEach(() => {
+  warnings = [];
+  console.warn = (...args) => warnings.push(args);
+});
+
+afterEach(() => {
+  console.warn = originalWarn;
+  delete globalThis.window;
+  clearApiKey();
+});
+
+describe('storage without window.localStorage', () => {
+  test('reports that there is no window storage', () => {
+    assert.equal(hasWindowStorage(), false);
+  });
+
+  test('keeps the API key in memory', () => {
+    saveApiKey(GEMINI_KEY, { providerId: 'gemini' });
+    assert.equal(loadApiKey(), GEMINI_KEY);
+
+    clearApiKey();
+    assert.equal(loadApiKey(), null);
+  });
+
+  test('keeps settings in memory', () => {
+    saveProviderSettings({ id: 'ollama', baseUrl: ' http://localhost:11434 ' });
+    assert.deepEqual(loadProviderSettings(), { id: 'ollama', baseUrl: 'http://localhost:11434' });
+  });
+});
+
+describe('storage with window.localStorage', () => {
+  test('writes the API key with a timestamp', () => {
+    const storage = withWindow(createLocalStorage());
+    saveApiKey(` ${GEMINI_KEY} `, { providerId: 'gemini' });
+
+    const stored = JSON.parse(storage.values.get('gemini.apiKey'));
+    assert.equal(stored.key, GEMINI_KEY);
+    assert.ok(Date.parse(stored.savedAt));
+    assert.equal(loadApiKey(), GEMINI_KEY);
+  });
+
+  test('rejects an invalid key without writing it', () => {
+    const storage = withWindow(createLocalStorage());
+
+    assert.throws(() => saveApiKey('short', { providerId: 'gemini' }), (error) => error.code === 'INVALID_API_KEY');
+    assert.equal(storage.values.size, 0);
+  });
+
+  test('round-trips settings', () => {
+    withWindow(createLocalStorage());
+    const settings = { prices: { 'gemini-1.5-flash': { input: 0.1, output: 0.3 } }, budget: null };
+
+    saveUsageSettings(settings);
+    assert.deepEqual(loadUsageSettings(), settings);
+  });
+
+  test('returns null when nothing is stored', () => {
+    withWindow(createLocalStorage());
+
+    assert.equal(loadApiKey(), null);
+    assert.equal(loadProviderSettings(), null);
+  });
+
+  test('clears a corrupt API key entry', () => {
+    const storage = withWindow(createLocalStorage({ 'gemini.apiKey': '{not json' }));
+
+    assert.equal(loadApiKey(), null);
+    assert.equal(storage.values.has('gemini.apiKey'), false);
+    assert.equal(warnings.length, 1);
+  });
+
+  test('clears corrupt settings', () => {
+    const storage = withWindow(createLocalStorage({ 'sj-assistant.provider': '{not json' }));
+
+    assert.equal(loadProviderSettings(), null);
+    assert.equal(storage.values.has('sj-assistant.provider'), false);
+    assert.equal(warnings.length, 1);
+  });
+
+  test('leaves a corrupt vault record in place', () => {
+    const storage = withWindow(createLocalStorage({ 'sj-assistant.vault': '{not json' }));
+
+    assert.equal(loadVaultRecord(), null);
+    assert.equal(storage.values.has('sj-assistant.vault'), true);
+  });
+});
+
+describe('validateApiKey', () => {
+  test('checks the Gemini key format', () => {
+    assert.equal(validateApiKey(GEMINI_KEY, { providerId: 'gemini' }).valid, true);
+    assert.equal(validateApiKey(`sk-${'x'.repeat(36)}`, { providerId: 'gemini' }).valid, false);
+  });
+
+  test('accepts bearer tokens for self-hosted providers', () => {
+    assert.equal(validateApiKey('local-token', { providerId: 'ollama' }).valid, true);
+    assert.equal(validateApiKey('has space', { providerId: 'ollama' }).valid, false);
+  });
+
+  test('requires a key', () => {
+    assert.deepEqual(validateApiKey(''), { valid: false, reason: 'API key is required.' });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TRANSCRIPT_FORMAT, TRANSCRIPT_VERSION, parseTranscript } from '../src/transcripts.js';
+
+function jsonTranscript(sources) {
+  return JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    conversation: {
+      title: 'Imported',
+      rootIds: ['q'],
+      activeRootId: 'q',
+      nodes: {
+        q: { id: 'q', parentId: null, childIds: ['a'], activeChildId: 'a', role: 'user', parts: ['where?'] },
+        a: { id: 'a', parentId: 'q', childIds: [], activeChildId: null, role: 'assistant', parts: ['there [1][2]'], sources }
+      }
+    }
+  });
+}
+
+describe('parseTranscript sources', () => {
+  test('drops source links that are not http(s) or mailto and keeps the title', () => {
+    const { nodes } = parseTranscript(jsonTranscript([
+      { number: 1, title: 'Trap', uri: 'java\tscript:alert(1)' },
+      { number: 2, title: 'Docs', uri: 'https://example.com/docs' }
+    ]), { fileName: 'chat.json' });
+
+    assert.deepEqual(nodes.a.sources, [
+      { number: 1, title: 'Trap' },
+      { number: 2, title: 'Docs', uri: 'https://example.com/docs' }
+    ]);
+  });
+});